@@ -0,0 +1,510 @@
+/**
+ * EveryAlt Chrome Extension - Analytics Page Logic
+ *
+ * Charts are built from the generation history (EVERYALT_HISTORY_QUERY)
+ * and drawn as inline SVG.
+ */
+
+import { ERROR_CODES } from './lib/errors.js';
+import { formatUsd } from './lib/budget.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SERIES = 5; // Further groups are merged into "Other"
+const SERIES_COLORS = ['#0750b6', '#059669', '#d97706', '#7c3aed', '#db2777', '#9ca3af'];
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 8, right: 8, bottom: 24, left: 56 };
+
+const ERROR_LABELS = {
+  [ERROR_CODES.AUTH]: 'API key',
+  [ERROR_CODES.QUOTA]: 'Quota',
+  [ERROR_CODES.RATE_LIMIT]: 'Rate limit',
+  [ERROR_CODES.CONTENT_POLICY]: 'Content policy',
+  [ERROR_CODES.NETWORK]: 'Network',
+  [ERROR_CODES.TIMEOUT]: 'Timeout',
+  [ERROR_CODES.BAD_IMAGE]: 'Image could not be loaded',
+  [ERROR_CODES.SERVER]: 'Provider server error',
+  [ERROR_CODES.TRUNCATED]: 'Output truncated',
+  [ERROR_CODES.INVALID_RESPONSE]: 'Invalid response',
+  [ERROR_CODES.CANCELLED]: 'Cancelled',
+  [ERROR_CODES.BUDGET]: 'Budget reached',
+  [ERROR_CODES.LOCKED]: 'API keys locked',
+  [ERROR_CODES.UNKNOWN]: 'Other',
+};
+
+const GROUP_LABELS = { domain: 'Domain', model: 'Model', profile: 'Profile' };
+
+// ── DOM Elements ──────────────────────────────────────────────
+
+const rangeSelect = document.getElementById('analytics-range');
+const groupSelect = document.getElementById('analytics-group');
+const statusEl = document.getElementById('analytics-status');
+const summaryList = document.getElementById('analytics-summary');
+const generationsChart = document.getElementById('chart-generations');
+const tokensChart = document.getElementById('chart-tokens');
+const costChart = document.getElementById('chart-cost');
+const latencyChart = document.getElementById('chart-latency');
+const errorsChart = document.getElementById('chart-errors');
+const breakdownTitle = document.getElementById('breakdown-title');
+const breakdownGroupHeader = document.getElementById('breakdown-group-header');
+const breakdownRows = document.getElementById('breakdown-rows');
+
+// ── Load ──────────────────────────────────────────────────────
+
+function load() {
+  const days = parseInt(rangeSelect.value, 10);
+  const from = days ? startOfDay(Date.now() - (days - 1) * DAY_MS) : 0;
+  statusEl.textContent = 'Loading\u2026';
+
+  chrome.runtime.sendMessage(
+    { type: 'EVERYALT_HISTORY_QUERY', filters: { from }, limit: 0, thumbnails: false, summary: false },
+    (response) => {
+      if (!response || !response.success) {
+        statusEl.textContent = `Could not load history: ${response?.error || 'no response'}`;
+        return;
+      }
+      const entries = response.entries;
+      statusEl.textContent = entries.length === 0 ? 'No generations in this period.' : '';
+      render(entries, from || oldestTimestamp(entries));
+    }
+  );
+}
+
+rangeSelect.addEventListener('change', load);
+groupSelect.addEventListener('change', load);
+
+// New generations show up while the page is open
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'EVERYALT_HISTORY_CHANGED') load();
+});
+
+load();
+
+// ── Aggregation ───────────────────────────────────────────────
+
+/**
+ * @param {Array<object>} entries - History entries, newest first
+ * @param {number} from - Start of the period
+ */
+function render(entries, from) {
+  const groupBy = groupSelect.value;
+  const buckets = buildBuckets(from, Date.now());
+  const groups = rankGroups(entries, groupBy);
+  const series = groups.slice(0, MAX_SERIES);
+  if (groups.length > MAX_SERIES) series.push('Other');
+
+  // values[metric][bucket][series]
+  const values = {
+    generations: buckets.map(() => series.map(() => 0)),
+    tokens: buckets.map(() => series.map(() => 0)),
+    cost: buckets.map(() => series.map(() => 0)),
+  };
+  const latency = buckets.map(() => ({ total: 0, count: 0 }));
+
+  entries.forEach((entry) => {
+    const bucket = bucketIndex(buckets, entry.timestamp);
+    if (bucket === -1) return;
+    if (entry.durationMs && !entry.cached) {
+      latency[bucket].total += entry.durationMs;
+      latency[bucket].count++;
+    }
+    if (entry.status !== 'success') return;
+    const group = groupKey(entry, groupBy);
+    const index = series.indexOf(groups.indexOf(group) < MAX_SERIES ? group : 'Other');
+    values.generations[bucket][index]++;
+    values.tokens[bucket][index] += entry.cost?.tokens?.total || 0;
+    values.cost[bucket][index] += entry.cost?.totalUsd || 0;
+  });
+
+  const labels = buckets.map((bucket) => bucket.label);
+  renderSummary(entries);
+  renderStackedBars(generationsChart, labels, series, values.generations, formatCount);
+  renderStackedBars(tokensChart, labels, series, values.tokens, formatCount);
+  renderStackedBars(costChart, labels, series, values.cost, formatUsd);
+  renderLine(
+    latencyChart,
+    labels,
+    latency.map(({ total, count }) => (count ? total / count : null)),
+    formatDuration
+  );
+  renderErrorBars(errorsChart, entries);
+  renderBreakdown(entries, groupBy);
+}
+
+/**
+ * Days for periods up to 90 days, months beyond.
+ * @returns {Array<{start: number, end: number, label: string}>}
+ */
+function buildBuckets(from, to) {
+  const buckets = [];
+  const byMonth = to - from > 92 * DAY_MS;
+  const cursor = new Date(startOfDay(from));
+  if (byMonth) cursor.setDate(1);
+
+  while (cursor.getTime() <= to) {
+    const start = cursor.getTime();
+    if (byMonth) {
+      cursor.setMonth(cursor.getMonth() + 1);
+    } else {
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    const label = byMonth
+      ? new Date(start).toLocaleDateString([], { month: 'short', year: '2-digit' })
+      : new Date(start).toLocaleDateString([], { month: 'short', day: 'numeric' });
+    buckets.push({ start, end: cursor.getTime(), label });
+  }
+  return buckets;
+}
+
+function bucketIndex(buckets, timestamp) {
+  return buckets.findIndex((bucket) => timestamp >= bucket.start && timestamp < bucket.end);
+}
+
+function groupKey(entry, groupBy) {
+  if (groupBy === 'profile') return entry.profile || 'Default settings';
+  if (groupBy === 'model') return entry.model || '(unknown)';
+  return entry.domain || '(unknown)';
+}
+
+/** Group names by number of generations, largest first. */
+function rankGroups(entries, groupBy) {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    if (entry.status !== 'success') return;
+    const key = groupKey(entry, groupBy);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+}
+
+// ── Summary and Breakdown ─────────────────────────────────────
+
+function renderSummary(entries) {
+  const stats = summarize(entries);
+  const items = [
+    ['Generations', formatCount(stats.success)],
+    ['From cache', formatCount(stats.cached)],
+    ['Error rate', `${formatPercent(stats.errorRate)} (${formatCount(stats.errors)})`],
+    ['Tokens', formatCount(stats.tokens)],
+    ['Estimated cost', formatUsd(stats.costUsd)],
+    ['Avg latency', stats.avgLatency === null ? '\u2014' : formatDuration(stats.avgLatency)],
+  ];
+
+  summaryList.innerHTML = '';
+  items.forEach(([label, value]) => {
+    const item = document.createElement('div');
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    item.appendChild(term);
+    item.appendChild(detail);
+    summaryList.appendChild(item);
+  });
+}
+
+function renderBreakdown(entries, groupBy) {
+  breakdownTitle.textContent = `By ${GROUP_LABELS[groupBy]}`;
+  breakdownGroupHeader.textContent = GROUP_LABELS[groupBy];
+
+  const byGroup = new Map();
+  entries.forEach((entry) => {
+    const key = groupKey(entry, groupBy);
+    if (!byGroup.has(key)) byGroup.set(key, []);
+    byGroup.get(key).push(entry);
+  });
+
+  breakdownRows.innerHTML = '';
+  [...byGroup.entries()]
+    .map(([key, groupEntries]) => [key, summarize(groupEntries)])
+    .sort((a, b) => b[1].success - a[1].success || b[1].errors - a[1].errors)
+    .forEach(([key, stats]) => {
+      const row = document.createElement('tr');
+      [
+        key,
+        formatCount(stats.success),
+        stats.errors ? `${formatCount(stats.errors)} (${formatPercent(stats.errorRate)})` : '0',
+        formatCount(stats.tokens),
+        formatUsd(stats.costUsd),
+        stats.avgLatency === null ? '\u2014' : formatDuration(stats.avgLatency),
+      ].forEach((text, index) => {
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      breakdownRows.appendChild(row);
+    });
+}
+
+function summarize(entries) {
+  const stats = { success: 0, errors: 0, cached: 0, tokens: 0, costUsd: 0, latencyTotal: 0, latencyCount: 0 };
+  entries.forEach((entry) => {
+    if (entry.durationMs && !entry.cached) {
+      stats.latencyTotal += entry.durationMs;
+      stats.latencyCount++;
+    }
+    if (entry.status !== 'success') {
+      stats.errors++;
+      return;
+    }
+    stats.success++;
+    if (entry.cached) stats.cached++;
+    stats.tokens += entry.cost?.tokens?.total || 0;
+    stats.costUsd += entry.cost?.totalUsd || 0;
+  });
+  const requests = stats.success + stats.errors;
+  stats.errorRate = requests ? stats.errors / requests : 0;
+  stats.avgLatency = stats.latencyCount ? stats.latencyTotal / stats.latencyCount : null;
+  return stats;
+}
+
+// ── SVG Charts ────────────────────────────────────────────────
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgEl(tag, attributes = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, String(value)));
+  return node;
+}
+
+/**
+ * Chart frame with horizontal grid lines and y-axis labels.
+ * @returns {{svg: SVGElement, plot: {x: number, y: number, width: number, height: number},
+ *   scale: (value: number) => number}}
+ */
+function createChartFrame(container, max, format, description) {
+  container.innerHTML = '';
+  const svg = svgEl('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+    class: 'everyalt-chart-svg',
+    role: 'img',
+    'aria-label': description,
+  });
+  const plot = {
+    x: CHART_PADDING.left,
+    y: CHART_PADDING.top,
+    width: CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right,
+    height: CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom,
+  };
+  const top = max > 0 ? max : 1;
+  const scale = (value) => plot.y + plot.height - (value / top) * plot.height;
+
+  for (let i = 0; i <= 4; i++) {
+    const value = (top / 4) * i;
+    const y = scale(value);
+    svg.appendChild(
+      svgEl('line', { x1: plot.x, x2: plot.x + plot.width, y1: y, y2: y, class: 'everyalt-chart-grid' })
+    );
+    const label = svgEl('text', {
+      x: plot.x - 6,
+      y: y + 4,
+      'text-anchor': 'end',
+      class: 'everyalt-chart-label',
+    });
+    label.textContent = format(value);
+    svg.appendChild(label);
+  }
+
+  container.appendChild(svg);
+  return { svg, plot, scale };
+}
+
+/** X-axis labels, thinned out so they don't overlap. */
+function drawXLabels(svg, plot, labels) {
+  const slot = plot.width / labels.length;
+  const every = Math.max(1, Math.ceil(labels.length / 8));
+  labels.forEach((text, index) => {
+    if (index % every !== 0) return;
+    const label = svgEl('text', {
+      x: plot.x + slot * index + slot / 2,
+      y: plot.y + plot.height + 16,
+      'text-anchor': 'middle',
+      class: 'everyalt-chart-label',
+    });
+    label.textContent = text;
+    svg.appendChild(label);
+  });
+}
+
+/**
+ * Stacked bars over time, one color per series, with a legend.
+ * @param {HTMLElement} container
+ * @param {string[]} labels - One per bucket
+ * @param {string[]} series
+ * @param {number[][]} values - [bucket][series]
+ * @param {(value: number) => string} format
+ */
+function renderStackedBars(container, labels, series, values, format) {
+  const totals = values.map((bucket) => bucket.reduce((sum, value) => sum + value, 0));
+  const total = totals.reduce((sum, value) => sum + value, 0);
+  const { svg, plot, scale } = createChartFrame(
+    container,
+    Math.max(...totals, 0),
+    format,
+    `${format(total)} in total over ${labels.length} periods`
+  );
+
+  const slot = plot.width / labels.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  values.forEach((bucket, index) => {
+    let base = 0;
+    bucket.forEach((value, seriesIndex) => {
+      if (!value) return;
+      const y = scale(base + value);
+      const rect = svgEl('rect', {
+        x: plot.x + slot * index + (slot - barWidth) / 2,
+        y,
+        width: barWidth,
+        height: scale(base) - y,
+        fill: SERIES_COLORS[seriesIndex % SERIES_COLORS.length],
+      });
+      const title = svgEl('title');
+      title.textContent = `${labels[index]} \u00B7 ${series[seriesIndex]}: ${format(value)}`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+      base += value;
+    });
+  });
+
+  drawXLabels(svg, plot, labels);
+  container.appendChild(buildLegend(series));
+}
+
+/**
+ * Line over time; buckets without data (null) break the line.
+ * @param {HTMLElement} container
+ * @param {string[]} labels
+ * @param {Array<number|null>} points
+ * @param {(value: number) => string} format
+ */
+function renderLine(container, labels, points, format) {
+  const known = points.filter((value) => value !== null);
+  const { svg, plot, scale } = createChartFrame(
+    container,
+    Math.max(...known, 0),
+    format,
+    known.length ? `Between ${format(Math.min(...known))} and ${format(Math.max(...known))}` : 'No data'
+  );
+
+  const slot = plot.width / labels.length;
+  let path = '';
+  let drawing = false;
+  points.forEach((value, index) => {
+    if (value === null) {
+      drawing = false;
+      return;
+    }
+    const x = plot.x + slot * index + slot / 2;
+    const y = scale(value);
+    path += `${drawing ? 'L' : 'M'}${x.toFixed(1)} ${y.toFixed(1)} `;
+    drawing = true;
+
+    const dot = svgEl('circle', { cx: x, cy: y, r: 3, fill: SERIES_COLORS[0] });
+    const title = svgEl('title');
+    title.textContent = `${labels[index]}: ${format(value)}`;
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+  if (path) svg.insertBefore(svgEl('path', { d: path.trim(), class: 'everyalt-chart-line' }), svg.firstChild);
+
+  drawXLabels(svg, plot, labels);
+}
+
+/** Horizontal bars: failed requests per error type, as a share of all requests. */
+function renderErrorBars(container, entries) {
+  container.innerHTML = '';
+  const counts = new Map();
+  entries.forEach((entry) => {
+    if (entry.status === 'success') return;
+    const code = ERROR_LABELS[entry.errorCode] ? entry.errorCode : ERROR_CODES.UNKNOWN;
+    counts.set(code, (counts.get(code) || 0) + 1);
+  });
+  if (counts.size === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'everyalt-log-empty';
+    empty.textContent = 'No errors in this period.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const rows = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const max = rows[0][1];
+  const rowHeight = 24;
+  const labelWidth = 180;
+  const barSpace = CHART_WIDTH - labelWidth - 90;
+  const svg = svgEl('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${rows.length * rowHeight}`,
+    class: 'everyalt-chart-svg',
+    role: 'img',
+    'aria-label': rows.map(([code, count]) => `${ERROR_LABELS[code]}: ${count}`).join(', '),
+  });
+
+  rows.forEach(([code, count], index) => {
+    const y = index * rowHeight;
+    const label = svgEl('text', {
+      x: labelWidth - 8,
+      y: y + 16,
+      'text-anchor': 'end',
+      class: 'everyalt-chart-label',
+    });
+    label.textContent = ERROR_LABELS[code];
+    svg.appendChild(label);
+
+    const width = Math.max(2, (count / max) * barSpace);
+    svg.appendChild(
+      svgEl('rect', { x: labelWidth, y: y + 5, width, height: rowHeight - 10, fill: '#dc2626' })
+    );
+
+    const value = svgEl('text', {
+      x: labelWidth + width + 6,
+      y: y + 16,
+      class: 'everyalt-chart-label',
+    });
+    value.textContent = `${count} (${formatPercent(count / entries.length)})`;
+    svg.appendChild(value);
+  });
+
+  container.appendChild(svg);
+}
+
+function buildLegend(series) {
+  const legend = document.createElement('ul');
+  legend.className = 'everyalt-chart-legend';
+  series.forEach((name, index) => {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'everyalt-chart-swatch';
+    swatch.style.background = SERIES_COLORS[index % SERIES_COLORS.length];
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(name));
+    legend.appendChild(item);
+  });
+  return legend;
+}
+
+// ── Helpers ─────────────────────────────────────────────────
+
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function oldestTimestamp(entries) {
+  return entries.length ? entries[entries.length - 1].timestamp : Date.now();
+}
+
+function formatCount(value) {
+  return Math.round(value).toLocaleString();
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(ratio > 0 && ratio < 0.1 ? 1 : 0)}%`;
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
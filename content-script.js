@@ -3,9 +3,21 @@
  *
  * Injected into web pages. Responsibilities:
  *  - Listen for messages from service worker
- *  - Show loading spinner overlay
- *  - Show alt-text result modal with copy/regenerate/close
+ *  - Show loading spinner overlay, then the alt text as it streams in
+ *  - Show alt-text result modal with copy/apply/regenerate/close, as an accessible
+ *    dialog in a closed shadow root (focus trap and restore, live announcements)
+ *  - Copy the alt as ready-to-paste markup (HTML, Markdown, JSX, shortcodes, user templates)
+ *  - Write alt text into the page (and rich-text editors), with per-page undo
  *  - Show error messages
+ *  - Collect text around an image (heading, caption, paragraph...) as prompt context
+ *  - Spot decorative images (spacers, hidden or labelled icons) and offer an empty alt
+ *  - Lint generated and existing alt text against configurable rules
+ *  - Audit every image on the page and list findings in a side panel
+ *  - Drive batch generation for audited images and show per-item progress
+ *  - Capture CSS backgrounds, inline SVG, canvas and video frames for description
+ *  - Let the user drag a region to describe from a screenshot (also the fallback
+ *    when an image cannot be loaded)
+ *  - Keyboard shortcuts: describe the focused or hovered image, or pick one in picker mode
  *  - Fetch images on behalf of service worker (CORS fallback)
  */
 
@@ -17,31 +29,120 @@
   window.__everyaltInjected = true;
 
   const PREFIX = 'everyalt';
+  // Tag of the element hosting the dialog's shadow root
+  const DIALOG_TAG = `${PREFIX}-dialog`;
+  // Mirrors STREAM_PORT_NAME in service-worker.js
+  const STREAM_PORT_NAME = 'everyalt-stream';
 
   // ── State ───────────────────────────────────────────────────────
 
   let currentModal = null;
+  let returnFocus = null; // { element } focused in the page before the dialog opened
   let currentImageUrl = null;
+  let currentProfileId = null; // Settings profile picked from the context menu
+  let currentTarget = null; // DOM element the user right-clicked
+  let currentVisual = null; // { element, imageUrl, imageData, visual } chosen in the page
+  let lastContextTarget = null;
+  let lastContextPoint = null; // { x, y } of the last right-click, in viewport pixels
+  let auditPanel = null;
+  let auditFindings = [];
+  let auditFilter = null;
+  let batchJob = null; // { id, snapshot }
+  let picker = null; // { images, index, bar, status, onKeyDown, onClick }
+  let regionSelect = null; // { overlay, onKeyDown }
+
+  // Stable ids for page elements, so batch results find their way back
+  const elementIds = new WeakMap();
+  let nextElementId = 1;
+
+  // Remember what was right-clicked. The script is injected on the first
+  // context-menu click, so that first time we fall back to matching srcUrl.
+  // A new right-click also ends the last in-page capture: another image with
+  // the same src must not inherit its element or its pixels.
+  document.addEventListener(
+    'contextmenu',
+    (e) => {
+      lastContextTarget = e.target;
+      lastContextPoint = { x: e.clientX, y: e.clientY };
+      currentVisual = null;
+    },
+    true
+  );
 
   // ── Message Listener ────────────────────────────────────────────
 
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     switch (request.type) {
       case 'EVERYALT_SHOW_LOADING':
+        // A new right-click carries its URL; Regenerate keeps the current target and profile
+        if (request.imageUrl) {
+          currentImageUrl = request.imageUrl;
+          currentProfileId = request.profileId || null;
+          // Visuals chosen in the page already know their element (sendCapture sets both)
+          if (currentVisual?.imageUrl !== request.imageUrl || currentVisual.element !== lastContextTarget) {
+            currentVisual = null;
+          }
+          currentTarget = currentVisual ? currentVisual.element : findImageElement(request.imageUrl);
+        }
         showLoading();
         break;
 
       case 'EVERYALT_SHOW_RESULT':
         currentImageUrl = request.imageUrl;
-        showResult(request.altText, request.cost);
+        showResult(request);
         break;
 
       case 'EVERYALT_SHOW_ERROR':
-        showError(request.message, request.actionUrl);
+        showError(request);
         break;
 
+      case 'EVERYALT_AUDIT_PAGE':
+        showAuditPanel();
+        break;
+
+      case 'EVERYALT_CAPTURE_VISUAL': {
+        const visual = findVisualUnderPointer();
+        if (visual) {
+          describeVisual(visual);
+        } else {
+          showError({ message: 'Found no image, background, SVG, canvas or video where you right-clicked.' });
+        }
+        break;
+      }
+
+      case 'EVERYALT_GENERATE_FOCUSED': {
+        const visual = findFocusedVisual();
+        if (visual) {
+          describeVisual(visual);
+        } else {
+          startPicker('No image is focused or under the pointer.');
+        }
+        break;
+      }
+
+      case 'EVERYALT_START_PICKER':
+        startPicker();
+        break;
+
+      case 'EVERYALT_SELECT_REGION':
+        startRegionSelect();
+        break;
+
+      case 'EVERYALT_BATCH_PROGRESS':
+        handleBatchProgress(request);
+        break;
+
+      case 'EVERYALT_INSPECT_IMAGE': {
+        const element = findContextElement(request);
+        sendResponse({
+          context: collectImageContext(element),
+          decorativeHints: getDecorativeHints(element, request.imageUrl),
+        });
+        break;
+      }
+
       case 'EVERYALT_FETCH_IMAGE':
-        fetchImageAsBase64(request.imageUrl)
+        fetchImageAsDataUrl(request.imageUrl)
           .then((data) => sendResponse({ success: true, data }))
           .catch((err) => sendResponse({ success: false, error: err.message }));
         return true; // async
@@ -51,12 +152,20 @@
     }
   });
 
+  // Partial alt text while the provider is still answering; the port closes when it is done
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== STREAM_PORT_NAME) return;
+    port.onMessage.addListener((message) => {
+      if (message.type === 'EVERYALT_STREAM_TEXT') showStreamingText(message.text);
+    });
+  });
+
   // ── Loading State ───────────────────────────────────────────────
 
   function showLoading() {
-    removeModal();
+    removeModal({ replacing: true });
 
-    const modal = createModalShell();
+    const modal = createModalShell({ label: 'Generating alt text' });
     const body = modal.querySelector(`.${PREFIX}-modal-body`);
     body.innerHTML = '';
 
@@ -71,38 +180,164 @@
     body.appendChild(spinner);
     body.appendChild(text);
 
-    // Hide action buttons during loading
+    // Only Cancel while loading; closing the modal any other way cancels too
     const actions = modal.querySelector(`.${PREFIX}-modal-actions`);
-    if (actions) actions.style.display = 'none';
+    actions.innerHTML = '';
+    const cancelBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => closeModal());
+    actions.appendChild(cancelBtn);
 
-    document.body.appendChild(modal);
-    currentModal = modal;
+    modal._loading = true;
+    openModal(modal, { focus: cancelBtn, announcement: 'Generating alt text\u2026' });
   }
 
-  // ── Result Modal ────────────────────────────────────────────────
+  /**
+   * Swap the spinner for the text received so far. showResult() replaces the
+   * whole dialog when the answer is complete, so this stays read-only.
+   * @param {string} text
+   */
+  function showStreamingText(text) {
+    if (!currentModal || !currentModal._loading || !text) return;
+    const body = currentModal.querySelector(`.${PREFIX}-modal-body`);
+    let preview = body.querySelector(`.${PREFIX}-alt-textarea`);
+    if (!preview) {
+      body.querySelector(`.${PREFIX}-spinner`)?.remove();
+      preview = el('textarea', `${PREFIX}-alt-textarea ${PREFIX}-alt-streaming`);
+      preview.rows = 3;
+      preview.readOnly = true;
+      preview.setAttribute('aria-label', 'Alt text, still being generated');
+      // Screen readers get the finished text from the result dialog, not every token
+      preview.setAttribute('aria-busy', 'true');
+      body.appendChild(preview);
+    }
+    preview.value = text;
+    preview.scrollTop = preview.scrollHeight;
+  }
 
-  function showResult(altText, cost) {
-    removeModal();
+  // ── Result Modal ────────────────────────────────────────────────
 
-    const modal = createModalShell();
+  /**
+   * @param {object} result - { altText, altTexts, details, detailsByLanguage, languages,
+   *   context, decorativeVerdict, lint, copyTemplates, historyId, profileName, model, cost,
+   *   cached, cachedAt, cacheEnabled, budgetWarning }
+   *   lint: { rules, maxLength } from settings; copyTemplates: user "Copy as" formats;
+   *   historyId: history entry that receives the final (edited or applied) alt;
+   *   budgetWarning: set when spend is past the warning threshold of a budget
+   *   altTexts (code -> text) is set when several languages were requested;
+   *   details / detailsByLanguage hold the fields of a structured result.
+   */
+  function showResult({
+    altText,
+    altTexts,
+    details,
+    detailsByLanguage,
+    languages,
+    context,
+    decorativeVerdict,
+    lint,
+    copyTemplates,
+    historyId,
+    profileName,
+    model,
+    cost,
+    cached,
+    cachedAt,
+    cacheEnabled,
+    budgetWarning,
+  }) {
+    removeModal({ replacing: true });
+
+    const modal = createModalShell({ label: 'Generated alt text' });
     const body = modal.querySelector(`.${PREFIX}-modal-body`);
     body.innerHTML = '';
 
-    // Alt text in an editable textarea (easy to select all or make quick edits)
-    const textarea = el('textarea', `${PREFIX}-alt-textarea`);
-    textarea.value = altText;
-    textarea.rows = 3;
-    textarea.setAttribute('aria-label', 'Generated alt text');
-    body.appendChild(textarea);
+    // Alt text in an editable textarea (easy to select all or make quick edits).
+    // Apply writes the language the page is in, if it is one of several.
+    let textarea;
+    let altInputs;
+    let readSection = () => ({});
+    const multiLanguage = languages && languages.length > 1;
+    if (details) {
+      const sections = multiLanguage
+        ? languages.map((code) => buildDetailsSection(detailsByLanguage[code], code, true))
+        : [buildDetailsSection(details, languages && languages[0], false)];
+      sections.forEach((section) => body.appendChild(section.container));
+      const section = sections.find((candidate) => matchesPageLanguage(candidate.code)) || sections[0];
+      textarea = section.textarea;
+      readSection = section.read;
+      altInputs = sections.map((candidate) => candidate.textarea);
+    } else if (altTexts && multiLanguage) {
+      const fields = languages.map((code) =>
+        buildTextField(languageName(code), altTexts[code] || '', { lang: code })
+      );
+      fields.forEach((field) => body.appendChild(field.row));
+      textarea = (fields.find((field) => matchesPageLanguage(field.textarea.lang)) || fields[0]).textarea;
+      altInputs = fields.map((field) => field.textarea);
+    } else {
+      textarea = el('textarea', `${PREFIX}-alt-textarea`);
+      textarea.value = altText;
+      textarea.rows = 3;
+      textarea.setAttribute('aria-label', 'Generated alt text');
+      if (languages && languages.length === 1) textarea.lang = languages[0];
+      body.appendChild(textarea);
+      altInputs = [textarea];
+    }
+
+    // Check the generated text (live, as it is edited) and what the page has now
+    const lintOptions = getLintOptions(lint);
+    altInputs.forEach((input) => attachLinter(input, lintOptions));
+    const existingAltNotice = buildExistingAltNotice(lintOptions);
+    if (existingAltNotice) body.prepend(existingAltNotice);
+
+    if (context && context.length > 0) body.appendChild(buildContextSummary(context));
+
+    if (profileName) {
+      const profileEl = el('p', `${PREFIX}-cost-info`);
+      profileEl.textContent = `Profile: ${profileName}`;
+      body.appendChild(profileEl);
+    }
 
     // Cost info
-    if (cost && cost.costCents) {
+    if (cached) {
+      const costEl = el('p', `${PREFIX}-cost-info ${PREFIX}-cache-info`);
+      costEl.textContent = 'From cache';
+      if (cachedAt) {
+        costEl.textContent += ` (generated ${new Date(cachedAt).toLocaleDateString()})`;
+      }
+      costEl.textContent += ' \u00B7 no API cost';
+      body.appendChild(costEl);
+    } else if (cost && cost.costCents) {
       const costEl = el('p', `${PREFIX}-cost-info`);
       costEl.textContent = `Est. cost: ${cost.costCents}`;
       if (cost.tokens) {
-        costEl.textContent += ` (${cost.tokens.total} tokens)`;
+        costEl.textContent += ` (${cost.tokens.total} tokens${model ? `, ${model}` : ''})`;
       }
       body.appendChild(costEl);
+    } else if (cost && cost.tokens) {
+      // No price for this model in the pricing table
+      const costEl = el('p', `${PREFIX}-cost-info`);
+      costEl.textContent = `${cost.tokens.total} tokens \u00B7 no price set for ${model || 'this model'}`;
+      body.appendChild(costEl);
+    }
+
+    if (budgetWarning) {
+      const budgetEl = el('p', `${PREFIX}-budget-warning`);
+      budgetEl.setAttribute('role', 'status');
+      budgetEl.textContent = budgetWarning;
+      body.appendChild(budgetEl);
+    }
+
+    // Regenerate normally wants a fresh answer, so bypassing is the default
+    let bypassCache = null;
+    if (cacheEnabled) {
+      const label = el('label', `${PREFIX}-checkbox-label`);
+      bypassCache = document.createElement('input');
+      bypassCache.type = 'checkbox';
+      bypassCache.checked = true;
+      label.appendChild(bypassCache);
+      label.appendChild(document.createTextNode(' Bypass cache when regenerating'));
+      body.appendChild(label);
     }
 
     // Action buttons
@@ -110,7 +345,448 @@
     actions.style.display = '';
     actions.innerHTML = '';
 
-    const copyBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-primary`);
+    const copyBtn = buildCopyButton(textarea, `${PREFIX}-btn ${PREFIX}-btn-primary`);
+    // Markup uses the field Apply writes; captions come from a structured result or the page
+    const pageCaption = (context || []).find((item) => item.key === 'figcaption');
+    const copyAs = buildCopyAsSelect(copyTemplates, () => {
+      const fields = readSection();
+      return {
+        src: currentImageUrl,
+        alt: textarea.value.trim(),
+        caption: fields.caption || (pageCaption ? pageCaption.text : ''),
+        title: fields.title || '',
+        description: fields.long_description || '',
+        lang: textarea.lang || '',
+      };
+    });
+    if (multiLanguage) copyAs.setAttribute('aria-label', `Copy as (${textarea.lang})`);
+
+    const applyBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-secondary`);
+    applyBtn.textContent = multiLanguage ? `Apply (${textarea.lang})` : 'Apply';
+    if (!currentTarget && currentVisual?.visual === 'region') {
+      applyBtn.disabled = true;
+      applyBtn.title = 'A screen region has no element to apply alt text to; copy the text instead.';
+    } else if (!currentTarget || !currentTarget.isConnected) {
+      applyBtn.disabled = true;
+      applyBtn.title = 'The image could not be found on this page.';
+    } else if (!getAltAttributes(currentTarget, '')) {
+      applyBtn.disabled = true;
+      applyBtn.title = 'This background has content of its own; copy the text into your page instead.';
+    }
+    applyBtn.addEventListener('click', async () => {
+      applyBtn.disabled = true;
+      const ok = await applyAltText(currentTarget, textarea.value.trim());
+      if (ok) recordFinalAlt(textarea.value.trim());
+      showApplyState(actions, applyBtn, ok);
+    });
+
+    // The history keeps the alt the user ended up with: what was applied,
+    // or the edited text when the dialog closes
+    const generatedAlt = textarea.value.trim();
+    let recordedAlt = null;
+    const recordFinalAlt = (value) => {
+      if (!historyId || value === recordedAlt) return;
+      recordedAlt = value;
+      chrome.runtime.sendMessage({ type: 'EVERYALT_HISTORY_FINAL_ALT', historyId, finalAlt: value });
+    };
+    modal._onRemove = () => {
+      const value = textarea.value.trim();
+      if (value !== generatedAlt) recordFinalAlt(value);
+    };
+    copyBtn.addEventListener('click', () => recordFinalAlt(textarea.value.trim()));
+    copyAs.addEventListener('change', () => recordFinalAlt(textarea.value.trim()));
+
+    if (decorativeVerdict && decorativeVerdict.likely) {
+      body.prepend(buildDecorativeVerdict(decorativeVerdict, textarea, applyBtn));
+    }
+
+    const regenBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-secondary`);
+    regenBtn.textContent = 'Regenerate';
+    regenBtn.addEventListener('click', () => {
+      requestRegenerate({ bypassCache: bypassCache ? bypassCache.checked : false });
+    });
+
+    const closeBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => removeModal());
+
+    // Per-field results have a Copy button on each field
+    if (!details && !multiLanguage) actions.appendChild(copyBtn);
+    actions.appendChild(copyAs);
+    actions.appendChild(applyBtn);
+    actions.appendChild(regenBtn);
+    actions.appendChild(closeBtn);
+
+    // The textarea content is selected, ready to copy or overtype
+    openModal(modal, { focus: textarea, announcement: 'Alt text ready.' });
+  }
+
+  /**
+   * One labelled, editable field with its own Copy button.
+   * @param {string} labelText
+   * @param {string} text
+   * @param {object} [options] - { lang, rows }
+   * @returns {{row: HTMLElement, textarea: HTMLTextAreaElement}}
+   */
+  function buildTextField(labelText, text, { lang, rows = 2 } = {}) {
+    const row = el('div', `${PREFIX}-field`);
+
+    const header = el('div', `${PREFIX}-field-header`);
+    const label = el('span', `${PREFIX}-field-label`);
+    label.textContent = labelText;
+
+    const textarea = el('textarea', `${PREFIX}-alt-textarea`);
+    textarea.value = text;
+    textarea.rows = rows;
+    if (lang) textarea.lang = lang;
+    textarea.setAttribute('aria-label', labelText);
+
+    header.appendChild(label);
+    header.appendChild(buildCopyButton(textarea, `${PREFIX}-btn ${PREFIX}-btn-sm ${PREFIX}-btn-secondary`));
+    row.appendChild(header);
+    row.appendChild(textarea);
+    return { row, textarea };
+  }
+
+  /** Collapsible list of the page context that went into the prompt. */
+  function buildContextSummary(context) {
+    const summaryBox = el('details', `${PREFIX}-context`);
+    const summary = el('summary', `${PREFIX}-context-summary`);
+    summary.textContent = `Page context used (${context.length})`;
+    summaryBox.appendChild(summary);
+
+    const list = el('dl', `${PREFIX}-context-list`);
+    context.forEach(({ label, text }) => {
+      const term = el('dt', `${PREFIX}-context-label`);
+      term.textContent = label;
+      const value = el('dd', `${PREFIX}-context-text`);
+      value.textContent = text;
+      list.appendChild(term);
+      list.appendChild(value);
+    });
+    summaryBox.appendChild(list);
+    return summaryBox;
+  }
+
+  /**
+   * "Likely decorative" notice with its reasons and a one-click empty alt,
+   * which also applies alt="" when the image is on the page.
+   */
+  function buildDecorativeVerdict(verdict, textarea, applyBtn) {
+    const box = el('div', `${PREFIX}-decorative`);
+
+    const title = el('p', `${PREFIX}-decorative-title`);
+    title.textContent = 'Likely decorative';
+    box.appendChild(title);
+
+    const reasons = el('ul', `${PREFIX}-decorative-reasons`);
+    verdict.reasons.forEach(({ source, text }) => {
+      const item = el('li', `${PREFIX}-decorative-reason`);
+      item.textContent = `${source === 'model' ? 'Model' : 'Page'}: ${text}`;
+      reasons.appendChild(item);
+    });
+    box.appendChild(reasons);
+
+    const emptyBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-sm ${PREFIX}-btn-secondary`);
+    emptyBtn.textContent = 'Use empty alt';
+    emptyBtn.title = 'Decorative images should have alt="" so screen readers skip them.';
+    emptyBtn.addEventListener('click', () => {
+      textarea.value = '';
+      if (!applyBtn.disabled) applyBtn.click();
+    });
+    box.appendChild(emptyBtn);
+
+    return box;
+  }
+
+  // ── Alt Text Linter ─────────────────────────────────────────────
+
+  const DEFAULT_LINT_MAX_LENGTH = 125;
+  const PLACEHOLDER_ALT_PATTERN = /^(an? )?(photo|photograph|image|picture|pic|img|graphic|icon|logo|banner|thumbnail|untitled|placeholder|default|spacer|alt|alt text|null|undefined|none)s?$/i;
+  const FILE_EXTENSION_PATTERN = /\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?|heic)\s*$/i;
+  // Camera names (IMG_1234), or one "word" joined by underscores or several hyphens
+  const FILENAME_LIKE_PATTERN = /^((img|dsc|dscn|pxl|screenshot|image|photo)[-_ ]?\d+|\S*_\S*|\w+(-\w+){2,})$/i;
+
+  /**
+   * Lint rules, in display order. Each check returns null when the text
+   * passes, or { message, fix } where fix is replacement text (or null when
+   * only a person can fix it). Ids match the checkboxes on the options page.
+   */
+  const LINT_RULES = [
+    {
+      id: 'tooLong',
+      check(alt, { maxLength }) {
+        if (alt.length <= maxLength) return null;
+        const firstSentence = alt.match(/^.+?[.!?](?=\s|$)/)?.[0];
+        return {
+          message: `${alt.length} characters; keep alt text under ${maxLength} and move detail into a caption or long description.`,
+          fix: firstSentence && firstSentence.length <= maxLength ? firstSentence : null,
+        };
+      },
+    },
+    {
+      id: 'redundantPrefix',
+      check(alt) {
+        const match = alt.match(REDUNDANT_PREFIX_PATTERN);
+        if (!match) return null;
+        return {
+          message: `Starts with \u201C${match[0]}\u201D; screen readers already announce an image.`,
+          fix: capitalize(alt.slice(match[0].length).replace(/^[\s:,-]+/, '')),
+        };
+      },
+    },
+    {
+      id: 'filename',
+      check(alt) {
+        const looksLikeFile = /^https?:\/\//i.test(alt) || FILENAME_LIKE_PATTERN.test(alt.replace(FILE_EXTENSION_PATTERN, ''));
+        return looksLikeFile ? { message: 'Looks like a file name or URL, not a description.', fix: null } : null;
+      },
+    },
+    {
+      id: 'allCaps',
+      check(alt) {
+        const letters = alt.replace(/[^\p{L}]/gu, '');
+        if (letters.length < 4 || letters !== letters.toUpperCase() || letters === letters.toLowerCase()) {
+          return null;
+        }
+        return {
+          message: 'Written in ALL CAPS; some screen readers spell it out letter by letter.',
+          fix: capitalize(alt.toLowerCase()),
+        };
+      },
+    },
+    {
+      id: 'repeatsCaption',
+      check(alt, { caption }) {
+        if (!caption || normalizeText(alt) !== normalizeText(caption)) return null;
+        return {
+          message: 'Repeats the caption next to the image, so screen readers hear it twice. Describe what the caption does not say.',
+          fix: null,
+        };
+      },
+    },
+    {
+      id: 'placeholder',
+      check(alt) {
+        return PLACEHOLDER_ALT_PATTERN.test(alt.trim())
+          ? { message: `\u201C${alt.trim()}\u201D is a placeholder, not a description.`, fix: null }
+          : null;
+      },
+    },
+    {
+      id: 'fileExtension',
+      check(alt) {
+        if (!FILE_EXTENSION_PATTERN.test(alt)) return null;
+        return {
+          message: 'Ends with a file extension.',
+          fix: alt.replace(FILE_EXTENSION_PATTERN, '').trim(),
+        };
+      },
+    },
+  ];
+
+  /** @param {object} [lint] - { rules, maxLength } from settings; all rules when absent */
+  function getLintOptions(lint) {
+    return {
+      rules: lint && Array.isArray(lint.rules) ? lint.rules : LINT_RULES.map((rule) => rule.id),
+      maxLength: (lint && lint.maxLength) || DEFAULT_LINT_MAX_LENGTH,
+      caption: currentTarget && currentTarget.isConnected ? getCaptionText(currentTarget) : '',
+    };
+  }
+
+  /**
+   * Run the enabled rules over alt text. Empty alt is left alone: it is a
+   * deliberate choice for decorative images.
+   * @returns {Array<{id: string, message: string, fix: string|null}>}
+   */
+  function lintAlt(alt, options) {
+    const text = (alt || '').trim();
+    if (!text) return [];
+    const issues = [];
+    for (const rule of LINT_RULES) {
+      if (!options.rules.includes(rule.id)) continue;
+      const issue = rule.check(text, options);
+      if (issue) issues.push({ id: rule.id, ...issue });
+    }
+    return issues;
+  }
+
+  /** Show warnings under an alt field and refresh them as it is edited. */
+  function attachLinter(textarea, options) {
+    const list = el('ul', `${PREFIX}-lint-list`);
+    list.setAttribute('aria-live', 'polite');
+    textarea.after(list);
+
+    const render = () => {
+      list.innerHTML = '';
+      lintAlt(textarea.value, options).forEach((issue) => {
+        const item = el('li', `${PREFIX}-lint-item`);
+        const message = el('span', `${PREFIX}-lint-message`);
+        message.textContent = issue.message;
+        item.appendChild(message);
+
+        if (issue.fix !== null && issue.fix !== textarea.value.trim()) {
+          const fixBtn = el('button', `${PREFIX}-lint-fix`);
+          fixBtn.textContent = issue.fix ? `Use \u201C${truncateText(issue.fix, 60)}\u201D` : 'Fix';
+          fixBtn.addEventListener('click', () => {
+            textarea.value = issue.fix;
+            render();
+            textarea.focus();
+          });
+          item.appendChild(fixBtn);
+        }
+        list.appendChild(item);
+      });
+    };
+
+    textarea.addEventListener('input', render);
+    render();
+  }
+
+  /** Warnings for the alt the right-clicked image has now, if any. */
+  function buildExistingAltNotice(options) {
+    if (!currentTarget || !currentTarget.isConnected) return null;
+    if (!currentTarget.matches(PICKABLE_SELECTOR)) return null;
+    const alt = currentTarget.getAttribute('alt');
+    const issues = lintAlt(alt, options);
+    if (alt !== null && issues.length === 0) return null;
+
+    const box = el('div', `${PREFIX}-existing-alt`);
+    const title = el('p', `${PREFIX}-existing-alt-title`);
+    box.appendChild(title);
+
+    if (alt === null) {
+      title.textContent = 'This image has no alt attribute yet.';
+      return box;
+    }
+
+    title.textContent = `Current alt: \u201C${truncateText(alt, 80)}\u201D`;
+    const list = el('ul', `${PREFIX}-lint-list`);
+    issues.forEach((issue) => {
+      const item = el('li', `${PREFIX}-lint-item`);
+      item.textContent = issue.fix ? `${issue.message} Suggested: \u201C${issue.fix}\u201D` : issue.message;
+      list.appendChild(item);
+    });
+    box.appendChild(list);
+    return box;
+  }
+
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  function truncateText(text, max) {
+    return text.length > max ? text.slice(0, max - 1) + '\u2026' : text;
+  }
+
+  // ── Structured Result ───────────────────────────────────────────
+
+  const DETAIL_FIELDS = [
+    { key: 'alt', label: 'Alt text', rows: 2 },
+    { key: 'caption', label: 'Caption', rows: 2 },
+    { key: 'title', label: 'Title', rows: 1 },
+    { key: 'long_description', label: 'Long description', rows: 4 },
+  ];
+
+  /**
+   * Fields of one structured result, plus export snippets built from the
+   * (possibly edited) values.
+   * @param {object} details - { alt, caption, title, long_description, is_decorative }
+   * @param {string} [code] - Language of the fields
+   * @param {boolean} showLanguage - Head the section with the language name
+   * @returns {{code: string, container: HTMLElement, textarea: HTMLTextAreaElement,
+   *   read: () => object}}
+   */
+  function buildDetailsSection(details, code, showLanguage) {
+    const container = el('div', `${PREFIX}-details`);
+    if (code) container.lang = code;
+
+    if (showLanguage) {
+      const heading = el('p', `${PREFIX}-details-heading`);
+      heading.textContent = languageName(code);
+      container.appendChild(heading);
+    }
+
+    const inputs = {};
+    DETAIL_FIELDS.forEach(({ key, label, rows }) => {
+      const field = buildTextField(label, details[key] || '', { lang: code, rows });
+      inputs[key] = field.textarea;
+      container.appendChild(field.row);
+    });
+
+    const readDetails = () => ({
+      alt: inputs.alt.value.trim(),
+      caption: inputs.caption.value.trim(),
+      title: inputs.title.value.trim(),
+      long_description: inputs.long_description.value.trim(),
+      is_decorative: !!details.is_decorative,
+    });
+
+    const exportRow = el('div', `${PREFIX}-export-row`);
+    exportRow.appendChild(
+      buildSnippetButton('Copy <figure>', () => buildFigureSnippet(currentImageUrl, readDetails()))
+    );
+    exportRow.appendChild(
+      buildSnippetButton('Copy with aria-describedby', () =>
+        buildDescribedBySnippet(currentImageUrl, readDetails())
+      )
+    );
+    container.appendChild(exportRow);
+
+    return { code, container, textarea: inputs.alt, read: readDetails };
+  }
+
+  function buildSnippetButton(label, build) {
+    const btn = el('button', `${PREFIX}-btn ${PREFIX}-btn-sm ${PREFIX}-btn-secondary`);
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      navigator.clipboard.writeText(build()).then(() => {
+        btn.textContent = 'Copied!';
+        btn.classList.add(`${PREFIX}-btn-success`);
+        setTimeout(() => {
+          btn.textContent = label;
+          btn.classList.remove(`${PREFIX}-btn-success`);
+        }, 2000);
+      });
+    });
+    return btn;
+  }
+
+  /** <figure> with the image and its caption. Decorative images get alt="". */
+  function buildFigureSnippet(src, details) {
+    let html = `<figure>\n  ${buildImgTag(src, details)}\n`;
+    if (details.caption) html += `  <figcaption>${escapeHtml(details.caption)}</figcaption>\n`;
+    return html + '</figure>';
+  }
+
+  /** Image pointing at its long description (or caption) through aria-describedby. */
+  function buildDescribedBySnippet(src, details) {
+    const description = details.long_description || details.caption;
+    if (!description || details.is_decorative) return buildImgTag(src, details);
+
+    const id = `${PREFIX}-desc-${Math.random().toString(36).slice(2, 8)}`;
+    return (
+      `${buildImgTag(src, details, ` aria-describedby="${id}"`)}\n` +
+      `<p id="${id}">${escapeHtml(description)}</p>`
+    );
+  }
+
+  function buildImgTag(src, details, extraAttributes = '') {
+    const alt = details.is_decorative ? '' : details.alt;
+    const title = details.title && !details.is_decorative ? ` title="${escapeHtml(details.title)}"` : '';
+    return `<img src="${escapeHtml(src || '')}" alt="${escapeHtml(alt)}"${title}${extraAttributes}>`;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function buildCopyButton(textarea, className) {
+    const copyBtn = el('button', className);
     copyBtn.textContent = 'Copy';
     copyBtn.addEventListener('click', () => {
       navigator.clipboard.writeText(textarea.value).then(() => {
@@ -122,52 +798,329 @@
         }, 2000);
       });
     });
+    return copyBtn;
+  }
 
-    const regenBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-secondary`);
-    regenBtn.textContent = 'Regenerate';
-    regenBtn.addEventListener('click', () => {
-      chrome.runtime.sendMessage({
-        type: 'EVERYALT_REGENERATE',
-        imageUrl: currentImageUrl,
+  // ── Copy As ─────────────────────────────────────────────────────
+
+  /**
+   * Built-in "Copy as" formats. Templates use {{placeholder}} or
+   * {{placeholder|filter}}; see fillTemplate().
+   */
+  const COPY_FORMATS = [
+    { name: '<img> tag', template: '<img src="{{src|html}}" alt="{{alt|html}}">' },
+    {
+      name: '<figure> with <figcaption>',
+      template:
+        '<figure>\n  <img src="{{src|html}}" alt="{{alt|html}}">\n' +
+        '  <figcaption>{{caption|html}}</figcaption>\n</figure>',
+    },
+    { name: 'Markdown', template: '![{{alt|md}}]({{src|url}})' },
+    { name: 'JSX', template: '<img src={{{src|json}}} alt={{{alt|json}}} />' },
+    {
+      name: 'WordPress shortcode',
+      template: '[caption]<img src="{{src|html}}" alt="{{alt|html}}" /> {{caption|html}}[/caption]',
+    },
+    {
+      name: 'Hugo shortcode',
+      template: '{{< figure src={{src|json}} alt={{alt|json}} caption={{caption|json}} >}}',
+    },
+  ];
+
+  const URL_ESCAPES = { ' ': '%20', '(': '%28', ')': '%29' };
+
+  const TEMPLATE_FILTERS = {
+    html: escapeHtml,
+    json: (value) => JSON.stringify(value),
+    // Page URLs are already percent-encoded; only escape what breaks Markdown links
+    url: (value) => value.replace(/[ ()]/g, (char) => URL_ESCAPES[char]),
+    md: (value) => value.replace(/[\\[\]]/g, '\\$&'),
+  };
+
+  /**
+   * Replace {{name}} / {{name|filter}} with values. Unknown names become empty;
+   * unknown filters leave the value as is. Anything else in braces is kept,
+   * so Hugo's {{< >}} and JSX expressions pass through.
+   * @param {string} template
+   * @param {object} values - { src, alt, caption, title, description, lang }
+   * @returns {string}
+   */
+  function fillTemplate(template, values) {
+    return template.replace(/\{\{(\w+)(?:\|(\w+))?\}\}/g, (match, name, filter) => {
+      const value = String(values[name] ?? '');
+      return filter && TEMPLATE_FILTERS[filter] ? TEMPLATE_FILTERS[filter](value) : value;
+    });
+  }
+
+  /**
+   * "Copy as" dropdown: picking a format copies the filled template.
+   * @param {Array<{name: string, template: string}>} userTemplates - From settings
+   * @param {() => object} readValues - Current values for fillTemplate()
+   * @returns {HTMLSelectElement}
+   */
+  function buildCopyAsSelect(userTemplates, readValues) {
+    const formats = COPY_FORMATS.concat(userTemplates || []);
+    const select = el('select', `${PREFIX}-copy-as`);
+    select.setAttribute('aria-label', 'Copy as');
+    select.add(new Option('Copy as\u2026', ''));
+    formats.forEach((format, index) => select.add(new Option(format.name, String(index))));
+
+    select.addEventListener('change', () => {
+      const format = formats[Number(select.value)];
+      if (!select.value || !format) return;
+      navigator.clipboard.writeText(fillTemplate(format.template, readValues())).then(() => {
+        select.options[0].textContent = `Copied ${format.name}!`;
+        select.classList.add(`${PREFIX}-copy-as-done`);
+        setTimeout(() => {
+          select.options[0].textContent = 'Copy as\u2026';
+          select.classList.remove(`${PREFIX}-copy-as-done`);
+        }, 2000);
       });
+      select.value = '';
     });
+    return select;
+  }
 
-    const closeBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
-    closeBtn.textContent = 'Close';
-    closeBtn.addEventListener('click', () => removeModal());
+  function languageName(code) {
+    try {
+      return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(code) || code;
+    } catch {
+      return code;
+    }
+  }
 
-    actions.appendChild(copyBtn);
-    actions.appendChild(regenBtn);
-    actions.appendChild(closeBtn);
+  /** True when `code` is the page's declared language (or its primary subtag). */
+  function matchesPageLanguage(code) {
+    const pageLang = (document.documentElement.lang || '').toLowerCase();
+    if (!pageLang || !code) return false;
+    const lang = code.toLowerCase();
+    return pageLang === lang || pageLang.split('-')[0] === lang.split('-')[0];
+  }
+
+  // ── Apply to Page ───────────────────────────────────────────────
 
-    document.body.appendChild(modal);
-    currentModal = modal;
+  /** Per-page undo stack: { element, editor, previous } */
+  const appliedChanges = [];
 
-    // Auto-select the textarea content
-    textarea.focus();
-    textarea.select();
+  // Block types whose image alt lives in a differently named attribute
+  const GUTENBERG_ALT_ATTRIBUTES = {
+    'core/image': 'alt',
+    'core/cover': 'alt',
+    'core/media-text': 'mediaAlt',
+  };
+
+  function showApplyState(actions, applyBtn, ok) {
+    if (!ok) {
+      applyBtn.textContent = 'Apply failed';
+      applyBtn.disabled = false;
+      return;
+    }
+    applyBtn.textContent = 'Applied';
+    applyBtn.classList.add(`${PREFIX}-btn-success`);
+
+    const undoBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
+    undoBtn.textContent = 'Undo';
+    undoBtn.addEventListener('click', async () => {
+      undoBtn.disabled = true;
+      await undoLastApply();
+      undoBtn.remove();
+      applyBtn.textContent = 'Apply';
+      applyBtn.classList.remove(`${PREFIX}-btn-success`);
+      applyBtn.disabled = false;
+    });
+    applyBtn.after(undoBtn);
+  }
+
+  /**
+   * Find the element behind a context-menu srcUrl: the recorded right-click
+   * target when it matches, else the first image with that URL (including
+   * same-origin iframes such as TinyMCE or the block editor canvas).
+   */
+  function findImageElement(srcUrl) {
+    const target = lastContextTarget;
+    if (target) {
+      if (matchesSrc(target, srcUrl)) return target;
+      const inner = target.querySelector?.('img');
+      if (inner && matchesSrc(inner, srcUrl)) return inner;
+    }
+
+    for (const doc of getSearchableDocuments()) {
+      for (const node of doc.querySelectorAll('img, input[type="image"]')) {
+        if (matchesSrc(node, srcUrl)) return node;
+      }
+    }
+    return null;
+  }
+
+  function matchesSrc(node, srcUrl) {
+    return (node.tagName === 'IMG' || node.tagName === 'INPUT') &&
+      (node.currentSrc === srcUrl || node.src === srcUrl);
+  }
+
+  function getSearchableDocuments() {
+    const docs = [document];
+    document.querySelectorAll('iframe').forEach((frame) => {
+      try {
+        if (frame.contentDocument) docs.push(frame.contentDocument);
+      } catch {
+        // Cross-origin frame
+      }
+    });
+    return docs;
+  }
+
+  /**
+   * Work out which editor (if any) owns the element.
+   * @returns {{type: string, root: Element, editorId?: string, clientId?: string, blockType?: string}|null}
+   */
+  function detectEditor(element) {
+    const doc = element.ownerDocument;
+    const frame = doc.defaultView?.frameElement;
+
+    // TinyMCE (iframe mode): <iframe id="{editorId}_ifr"> with a .mce-content-body
+    if (frame?.id?.endsWith('_ifr') && doc.body?.classList.contains('mce-content-body')) {
+      return { type: 'tinymce', root: doc.body, editorId: frame.id.slice(0, -4) };
+    }
+    // TinyMCE (inline mode)
+    const inlineMce = element.closest('.mce-content-body[id]');
+    if (inlineMce) {
+      return { type: 'tinymce', root: inlineMce, editorId: inlineMce.id };
+    }
+    // Gutenberg: block wrapper carries the clientId and block name
+    const block = element.closest('[data-block][data-type]');
+    if (block && GUTENBERG_ALT_ATTRIBUTES[block.dataset.type]) {
+      return { type: 'gutenberg', root: block, clientId: block.dataset.block, blockType: block.dataset.type };
+    }
+    const prosemirror = element.closest('.ProseMirror');
+    if (prosemirror) {
+      return { type: 'prosemirror', root: prosemirror };
+    }
+    const editable = element.closest('[contenteditable]:not([contenteditable="false"])');
+    if (editable) {
+      return { type: 'contenteditable', root: editable };
+    }
+    return null;
+  }
+
+  /**
+   * Set the alt attribute and notify the owning editor so the change is saved.
+   * @param {Element} element
+   * @param {string} altText
+   * @returns {Promise<boolean>}
+   */
+  async function applyAltText(element, altText) {
+    if (!element || !element.isConnected) return false;
+    const attributes = getAltAttributes(element, altText);
+    if (!attributes) return false;
+
+    const previous = {};
+    Object.keys(attributes).forEach((name) => {
+      previous[name] = element.getAttribute(name);
+    });
+    // Editors only track alt on their image blocks
+    const editor = 'alt' in attributes ? detectEditor(element) : null;
+    const ok = await writeAlt(element, attributes, editor);
+    if (ok) appliedChanges.push({ element, editor, previous });
+    return ok;
+  }
+
+  /**
+   * Where an element's text alternative goes: alt on images, aria-label on
+   * everything else, with role="img" unless the element is a video or has
+   * content of its own (which role="img" would hide from screen readers).
+   * @returns {object|null} attribute -> value; null when there is no safe place
+   */
+  function getAltAttributes(element, altText) {
+    if (element.matches(PICKABLE_SELECTOR)) return { alt: altText };
+    if (element.tagName === 'VIDEO') return { 'aria-label': altText };
+    const isGraphic = element.tagName === 'svg' || element.tagName === 'CANVAS';
+    if (!isGraphic && (element.children.length > 0 || element.textContent.trim())) return null;
+    return { role: 'img', 'aria-label': altText };
+  }
+
+  async function undoLastApply() {
+    const change = appliedChanges.pop();
+    if (!change || !change.element.isConnected) return false;
+    return writeAlt(change.element, change.previous, change.editor);
+  }
+
+  /**
+   * @param {Element} element
+   * @param {object} attributes - name -> value; null removes the attribute
+   * @param {object|null} editor - From detectEditor()
+   */
+  async function writeAlt(element, attributes, editor) {
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (value === null) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+    });
+
+    if (!editor) return true;
+
+    // TinyMCE and Gutenberg keep their own model in the page's JS world
+    if (editor.type === 'tinymce' || editor.type === 'gutenberg') {
+      const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      element.setAttribute('data-everyalt-apply', token);
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'EVERYALT_APPLY_IN_EDITOR',
+          editor: {
+            type: editor.type,
+            editorId: editor.editorId,
+            clientId: editor.clientId,
+            attribute: GUTENBERG_ALT_ATTRIBUTES[editor.blockType],
+          },
+          token,
+          alt: attributes.alt,
+        });
+        if (!response?.success) return false;
+      } catch {
+        return false;
+      } finally {
+        element.removeAttribute('data-everyalt-apply');
+      }
+    }
+
+    // contenteditable / ProseMirror / TinyMCE listen for DOM input events
+    const target = editor.root;
+    target.dispatchEvent(
+      new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' })
+    );
+    target.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
   }
 
   // ── Error Modal ─────────────────────────────────────────────────
 
-  function showError(message, actionUrl) {
-    removeModal();
+  /**
+   * @param {object} error - { message, code, action }
+   *   action: { label, url } opens a page, { label, retry: true } regenerates,
+   *   { label, unlock: true } asks for the passphrase, then offers to retry
+   */
+  function showError({ message, code, action }) {
+    removeModal({ replacing: true });
 
-    const modal = createModalShell();
+    const modal = createModalShell({ label: 'Error', alert: true });
     const body = modal.querySelector(`.${PREFIX}-modal-body`);
     body.innerHTML = '';
 
     const errorBox = el('div', `${PREFIX}-error-box`);
+    if (code) errorBox.dataset.code = code;
     const errorText = el('p', `${PREFIX}-error-text`);
+    errorText.id = `${PREFIX}-error-text`;
     errorText.textContent = message || 'An error occurred.';
     errorBox.appendChild(errorText);
 
-    if (actionUrl) {
+    if (action && action.url) {
       const link = document.createElement('a');
-      link.href = actionUrl;
+      link.href = action.url;
       link.target = '_blank';
+      link.rel = 'noopener';
       link.className = `${PREFIX}-error-link`;
-      link.textContent = 'Open Settings';
+      link.textContent = action.label;
       errorBox.appendChild(link);
     }
 
@@ -177,27 +1130,194 @@
     actions.style.display = '';
     actions.innerHTML = '';
 
+    if (action && action.retry && currentImageUrl) {
+      const retryBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-primary`);
+      retryBtn.textContent = action.label;
+      retryBtn.addEventListener('click', () => requestRegenerate());
+      actions.appendChild(retryBtn);
+    }
+
+    if (action && action.capture) {
+      // Whatever blocked loading the image, it is still on screen
+      const captureBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-primary`);
+      captureBtn.textContent = action.label;
+      captureBtn.addEventListener('click', () => captureElementFromScreen(currentTarget));
+      actions.appendChild(captureBtn);
+    }
+
+    if (action && action.unlock) {
+      // The passphrase is typed in the extension popup, never into the page
+      const unlockBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-primary`);
+      unlockBtn.textContent = action.label;
+      unlockBtn.addEventListener('click', () => {
+        if (unlockBtn.dataset.unlocked && currentImageUrl) {
+          requestRegenerate();
+          return;
+        }
+        chrome.runtime.sendMessage({ type: 'EVERYALT_OPEN_UNLOCK' });
+        if (currentImageUrl) {
+          unlockBtn.dataset.unlocked = 'true';
+          unlockBtn.textContent = 'Try again';
+        }
+      });
+      actions.appendChild(unlockBtn);
+    }
+
     const closeBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
     closeBtn.textContent = 'Close';
     closeBtn.addEventListener('click', () => removeModal());
     actions.appendChild(closeBtn);
 
-    document.body.appendChild(modal);
-    currentModal = modal;
+    // Focus the way out of the error (retry, unlock...), else Close
+    openModal(modal, { focus: actions.firstElementChild, announcement: errorText.textContent, urgent: true });
+  }
+
+  /**
+   * Ask for another result for the current image. Visuals captured in the
+   * page send the same pixels again rather than a URL the worker can't load.
+   * @param {object} [options] - { bypassCache }
+   */
+  function requestRegenerate(options = {}) {
+    chrome.runtime.sendMessage({
+      type: 'EVERYALT_REGENERATE',
+      imageUrl: currentImageUrl,
+      imageData: currentVisual?.imageData,
+      visual: currentVisual?.visual,
+      profileId: currentProfileId,
+      ...options,
+    });
+  }
+
+  // ── Dialog Host ─────────────────────────────────────────────────
+
+  // The dialog is rendered in a closed shadow root: page CSS can't restyle it,
+  // its stylesheet (content-dialog.css) can't leak into the page, and page
+  // scripts can't reach into it
+  let dialogHost = null;
+  let dialogRoot = null;
+  let dialogStyled = null; // Settles once content-dialog.css has loaded
+
+  // Screen readers ignore text put into a live region in the same tick it appears
+  const ANNOUNCE_DELAY_MS = 150;
+
+  const FOCUSABLE_SELECTOR = [
+    'button:not([disabled])',
+    'a[href]',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'summary',
+    '[tabindex]:not([tabindex="-1"])',
+  ].join(', ');
+
+  /** The dialog's shadow root, created on first use (and again if the page removed the host). */
+  function getDialogRoot() {
+    if (dialogHost && dialogHost.isConnected) return dialogRoot;
+
+    dialogHost = document.createElement(DIALOG_TAG);
+    // Page rules that match the host itself would beat :host; inline ones don't lose.
+    // Hidden until styled, so the dialog never flashes up as bare page content.
+    dialogHost.style.setProperty('all', 'initial', 'important');
+    dialogHost.style.setProperty('visibility', 'hidden', 'important');
+    dialogRoot = dialogHost.attachShadow({ mode: 'closed' });
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = chrome.runtime.getURL('content-dialog.css');
+    const host = dialogHost;
+    dialogStyled = new Promise((resolve) => {
+      link.addEventListener('load', resolve, { once: true });
+      link.addEventListener('error', resolve, { once: true });
+    }).then(() => host.style.removeProperty('visibility'));
+    dialogRoot.appendChild(link);
+
+    document.body.appendChild(dialogHost);
+    return dialogRoot;
+  }
+
+  /**
+   * Show a dialog built by createModalShell(): move focus into it and tell
+   * screen readers what it is about. The page element that had focus before
+   * the first dialog gets it back when the last one closes.
+   * @param {HTMLElement} overlay
+   * @param {object} [options] - { focus, announcement, urgent }
+   *   focus: element to focus (a textarea is also selected); default the dialog itself
+   *   urgent: announce assertively, for errors
+   */
+  function openModal(overlay, { focus, announcement, urgent = false } = {}) {
+    if (!returnFocus) returnFocus = { element: getPageFocus() };
+
+    const live = overlay.querySelector(`.${PREFIX}-live`);
+    live.setAttribute('role', urgent ? 'alert' : 'status');
+
+    const root = getDialogRoot();
+    root.appendChild(overlay);
+    currentModal = overlay;
+
+    dialogStyled.then(() => {
+      if (currentModal !== overlay) return;
+      const target = focus || overlay.querySelector(`.${PREFIX}-modal`);
+      target.focus();
+      if (target.tagName === 'TEXTAREA') target.select();
+      if (announcement) {
+        setTimeout(() => {
+          live.textContent = announcement;
+        }, ANNOUNCE_DELAY_MS);
+      }
+    });
+  }
+
+  /** The page element with focus, if it is worth returning to. */
+  function getPageFocus() {
+    const active = document.activeElement;
+    return active && active !== document.body && active !== dialogHost ? active : null;
+  }
+
+  /** Keep Tab and Shift+Tab cycling through the dialog's controls. */
+  function trapFocus(e, overlay) {
+    const dialog = overlay.querySelector(`.${PREFIX}-modal`);
+    // Controls that are [hidden] or inside a closed <details> have no boxes
+    const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+      (node) => node.getClientRects().length > 0
+    );
+    const active = dialogRoot.activeElement;
+    const first = focusable[0] || dialog;
+    const last = focusable[focusable.length - 1] || dialog;
+
+    if (!dialog.contains(active)) {
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && (active === first || active === dialog)) {
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      first.focus();
+    } else {
+      return;
+    }
+    e.preventDefault();
   }
 
   // ── Modal Shell (shared structure) ──────────────────────────────
 
-  function createModalShell() {
+  /**
+   * @param {object} options - { label, alert }
+   *   label: what the dialog is for, read out when focus enters it
+   *   alert: an error; described by the element with id everyalt-error-text
+   */
+  function createModalShell({ label, alert = false }) {
     const overlay = el('div', `${PREFIX}-overlay`);
 
     // Backdrop (click to close)
     const backdrop = el('div', `${PREFIX}-backdrop`);
-    backdrop.addEventListener('click', () => removeModal());
+    backdrop.addEventListener('click', () => closeModal());
     overlay.appendChild(backdrop);
 
     // Modal container
     const modal = el('div', `${PREFIX}-modal`);
+    modal.setAttribute('role', alert ? 'alertdialog' : 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-label', `EveryAlt: ${label}`);
+    if (alert) modal.setAttribute('aria-describedby', `${PREFIX}-error-text`);
+    modal.tabIndex = -1;
 
     // Header
     const header = el('div', `${PREFIX}-modal-header`);
@@ -220,7 +1340,7 @@
     const closeX = el('button', `${PREFIX}-close-x`);
     closeX.innerHTML = '&times;';
     closeX.setAttribute('aria-label', 'Close');
-    closeX.addEventListener('click', () => removeModal());
+    closeX.addEventListener('click', () => closeModal());
     header.appendChild(closeX);
 
     modal.appendChild(header);
@@ -233,70 +1353,1213 @@
     const actions = el('div', `${PREFIX}-modal-actions`);
     modal.appendChild(actions);
 
+    // Announcements; inside the dialog, as aria-modal hides everything outside it
+    modal.appendChild(el('div', `${PREFIX}-live ${PREFIX}-sr-only`));
+
     overlay.appendChild(modal);
 
-    // ESC key handler
-    overlay._escHandler = (e) => {
-      if (e.key === 'Escape') removeModal();
+    // Esc closes; Tab stays inside. Listening on the document also catches
+    // keys pressed before focus has moved into the dialog.
+    overlay._keyHandler = (e) => {
+      if (e.key === 'Escape') {
+        closeModal();
+      } else if (e.key === 'Tab') {
+        trapFocus(e, overlay);
+      }
     };
-    document.addEventListener('keydown', overlay._escHandler);
+    document.addEventListener('keydown', overlay._keyHandler);
 
     return overlay;
   }
 
   // ── Remove Modal ────────────────────────────────────────────────
 
-  function removeModal() {
+  /** User-initiated close: also cancels a request that is still loading. */
+  function closeModal() {
+    if (currentModal && currentModal._loading) {
+      chrome.runtime.sendMessage({ type: 'EVERYALT_CANCEL' });
+    }
+    removeModal();
+  }
+
+  /**
+   * @param {object} [options] - { replacing }
+   *   replacing: another dialog follows at once, so focus is not handed back yet
+   */
+  function removeModal({ replacing = false } = {}) {
     if (currentModal) {
-      if (currentModal._escHandler) {
-        document.removeEventListener('keydown', currentModal._escHandler);
+      if (currentModal._keyHandler) {
+        document.removeEventListener('keydown', currentModal._keyHandler);
       }
+      if (currentModal._onRemove) currentModal._onRemove();
       currentModal.remove();
       currentModal = null;
     }
+    if (replacing || !returnFocus) return;
+    const { element } = returnFocus;
+    returnFocus = null;
+    if (element && element.isConnected) element.focus({ preventScroll: true });
+  }
+
+  // ── Page Context ────────────────────────────────────────────────
+
+  // Raw text per source; the service worker trims it to the token budget
+  const CONTEXT_TEXT_LIMIT = 1000;
+  const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+  /** Batch items are found by audit id; single images by the right-click target. */
+  function findContextElement({ imageUrl, itemId }) {
+    if (itemId) return auditFindings.find((f) => f.id === itemId)?.element || null;
+    if (currentTarget && currentTarget.isConnected && currentImageUrl === imageUrl) {
+      return currentTarget;
+    }
+    return findImageElement(imageUrl);
+  }
+
+  /**
+   * Text around an image that helps the model be specific.
+   * @param {Element|null} element
+   * @returns {object} { pageTitle, heading, figcaption, paragraph, existingAlt, linkTarget }
+   */
+  function collectImageContext(element) {
+    const context = { pageTitle: document.title };
+    if (element) {
+      const alt = element.getAttribute('alt');
+      const title = element.getAttribute('title');
+      Object.assign(context, {
+        heading: findNearestHeading(element),
+        figcaption: element.closest('figure')?.querySelector('figcaption')?.textContent || '',
+        paragraph: getSurroundingText(element),
+        existingAlt: [alt, title].filter(Boolean).join(' / '),
+        linkTarget: element.closest('a[href]')?.href || '',
+      });
+    }
+
+    for (const key of Object.keys(context)) {
+      context[key] = collapseWhitespace(context[key]).slice(0, CONTEXT_TEXT_LIMIT);
+    }
+    return context;
+  }
+
+  /** The last heading before the image in document order. */
+  function findNearestHeading(element) {
+    let nearest = null;
+    for (const heading of element.ownerDocument.querySelectorAll(HEADING_SELECTOR)) {
+      if (heading.closest(`${DIALOG_TAG}, .${PREFIX}-audit-panel`)) continue;
+      if (heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) {
+        nearest = heading;
+      } else {
+        break;
+      }
+    }
+    return nearest ? nearest.textContent : '';
   }
 
-  // ── Image Fetch + Resize (CORS fallback for service worker) ─────
+  /**
+   * The paragraph holding the image, or else the text just before and after
+   * it (climbing out of wrappers such as <a>, <picture> and <figure> that
+   * hold no other text).
+   */
+  function getSurroundingText(element) {
+    const paragraph = element.closest('p, li, td, blockquote');
+    if (paragraph) return paragraph.textContent;
+
+    let block = element.closest('figure') || element;
+    for (let depth = 0; depth < 4; depth++) {
+      const parent = block.parentElement;
+      if (!parent || parent === element.ownerDocument.body) break;
+      if (collapseWhitespace(parent.textContent) !== collapseWhitespace(block.textContent)) break;
+      block = parent;
+    }
 
-  const MAX_DIMENSION = 300;
+    const before = block.previousElementSibling?.textContent || '';
+    const after = block.nextElementSibling?.textContent || '';
+    return [before.slice(-CONTEXT_TEXT_LIMIT / 2), after.slice(0, CONTEXT_TEXT_LIMIT / 2)]
+      .map(collapseWhitespace)
+      .filter(Boolean)
+      .join(' \u2026 ');
+  }
 
-  async function fetchImageAsBase64(url) {
-    let blob;
+  function collapseWhitespace(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
 
-    if (url.startsWith('data:')) {
-      const res = await fetch(url);
-      blob = await res.blob();
+  // ── Decorative Hints ────────────────────────────────────────────
+
+  // Rendered sizes at or below these are spacers or tiny flourishes
+  const SPACER_MAX_PX = 4;
+  const TINY_MAX_PX = 16;
+  const DECORATIVE_FILENAME_PATTERN = /(^|[\/_.-])(spacer|shim|blank|transparent|pixel|divider|separator|flourish|ornament|bullet)([_.-]|$)/i;
+  const CONTROL_SELECTOR = 'a[href], button, [role="button"], [role="link"], label';
+
+  /**
+   * Page-side reasons to think an image is decorative. Empty when nothing stands out.
+   * @param {Element|null} element
+   * @param {string} imageUrl
+   * @returns {string[]}
+   */
+  function getDecorativeHints(element, imageUrl) {
+    const hints = [];
+    if (!element) return hints;
+
+    const rect = element.getBoundingClientRect();
+    const width = Math.round(rect.width || element.naturalWidth || 0);
+    const height = Math.round(rect.height || element.naturalHeight || 0);
+    if (width > 0 && height > 0) {
+      if (Math.min(width, height) <= SPACER_MAX_PX) {
+        hints.push(`It is ${width}\u00D7${height} px, the shape of a spacer or divider line.`);
+      } else if (Math.max(width, height) <= TINY_MAX_PX) {
+        hints.push(`It is only ${width}\u00D7${height} px.`);
+      }
+    }
+
+    if (element.closest('[aria-hidden="true"]')) {
+      hints.push('It is inside an aria-hidden element, so screen readers already skip it.');
+    }
+
+    const role = element.getAttribute('role');
+    if (role === 'presentation' || role === 'none') {
+      hints.push(`It has role="${role}".`);
+    }
+
+    const control = element.closest(CONTROL_SELECTOR);
+    if (control) {
+      const label = getControlLabel(control, element);
+      if (label) hints.push(`It is an icon in a button or link already labelled "${label}".`);
+    }
+
+    let path = '';
+    try {
+      const url = new URL(imageUrl, location.href);
+      // Captured SVG, canvas and video frames are named after the page, not a file
+      if (!url.hash.startsWith(`#${PREFIX}-`)) path = url.pathname;
+    } catch {
+      // Data URLs and the like have no useful file name
+    }
+    if (DECORATIVE_FILENAME_PATTERN.test(path)) {
+      hints.push('Its file name suggests a spacer, divider or ornament.');
+    }
+
+    return hints;
+  }
+
+  /** Text label of a control other than the image itself. */
+  function getControlLabel(control, image) {
+    const ariaLabel = control.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return collapseWhitespace(ariaLabel).slice(0, 60);
+
+    const clone = control.cloneNode(true);
+    clone.querySelectorAll('img, svg, picture').forEach((node) => node.remove());
+    const text = collapseWhitespace(clone.textContent);
+    return text && text !== collapseWhitespace(image.getAttribute('alt')) ? text.slice(0, 60) : '';
+  }
+
+  // ── Page Audit ──────────────────────────────────────────────────
+
+  const AUDIT_SELECTOR = 'img, picture, [role="img"], input[type="image"]';
+
+  const AUDIT_CATEGORIES = {
+    missing: { label: 'Missing alt', order: 0 },
+    empty: { label: 'Empty alt', order: 1 },
+    suspicious: { label: 'Suspicious alt', order: 2 },
+    ok: { label: 'OK', order: 3 },
+  };
+
+  const FILENAME_PATTERN = /(^(img|dsc|dscn|pxl|screenshot|image)[-_ ]?\d+)|\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?)$/i;
+  const REDUNDANT_PREFIX_PATTERN = /^(an? )?(image|picture|photo|photograph|graphic|icon) (of|showing)\b/i;
+
+  /**
+   * Walk every image-like element and classify its text alternative.
+   * @returns {Array<{id: number, element: Element, category: string, reason: string, alt: string|null, src: string, hidden: boolean}>}
+   */
+  function auditPage() {
+    const findings = [];
+
+    document.querySelectorAll(AUDIT_SELECTOR).forEach((node) => {
+      // Our own UI is not part of the page
+      if (node.closest(`${DIALOG_TAG}, .${PREFIX}-audit-panel`)) return;
+      // <picture> is reported as one unit; its inner <img> carries the alt
+      if (node.tagName === 'IMG' && node.parentElement?.tagName === 'PICTURE') return;
+
+      const target = node.tagName === 'PICTURE' ? node.querySelector('img') || node : node;
+      const alt = getTextAlternative(node, target);
+      const { category, reason } = classifyAlt(node, target, alt);
+
+      findings.push({
+        id: getElementId(target),
+        element: target,
+        category,
+        reason,
+        alt,
+        src: target.currentSrc || target.src || '',
+        hidden: target.getClientRects().length === 0,
+      });
+    });
+
+    return findings.sort(
+      (a, b) => AUDIT_CATEGORIES[a.category].order - AUDIT_CATEGORIES[b.category].order
+    );
+  }
+
+  function getElementId(element) {
+    if (!elementIds.has(element)) elementIds.set(element, nextElementId++);
+    return elementIds.get(element);
+  }
+
+  /**
+   * Resolve the text alternative: alt for <img>/<input>, ARIA naming for role="img".
+   * Returns null when none is present at all.
+   */
+  function getTextAlternative(node, target) {
+    const labelledBy = node.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => document.getElementById(id)?.textContent || '')
+        .join(' ')
+        .trim();
+      if (text) return text;
+    }
+    if (node.hasAttribute('aria-label')) return node.getAttribute('aria-label').trim();
+    if (target.hasAttribute('alt')) return target.getAttribute('alt').trim();
+    if (node.getAttribute('role') === 'img') {
+      // Inline <svg role="img"> may carry its name in a <title> child
+      const svgTitle = node.querySelector(':scope > title')?.textContent.trim();
+      if (svgTitle) return svgTitle;
+      if (node.hasAttribute('title')) return node.getAttribute('title').trim();
+    }
+    return null;
+  }
+
+  function classifyAlt(node, target, alt) {
+    const role = target.getAttribute('role');
+    if (role === 'presentation' || role === 'none') {
+      return { category: 'empty', reason: `Marked decorative (role="${role}")` };
+    }
+    if (alt === null) {
+      return { category: 'missing', reason: 'No alt attribute or accessible name' };
+    }
+    if (alt === '') {
+      return { category: 'empty', reason: 'alt="" \u2014 hidden from screen readers; confirm it is decorative' };
+    }
+    if (FILENAME_PATTERN.test(alt) || /^https?:\/\//i.test(alt)) {
+      return { category: 'suspicious', reason: 'Looks like a file name or URL' };
+    }
+    if (REDUNDANT_PREFIX_PATTERN.test(alt)) {
+      return { category: 'suspicious', reason: 'Starts with a redundant phrase such as \u201Cimage of\u201D' };
+    }
+    const caption = getCaptionText(node);
+    if (caption && normalizeText(caption) === normalizeText(alt)) {
+      return { category: 'suspicious', reason: 'Duplicates the adjacent caption' };
+    }
+    return { category: 'ok', reason: '' };
+  }
+
+  /** Text shown next to the image that a screen reader will also announce. */
+  function getCaptionText(node) {
+    const figcaption = node.closest('figure')?.querySelector('figcaption');
+    if (figcaption) return figcaption.textContent.trim();
+    const next = node.nextElementSibling;
+    if (next && next.textContent.trim().length < 300) return next.textContent.trim();
+    return '';
+  }
+
+  function normalizeText(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  // ── Audit Panel ─────────────────────────────────────────────────
+
+  function showAuditPanel() {
+    // Keep batch progress across rescans; ids are stable per element
+    const previous = new Map(auditFindings.map((f) => [f.id, f]));
+    removeAuditPanel();
+    auditFindings = auditPage().map((f) => {
+      const old = previous.get(f.id);
+      if (!old) return f;
+      const { batchStatus, suggestion, batchError, applied } = old;
+      return { ...f, batchStatus, suggestion, batchError, applied };
+    });
+
+    const panel = el('aside', `${PREFIX}-audit-panel`);
+    panel.setAttribute('aria-label', 'EveryAlt alt text audit');
+
+    const header = el('div', `${PREFIX}-audit-header`);
+    const title = el('h2', `${PREFIX}-audit-title`);
+    title.textContent = 'Alt text audit';
+    header.appendChild(title);
+
+    const rescanBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
+    rescanBtn.textContent = 'Rescan';
+    rescanBtn.addEventListener('click', () => showAuditPanel());
+    header.appendChild(rescanBtn);
+
+    const closeX = el('button', `${PREFIX}-close-x`);
+    closeX.innerHTML = '&times;';
+    closeX.setAttribute('aria-label', 'Close audit');
+    closeX.addEventListener('click', () => removeAuditPanel());
+    header.appendChild(closeX);
+    panel.appendChild(header);
+
+    // Summary doubles as a category filter
+    const summary = el('div', `${PREFIX}-audit-summary`);
+    const list = el('ul', `${PREFIX}-audit-list`);
+
+    const counts = {};
+    auditFindings.forEach((f) => {
+      counts[f.category] = (counts[f.category] || 0) + 1;
+    });
+
+    Object.entries(AUDIT_CATEGORIES).forEach(([key, { label }]) => {
+      const chip = el('button', `${PREFIX}-audit-chip ${PREFIX}-audit-${key}`);
+      chip.textContent = `${label}: ${counts[key] || 0}`;
+      chip.setAttribute('aria-pressed', String(auditFilter === key));
+      chip.addEventListener('click', () => {
+        auditFilter = auditFilter === key ? null : key;
+        summary.querySelectorAll('button').forEach((b) => b.setAttribute('aria-pressed', 'false'));
+        if (auditFilter) chip.setAttribute('aria-pressed', 'true');
+        renderAuditRows(list);
+      });
+      summary.appendChild(chip);
+    });
+    panel.appendChild(summary);
+
+    const total = el('p', `${PREFIX}-audit-total`);
+    total.setAttribute('role', 'status');
+    total.textContent = auditFindings.length
+      ? `${auditFindings.length} image${auditFindings.length !== 1 ? 's' : ''} found`
+      : 'No images found on this page.';
+    panel.appendChild(total);
+
+    panel.appendChild(el('div', `${PREFIX}-audit-batch`));
+
+    list.addEventListener('click', (e) => {
+      const row = e.target.closest(`.${PREFIX}-audit-row-btn`);
+      const finding = row && auditFindings.find((f) => f.id === Number(row.dataset.findingId));
+      if (finding) revealElement(finding.element);
+    });
+    renderAuditRows(list);
+    panel.appendChild(list);
+
+    document.body.appendChild(panel);
+    auditPanel = panel;
+    renderBatchBar();
+  }
+
+  function renderAuditRows(list) {
+    list.innerHTML = '';
+    auditFindings
+      .filter((f) => !auditFilter || f.category === auditFilter)
+      .forEach((finding) => list.appendChild(buildAuditRow(finding)));
+  }
+
+  function buildAuditRow(finding) {
+    const row = el('li', `${PREFIX}-audit-row`);
+    row.dataset.findingId = finding.id;
+    const button = el('button', `${PREFIX}-audit-row-btn`);
+    button.dataset.findingId = finding.id;
+
+    const thumb = el('span', `${PREFIX}-audit-thumb`);
+    if (finding.src) {
+      const img = document.createElement('img');
+      img.src = finding.src;
+      img.alt = '';
+      thumb.appendChild(img);
+    }
+    button.appendChild(thumb);
+
+    const info = el('span', `${PREFIX}-audit-info`);
+    const badge = el('span', `${PREFIX}-audit-badge ${PREFIX}-audit-${finding.category}`);
+    badge.textContent = AUDIT_CATEGORIES[finding.category].label;
+    info.appendChild(badge);
+
+    const altEl = el('span', `${PREFIX}-audit-alt`);
+    altEl.textContent = finding.alt === null ? '(no alt)' : finding.alt || '(empty)';
+    info.appendChild(altEl);
+
+    const meta = el('span', `${PREFIX}-audit-reason`);
+    meta.textContent = [finding.reason, finding.hidden ? 'Not currently visible' : '']
+      .filter(Boolean)
+      .join(' \u00B7 ');
+    if (meta.textContent) info.appendChild(meta);
+
+    if (finding.batchStatus) {
+      const status = el('span', `${PREFIX}-audit-batch-status is-${finding.batchStatus}`);
+      status.textContent = BATCH_STATUS_LABELS[finding.batchStatus] || finding.batchStatus;
+      if (finding.batchStatus === 'done' && finding.cached) status.textContent += ' (from cache)';
+      if (finding.batchStatus === 'error' && finding.batchError) {
+        status.textContent += `: ${finding.batchError}`;
+      }
+      info.appendChild(status);
+    }
+
+    if (finding.suggestion) {
+      const suggestion = el('span', `${PREFIX}-audit-suggestion`);
+      suggestion.textContent = finding.suggestion;
+      info.appendChild(suggestion);
+    }
+
+    button.appendChild(info);
+    row.appendChild(button);
+
+    if (finding.suggestion) {
+      const rowActions = el('div', `${PREFIX}-audit-row-actions`);
+      const applyBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-secondary`);
+      applyBtn.textContent = finding.applied ? 'Applied' : 'Apply';
+      applyBtn.disabled = !!finding.applied;
+      applyBtn.addEventListener('click', () => applyFindings([finding]));
+      rowActions.appendChild(applyBtn);
+      row.appendChild(rowActions);
+    }
+
+    return row;
+  }
+
+  async function applyFindings(findings) {
+    for (const finding of findings) {
+      finding.applied = await applyAltText(finding.element, finding.suggestion);
+      updateAuditRow(finding);
+    }
+    renderBatchBar();
+  }
+
+  async function undoFromPanel() {
+    const element = appliedChanges[appliedChanges.length - 1]?.element;
+    await undoLastApply();
+    const finding = auditFindings.find((f) => f.element === element);
+    if (finding) {
+      finding.applied = false;
+      updateAuditRow(finding);
+    }
+    renderBatchBar();
+  }
+
+  function updateAuditRow(finding) {
+    const row = auditPanel?.querySelector(`.${PREFIX}-audit-row[data-finding-id="${finding.id}"]`);
+    if (row) row.replaceWith(buildAuditRow(finding));
+  }
+
+  // ── Batch Generation ────────────────────────────────────────────
+
+  const BATCH_STATUS_LABELS = {
+    pending: 'Waiting',
+    queued: 'Rate limited \u2014 retrying',
+    running: 'Generating\u2026',
+    done: 'Generated',
+    error: 'Failed',
+    cancelled: 'Cancelled',
+  };
+
+  const BATCH_STATE_LABELS = {
+    running: 'Running',
+    cooldown: 'Rate limited, waiting\u2026',
+    paused: 'Paused',
+    cancelled: 'Cancelled',
+    finished: 'Finished',
+  };
+
+  /** Images the batch can describe: missing alt and a fetchable source. */
+  function getBatchCandidates() {
+    return auditFindings.filter((f) => f.category === 'missing' && f.src && f.batchStatus !== 'done');
+  }
+
+  function renderBatchBar() {
+    const bar = auditPanel?.querySelector(`.${PREFIX}-audit-batch`);
+    if (!bar) return;
+    bar.innerHTML = '';
+
+    const snapshot = batchJob?.snapshot;
+    const active = snapshot && !['finished', 'cancelled'].includes(snapshot.state);
+
+    if (snapshot) {
+      const handled = snapshot.done + snapshot.failed + snapshot.cancelled;
+      const progress = document.createElement('progress');
+      progress.className = `${PREFIX}-audit-progress`;
+      progress.max = snapshot.total;
+      progress.value = handled;
+      bar.appendChild(progress);
+
+      const text = el('p', `${PREFIX}-audit-batch-text`);
+      text.setAttribute('role', 'status');
+      text.textContent =
+        `${BATCH_STATE_LABELS[snapshot.state] || snapshot.state}: ` +
+        `${snapshot.done} of ${snapshot.total} generated` +
+        (snapshot.failed ? `, ${snapshot.failed} failed` : '') +
+        (snapshot.cancelled ? `, ${snapshot.cancelled} cancelled` : '');
+      bar.appendChild(text);
+    }
+
+    const actions = el('div', `${PREFIX}-audit-batch-actions`);
+
+    if (active) {
+      const paused = snapshot.state === 'paused';
+      const toggleBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-secondary`);
+      toggleBtn.textContent = paused ? 'Resume' : 'Pause';
+      toggleBtn.addEventListener('click', () => sendBatchControl(paused ? 'resume' : 'pause'));
+      actions.appendChild(toggleBtn);
+
+      const cancelBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => sendBatchControl('cancel'));
+      actions.appendChild(cancelBtn);
     } else {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`Fetch failed (${response.status})`);
-      blob = await response.blob();
+      const candidates = getBatchCandidates();
+      const startBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-primary`);
+      startBtn.textContent = `Generate missing alt (${candidates.length})`;
+      startBtn.disabled = candidates.length === 0;
+      startBtn.addEventListener('click', () => startBatch(candidates));
+      actions.appendChild(startBtn);
+
+      const generated = auditFindings.filter((f) => f.suggestion && !f.applied);
+      if (generated.length > 0) {
+        const applyAllBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-secondary`);
+        applyAllBtn.textContent = `Apply all (${generated.length})`;
+        applyAllBtn.addEventListener('click', () => applyFindings(generated));
+        actions.appendChild(applyAllBtn);
+      }
     }
 
-    if (blob.size > 20 * 1024 * 1024) {
-      throw new Error('Image is too large (over 20 MB).');
+    if (appliedChanges.length > 0) {
+      const undoBtn = el('button', `${PREFIX}-btn ${PREFIX}-btn-ghost`);
+      undoBtn.textContent = `Undo (${appliedChanges.length})`;
+      undoBtn.title = 'Undo the last alt text applied on this page';
+      undoBtn.addEventListener('click', () => undoFromPanel());
+      actions.appendChild(undoBtn);
+    }
+
+    bar.appendChild(actions);
+  }
+
+  function startBatch(candidates) {
+    if (candidates.length === 0) return;
+
+    const jobId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    batchJob = {
+      id: jobId,
+      snapshot: { state: 'running', total: candidates.length, done: 0, failed: 0, cancelled: 0 },
+    };
+    candidates.forEach((f) => {
+      f.batchStatus = 'pending';
+      f.batchError = null;
+    });
+
+    chrome.runtime.sendMessage({
+      type: 'EVERYALT_BATCH_START',
+      jobId,
+      items: candidates.map((f) => ({ id: f.id, imageUrl: f.src })),
+    });
+
+    refreshAuditList();
+    renderBatchBar();
+  }
+
+  function sendBatchControl(action) {
+    if (!batchJob) return;
+    chrome.runtime.sendMessage({ type: 'EVERYALT_BATCH_CONTROL', jobId: batchJob.id, action });
+  }
+
+  function handleBatchProgress(message) {
+    if (!batchJob || message.jobId !== batchJob.id) return;
+    batchJob.snapshot = message.snapshot;
+
+    if (message.itemId != null) {
+      const finding = auditFindings.find((f) => f.id === message.itemId);
+      if (finding) {
+        finding.batchStatus = message.status;
+        if (message.status === 'done') {
+          finding.suggestion = message.altText;
+          finding.cached = !!message.cached;
+        }
+        if (message.status === 'error') finding.batchError = message.error;
+        updateAuditRow(finding);
+      }
+    }
+
+    renderBatchBar();
+  }
+
+  function refreshAuditList() {
+    const list = auditPanel?.querySelector(`.${PREFIX}-audit-list`);
+    if (list) renderAuditRows(list);
+  }
+
+  let highlightTimer = null;
+
+  function revealElement(element) {
+    document
+      .querySelectorAll(`.${PREFIX}-audit-highlight`)
+      .forEach((node) => node.classList.remove(`${PREFIX}-audit-highlight`));
+    clearTimeout(highlightTimer);
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+    element.classList.add(`${PREFIX}-audit-highlight`);
+    highlightTimer = setTimeout(() => {
+      element.classList.remove(`${PREFIX}-audit-highlight`);
+    }, 3000);
+  }
+
+  function removeAuditPanel() {
+    if (auditPanel) {
+      auditPanel.remove();
+      auditPanel = null;
+    }
+  }
+
+  // ── Other Visuals ───────────────────────────────────────────────
+
+  // SVG, canvas and video frames are captured at most this size; the service
+  // worker then scales them like any image
+  const CAPTURE_MAX_PX = 2048;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const BACKGROUND_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/;
+  const VISUAL_LABELS = {
+    image: 'Image',
+    background: 'Background image',
+    svg: 'SVG',
+    canvas: 'Canvas',
+    video: 'Video',
+  };
+  // Page CSS no longer applies once an SVG is drawn on its own
+  const SVG_STYLE_PROPERTIES = [
+    'display',
+    'visibility',
+    'opacity',
+    'color',
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'font-family',
+    'font-size',
+    'font-weight',
+  ];
+
+  /**
+   * The visual where the page was last right-clicked; before the script was
+   * injected there is no click position, so use what the pointer is over.
+   * @returns {{element: Element, kind: string}|null}
+   */
+  function findVisualUnderPointer() {
+    const nodes = lastContextPoint
+      ? document.elementsFromPoint(lastContextPoint.x, lastContextPoint.y)
+      : Array.from(document.querySelectorAll(':hover')).reverse();
+    return findVisualIn(nodes);
+  }
+
+  /**
+   * First visual among nodes ordered innermost (topmost) first. A click on a
+   * <path> stands for its whole SVG; the page's own background is skipped.
+   */
+  function findVisualIn(nodes) {
+    for (const node of nodes) {
+      if (!node || node.nodeType !== Node.ELEMENT_NODE || isOwnUi(node)) continue;
+      if (node === document.documentElement || node === document.body) continue;
+      const element = getOutermostSvg(node) || node;
+      const kind = getVisualKind(element);
+      if (kind) return { element, kind };
     }
+    return null;
+  }
 
-    // Resize to MAX_DIMENSION on largest side
-    const bitmap = await createImageBitmap(blob);
-    let { width, height } = bitmap;
-    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
-      const scale = MAX_DIMENSION / Math.max(width, height);
-      width = Math.round(width * scale);
-      height = Math.round(height * scale);
+  function getOutermostSvg(node) {
+    let svg = node.closest('svg');
+    for (let outer = svg?.parentElement?.closest('svg'); outer; outer = outer.parentElement?.closest('svg')) {
+      svg = outer;
     }
+    return svg;
+  }
 
-    const canvas = new OffscreenCanvas(width, height);
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(bitmap, 0, 0, width, height);
-    bitmap.close();
+  /** @returns {string|null} image | background | svg | canvas | video */
+  function getVisualKind(element) {
+    if (element.matches(PICKABLE_SELECTOR)) return getImageSrc(element) ? 'image' : null;
+    if (element.tagName === 'svg') return 'svg';
+    if (element.tagName === 'CANVAS') return 'canvas';
+    if (element.tagName === 'VIDEO') return 'video';
+    return getBackgroundUrl(element) ? 'background' : null;
+  }
+
+  /** First url() layer of the element's background, ::before and ::after included. */
+  function getBackgroundUrl(element) {
+    for (const pseudo of [null, '::before', '::after']) {
+      const match = BACKGROUND_URL_PATTERN.exec(getComputedStyle(element, pseudo).backgroundImage);
+      if (match && match[2]) return match[2];
+    }
+    return '';
+  }
+
+  /**
+   * Capture a visual and hand it to the same flow as a right-clicked image:
+   * the service worker answers with EVERYALT_SHOW_LOADING, then the result.
+   * @param {{element: Element, kind: string}} visual
+   */
+  async function describeVisual({ element, kind }) {
+    let capture;
+    try {
+      capture = await captureVisual(element, kind);
+    } catch (err) {
+      currentTarget = element;
+      showError({ message: err.message, action: { label: 'Capture from screen', capture: true } });
+      return;
+    }
+    sendCapture(element, capture);
+  }
+
+  /**
+   * @param {Element|null} element - Where Apply writes the result; none for a free region
+   * @param {{imageUrl: string, imageData?: string, visual?: string}} capture
+   */
+  function sendCapture(element, capture) {
+    currentVisual = { element, ...capture };
+    lastContextTarget = element;
+    chrome.runtime.sendMessage({ type: 'EVERYALT_GENERATE_IMAGE', ...capture });
+  }
+
+  /** Stands in for the URL of pixels captured from the page, e.g. in the history. */
+  function getCaptureUrl(kind, element) {
+    const pageUrl = location.href.split('#')[0];
+    return `${pageUrl}#${PREFIX}-${kind}${element ? `-${getElementId(element)}` : ''}`;
+  }
+
+  /**
+   * Images, backgrounds and posters are described from their URL. SVG,
+   * canvas and video frames only exist as pixels, so they are drawn here and
+   * sent as a PNG data URL, with an imageUrl naming the page for the history.
+   * @returns {Promise<{imageUrl: string, imageData?: string, visual?: string}>}
+   *   visual: background | poster | svg | canvas | video; absent for images
+   */
+  async function captureVisual(element, kind) {
+    if (kind === 'image') return { imageUrl: getImageSrc(element) };
+    if (kind === 'background') return { imageUrl: getBackgroundUrl(element), visual: 'background' };
+
+    if (kind === 'video') {
+      // Before playback starts the poster is what is on screen
+      const showsPoster = element.paused && element.currentTime === 0;
+      if (element.poster && (showsPoster || element.readyState < HTMLMediaElement.HAVE_CURRENT_DATA)) {
+        return { imageUrl: element.poster, visual: 'poster' };
+      }
+      if (element.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+        throw new Error('No video frame is loaded yet. Play the video to the moment to describe first.');
+      }
+    }
+
+    let imageData;
+    try {
+      if (kind === 'svg') {
+        imageData = await rasterizeSvg(element);
+      } else if (kind === 'video') {
+        imageData = drawToDataUrl(element, element.videoWidth, element.videoHeight);
+      } else {
+        imageData = drawToDataUrl(element, element.width, element.height);
+      }
+    } catch (err) {
+      // Cross-origin pixels "taint" a canvas and the browser refuses to read it
+      if (err.name === 'SecurityError') {
+        const label = VISUAL_LABELS[kind].toLowerCase();
+        throw new Error(`This ${label} shows content from another site, which the browser keeps unreadable.`);
+      }
+      throw new Error(`Could not capture the ${VISUAL_LABELS[kind].toLowerCase()}: ${err.message}`);
+    }
+
+    return { imageUrl: getCaptureUrl(kind, element), imageData, visual: kind };
+  }
 
-    const outBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.85 });
+  function drawToDataUrl(source, width, height) {
+    if (!width || !height) throw new Error('it has no size.');
+    const scale = Math.min(1, CAPTURE_MAX_PX / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+  }
+
+  /** Draw an inline SVG at screen resolution, with the styles the page gives it. */
+  async function rasterizeSvg(svg) {
+    const rect = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    inlineSvgStyles(svg, clone);
+    inlineSvgReferences(svg, clone);
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('width', String(rect.width));
+    clone.setAttribute('height', String(rect.height));
+
+    const image = new Image();
+    image.src =
+      'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(clone));
+    await image.decode();
+    const scale = window.devicePixelRatio || 1;
+    return drawToDataUrl(image, rect.width * scale, rect.height * scale);
+  }
+
+  function inlineSvgStyles(source, clone) {
+    const clones = [clone, ...clone.querySelectorAll('*')];
+    [source, ...source.querySelectorAll('*')].forEach((node, i) => {
+      const computed = getComputedStyle(node);
+      const style = SVG_STYLE_PROPERTIES.map((name) => `${name}:${computed.getPropertyValue(name)}`);
+      // The element's own inline style comes last so it still wins
+      clones[i].setAttribute('style', [...style, clones[i].getAttribute('style') || ''].join(';'));
+    });
+  }
+
+  /** Icons often <use href="#id"> a sprite elsewhere in the page; copy it in. */
+  function inlineSvgReferences(source, clone) {
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    const copied = new Set();
+    clone.querySelectorAll('use').forEach((use) => {
+      const href = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
+      const id = href.startsWith('#') ? href.slice(1) : '';
+      if (!id || copied.has(id) || source.querySelector(`#${CSS.escape(id)}`)) return;
+      const target = document.getElementById(id);
+      if (!target) return;
+      defs.appendChild(target.cloneNode(true));
+      copied.add(id);
+    });
+    if (defs.childNodes.length) clone.prepend(defs);
+  }
+
+  // ── Region Capture ──────────────────────────────────────────────
+
+  // Smaller drags are treated as stray clicks
+  const REGION_MIN_PX = 8;
+
+  /**
+   * Dim the page and let the user drag a rectangle over what to describe.
+   * The service worker screenshots the tab, so this works for anything on
+   * screen however it was loaded. Enter takes the whole visible page.
+   * @param {Element|null} [target] - Element the alt text is for, when known
+   */
+  function startRegionSelect(target = null) {
+    stopRegionSelect();
+    stopPicker();
+    removeModal();
+
+    const overlay = el('div', `${PREFIX}-region-overlay`);
+    const box = el('div', `${PREFIX}-region-box`);
+    box.hidden = true;
+    overlay.appendChild(box);
+    const hint = el('p', `${PREFIX}-region-hint`);
+    hint.setAttribute('role', 'status');
+    hint.textContent =
+      'Drag over the area to describe \u00B7 Enter for the whole visible page \u00B7 Esc to cancel';
+    overlay.appendChild(hint);
+
+    let start = null;
+    const rectTo = (e) => ({
+      x: Math.min(start.x, e.clientX),
+      y: Math.min(start.y, e.clientY),
+      width: Math.abs(e.clientX - start.x),
+      height: Math.abs(e.clientY - start.y),
+    });
+    const drawBox = (rect) => {
+      box.style.setProperty('left', `${rect.x}px`, 'important');
+      box.style.setProperty('top', `${rect.y}px`, 'important');
+      box.style.setProperty('width', `${rect.width}px`, 'important');
+      box.style.setProperty('height', `${rect.height}px`, 'important');
+    };
+
+    overlay.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      start = { x: e.clientX, y: e.clientY };
+      overlay.setPointerCapture(e.pointerId);
+      drawBox(rectTo(e));
+      box.hidden = false;
+    });
+    overlay.addEventListener('pointermove', (e) => {
+      if (start) drawBox(rectTo(e));
+    });
+    overlay.addEventListener('pointerup', (e) => {
+      if (!start) return;
+      const rect = rectTo(e);
+      start = null;
+      if (rect.width < REGION_MIN_PX || rect.height < REGION_MIN_PX) {
+        box.hidden = true;
+        return;
+      }
+      stopRegionSelect();
+      captureRegion(rect, target);
+    });
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        stopRegionSelect();
+      } else if (e.key === 'Enter') {
+        stopRegionSelect();
+        captureRegion({ x: 0, y: 0, width: window.innerWidth, height: window.innerHeight }, target);
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+
+    document.body.appendChild(overlay);
+    regionSelect = { overlay, onKeyDown };
+  }
+
+  function stopRegionSelect() {
+    if (!regionSelect) return;
+    window.removeEventListener('keydown', regionSelect.onKeyDown, true);
+    regionSelect.overlay.remove();
+    regionSelect = null;
+  }
+
+  /** Describe an element from a screenshot when it could not be loaded any other way. */
+  async function captureElementFromScreen(element) {
+    removeModal();
+    if (!element || !element.isConnected) {
+      startRegionSelect();
+      return;
+    }
+    element.scrollIntoView({ block: 'center', inline: 'nearest' });
+    await waitForPaint();
+    const rect = getVisibleRect(element);
+    if (rect) {
+      captureRegion(rect, element);
+    } else {
+      startRegionSelect(element);
+    }
+  }
+
+  /** The part of an element inside the viewport, or null if too little shows. */
+  function getVisibleRect(element) {
+    const box = element.getBoundingClientRect();
+    const x = Math.max(0, box.left);
+    const y = Math.max(0, box.top);
+    const width = Math.min(window.innerWidth, box.right) - x;
+    const height = Math.min(window.innerHeight, box.bottom) - y;
+    return width >= REGION_MIN_PX && height >= REGION_MIN_PX ? { x, y, width, height } : null;
+  }
+
+  /**
+   * @param {{x: number, y: number, width: number, height: number}} rect - CSS pixels in the viewport
+   * @param {Element|null} target
+   */
+  async function captureRegion(rect, target) {
+    // Our own panel must not end up in the screenshot
+    const panel = auditPanel;
+    if (panel) panel.style.setProperty('visibility', 'hidden', 'important');
+    await waitForPaint();
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'EVERYALT_CAPTURE_REGION',
+        rect,
+        devicePixelRatio: window.devicePixelRatio,
+      });
+    } catch (err) {
+      response = { success: false, error: err.message };
+    } finally {
+      if (panel) panel.style.removeProperty('visibility');
+    }
+
+    if (!response?.success) {
+      showError({ message: `Could not capture the screen: ${response?.error || 'no response'}` });
+      return;
+    }
+    const imageUrl = target?.matches(PICKABLE_SELECTOR)
+      ? getImageSrc(target)
+      : getCaptureUrl('region', target);
+    sendCapture(target, { imageUrl, imageData: response.imageData, visual: 'region' });
+  }
+
+  /** Resolves once the page has repainted, e.g. without an overlay we just removed. */
+  function waitForPaint() {
+    return new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  }
+
+  // ── Keyboard Picker ─────────────────────────────────────────────
+
+  const PICKABLE_SELECTOR = 'img, input[type="image"]';
+  const PICKER_SELECTOR = `${PICKABLE_SELECTOR}, svg, canvas, video`;
+  // SVG, canvas and video smaller than this are usually icons and controls
+  const PICKER_MIN_VISUAL_PX = 32;
+
+  /**
+   * The image the keyboard focus is on (or inside, e.g. a linked image),
+   * else the visual under the mouse pointer.
+   * @returns {{element: Element, kind: string}|null}
+   */
+  function findFocusedVisual() {
+    const focused = document.activeElement;
+    if (focused && focused !== document.body && !isOwnUi(focused)) {
+      if (focused.matches(PICKABLE_SELECTOR) && getImageSrc(focused)) {
+        return { element: focused, kind: 'image' };
+      }
+      // A link or button wrapping exactly one image
+      const inner = focused.querySelectorAll(PICKABLE_SELECTOR);
+      if (inner.length === 1 && getImageSrc(inner[0])) return { element: inner[0], kind: 'image' };
+    }
+    // :hover matches the pointer's ancestors too; try the innermost first
+    return findVisualIn(Array.from(document.querySelectorAll(':hover')).reverse());
+  }
+
+  /** Visible images and other visuals, in document order. */
+  function getPickableVisuals() {
+    return Array.from(document.querySelectorAll(PICKER_SELECTOR)).filter((node) => {
+      if (isOwnUi(node)) return false;
+      if (node.tagName === 'svg' && node.parentElement?.closest('svg')) return false;
+      if (node.matches(PICKABLE_SELECTOR) && !getImageSrc(node)) return false;
+      const rect = node.getBoundingClientRect();
+      const minSize = node.matches(PICKABLE_SELECTOR) ? 1 : PICKER_MIN_VISUAL_PX;
+      return (
+        rect.width >= minSize && rect.height >= minSize && node.checkVisibility?.() !== false
+      );
+    });
+  }
+
+  function getImageSrc(node) {
+    return node.currentSrc || node.src || '';
+  }
+
+  function isOwnUi(node) {
+    return !!node.closest(
+      `${DIALOG_TAG}, .${PREFIX}-audit-panel, .${PREFIX}-picker-bar, .${PREFIX}-region-overlay`
+    );
+  }
+
+  /**
+   * Outline every image; arrow keys or Tab move between them, Enter describes
+   * the current one and Escape leaves. Keys are captured so the page's own
+   * shortcuts don't fire meanwhile.
+   * @param {string} [notice] - Shown above the instructions
+   */
+  function startPicker(notice) {
+    stopPicker();
+    stopRegionSelect();
+    removeModal();
+
+    const images = getPickableVisuals();
+    const bar = el('div', `${PREFIX}-picker-bar`);
+    bar.setAttribute('role', 'region');
+    bar.setAttribute('aria-label', 'EveryAlt image picker');
+
+    const title = el('p', `${PREFIX}-picker-title`);
+    title.textContent = notice ? `${notice} Pick an image:` : 'Pick an image';
+    bar.appendChild(title);
+
+    const status = el('p', `${PREFIX}-picker-status`);
+    status.setAttribute('role', 'status');
+    bar.appendChild(status);
+
+    const help = el('p', `${PREFIX}-picker-help`);
+    help.textContent = images.length
+      ? 'Arrow keys or Tab to move \u00B7 Enter to describe \u00B7 Esc to cancel'
+      : 'Esc to close';
+    bar.appendChild(help);
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        stopPicker();
+      } else if (!images.length) {
+        return;
+      } else if (e.key === 'Enter') {
+        pickImage(images[picker.index]);
+      } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || (e.key === 'Tab' && !e.shiftKey)) {
+        movePicker(picker.index + 1);
+      } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp' || e.key === 'Tab') {
+        movePicker(picker.index - 1);
+      } else if (e.key === 'Home') {
+        movePicker(0);
+      } else if (e.key === 'End') {
+        movePicker(images.length - 1);
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    // A mouse click on an outlined visual picks it too
+    const onClick = (e) => {
+      const image = images.find((node) => node.contains(e.target));
+      if (!image) return;
+      e.preventDefault();
+      e.stopPropagation();
+      pickImage(image);
+    };
+
+    window.addEventListener('keydown', onKeyDown, true);
+    window.addEventListener('click', onClick, true);
+    images.forEach((node) => node.classList.add(`${PREFIX}-picker-candidate`));
+    document.body.appendChild(bar);
+    picker = { images, index: 0, bar, status, onKeyDown, onClick };
+
+    if (images.length) {
+      movePicker(0);
+    } else {
+      status.textContent = 'No images found on this page.';
+    }
+  }
+
+  function movePicker(index) {
+    const { images } = picker;
+    images[picker.index].classList.remove(`${PREFIX}-picker-active`);
+    picker.index = (index + images.length) % images.length;
+
+    const image = images[picker.index];
+    image.classList.add(`${PREFIX}-picker-active`);
+    image.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+    picker.status.textContent = `Image ${picker.index + 1} of ${images.length}: ${describeCandidate(image)}`;
+  }
+
+  /** Short spoken label: the current alt, else the file name. */
+  function describeCandidate(image) {
+    if (!image.matches(PICKABLE_SELECTOR)) {
+      const label = image.getAttribute('aria-label');
+      const kind = VISUAL_LABELS[getVisualKind(image)];
+      return label ? `${kind} \u201C${truncateText(label, 80)}\u201D` : kind;
+    }
+    const alt = image.getAttribute('alt');
+    if (alt && alt.trim()) return `alt \u201C${truncateText(alt.trim(), 80)}\u201D`;
+    let fileName = '';
+    try {
+      fileName = decodeURIComponent(new URL(getImageSrc(image)).pathname.split('/').pop());
+    } catch {
+      // data: URLs and malformed escapes have no useful name
+    }
+    const state = alt === null ? 'no alt text' : 'empty alt';
+    return fileName ? `${state} (${truncateText(fileName, 60)})` : state;
+  }
+
+  function pickImage(image) {
+    stopPicker();
+    describeVisual({ element: image, kind: getVisualKind(image) });
+  }
+
+  function stopPicker() {
+    if (!picker) return;
+    window.removeEventListener('keydown', picker.onKeyDown, true);
+    window.removeEventListener('click', picker.onClick, true);
+    picker.images.forEach((node) =>
+      node.classList.remove(`${PREFIX}-picker-candidate`, `${PREFIX}-picker-active`)
+    );
+    picker.bar.remove();
+    picker = null;
+  }
+
+  // ── Image Fetch (CORS fallback for service worker) ──────────────
+
+  /**
+   * Fetch an image with the page's origin and cookies. The bytes go back
+   * unprocessed; the service worker resizes them (lib/image-pipeline.js).
+   */
+  async function fetchImageAsDataUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Fetch failed (${response.status})`);
+    const blob = await response.blob();
+
+    if (blob.size > 20 * 1024 * 1024) {
+      throw new Error('Image is too large (over 20 MB).');
+    }
 
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onloadend = () => resolve(reader.result);
-      reader.onerror = () => reject(new Error('Failed to encode resized image.'));
-      reader.readAsDataURL(outBlob);
+      reader.onerror = () => reject(new Error('Failed to read image.'));
+      reader.readAsDataURL(blob);
     });
   }
 
@@ -0,0 +1,149 @@
+/**
+ * EveryAlt - Concurrency-limited queue for batch generation.
+ *
+ * Runs items through an async worker with at most `concurrency` in flight.
+ * When the worker fails with a rate-limit error (HTTP 429) the queue stops
+ * dispatching for the server's Retry-After (or an exponential backoff) and
+ * puts the item back at the front. Cancelling aborts in-flight items through
+ * the AbortSignal handed to the worker. Jobs live in service-worker memory only.
+ */
+
+import { ERROR_CODES } from './errors.js';
+
+const MAX_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * @param {Array<object>} items - Each item needs a unique `id`.
+ * @param {object} options
+ * @param {number} options.concurrency - Max items in flight.
+ * @param {(item: object, signal: AbortSignal) => Promise<any>} options.run - Worker for one item.
+ * @param {(event: object) => void} options.onUpdate - Called with
+ *   { item, status: 'running'|'queued'|'done'|'error'|'cancelled', result?, error?, snapshot }
+ *   for every item transition, and with { snapshot } alone for job state changes.
+ */
+export function createBatchQueue(items, { concurrency = 2, run, onUpdate }) {
+  const queue = items.map((item) => ({ ...item, attempts: 0 }));
+  const counts = { total: items.length, done: 0, failed: 0, cancelled: 0 };
+  let state = 'idle'; // idle | running | paused | cooldown | cancelled | finished
+  let active = 0;
+  let cooldownTimer = null;
+  let rateLimitStreak = 0;
+  const abortController = new AbortController();
+
+  function snapshot() {
+    return { state, ...counts, pending: queue.length, active };
+  }
+
+  function emit(event) {
+    onUpdate({ ...event, snapshot: snapshot() });
+  }
+
+  function setState(next) {
+    state = next;
+    emit({});
+  }
+
+  function pump() {
+    if (state !== 'running') return;
+
+    while (active < concurrency && queue.length > 0) {
+      const item = queue.shift();
+      active++;
+      item.attempts++;
+      emit({ item, status: 'running' });
+
+      run(item, abortController.signal)
+        .then((result) => {
+          rateLimitStreak = 0;
+          counts.done++;
+          emit({ item, status: 'done', result });
+        })
+        .catch((error) => {
+          if (state === 'cancelled') {
+            counts.cancelled++;
+            emit({ item, status: 'cancelled' });
+            return;
+          }
+          if (error?.code === ERROR_CODES.RATE_LIMIT && item.attempts < MAX_ATTEMPTS) {
+            queue.unshift(item);
+            emit({ item, status: 'queued' });
+            startCooldown(error.retryAfterMs);
+            return;
+          }
+          counts.failed++;
+          emit({ item, status: 'error', error });
+        })
+        .finally(() => {
+          active--;
+          if (state === 'cancelled' && active === 0) emit({});
+          finishIfDrained();
+          pump();
+        });
+    }
+  }
+
+  function startCooldown(retryAfterMs) {
+    rateLimitStreak++;
+    const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (rateLimitStreak - 1), MAX_BACKOFF_MS);
+    const wait = retryAfterMs > 0 ? retryAfterMs : backoff;
+
+    // Paused or cancelled jobs stay that way; only a running job enters cooldown
+    if (state !== 'running' && state !== 'cooldown') return;
+    clearTimeout(cooldownTimer);
+    setState('cooldown');
+    cooldownTimer = setTimeout(() => {
+      cooldownTimer = null;
+      if (state === 'cooldown') {
+        setState('running');
+        pump();
+      }
+    }, wait);
+  }
+
+  function finishIfDrained() {
+    if (active > 0 || queue.length > 0) return;
+    if (state === 'running' || state === 'cooldown' || state === 'paused') setState('finished');
+  }
+
+  return {
+    start() {
+      if (state !== 'idle') return;
+      setState('running');
+      pump();
+      finishIfDrained();
+    },
+
+    pause() {
+      if (state !== 'running' && state !== 'cooldown') return;
+      clearTimeout(cooldownTimer);
+      cooldownTimer = null;
+      // In-flight items finish; nothing new is dispatched
+      setState('paused');
+    },
+
+    resume() {
+      if (state !== 'paused') return;
+      setState('running');
+      pump();
+      finishIfDrained();
+    },
+
+    cancel() {
+      if (state === 'cancelled' || state === 'finished') return;
+      clearTimeout(cooldownTimer);
+      cooldownTimer = null;
+      state = 'cancelled';
+      abortController.abort();
+      while (queue.length > 0) {
+        const item = queue.shift();
+        counts.cancelled++;
+        emit({ item, status: 'cancelled' });
+      }
+      emit({});
+    },
+
+    snapshot,
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * EveryAlt - Spending budgets.
+ *
+ * Spend is tallied per local day and month in chrome.storage.local
+ * (`spending`), apart from the history, so clearing the history does not
+ * reset it. Once a cap is reached the service worker refuses new provider
+ * calls; cache hits cost nothing and still go through. Models without a
+ * price would add nothing to the tally, so they are refused while a cap is set.
+ *
+ * The cap is checked before each request and spend is added after it, so
+ * batch items already in flight when the cap is reached still finish and can
+ * go over it by up to the batch concurrency.
+ */
+
+import { findModelPricing } from './pricing.js';
+
+export const DEFAULT_BUDGET_WARN_PERCENT = 80;
+
+// Spend writes are read-modify-write; chain them so concurrent batch items add up
+let spendChain = Promise.resolve();
+
+/**
+ * Local day and month keys, e.g. { day: '2025-03-09', month: '2025-03' }.
+ * @param {Date} [date]
+ * @returns {{day: string, month: string}}
+ */
+export function periodKeys(date = new Date()) {
+  const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  return { day: `${month}-${String(date.getDate()).padStart(2, '0')}`, month };
+}
+
+/**
+ * Spend so far today and this month; totals from earlier periods count as zero.
+ * @returns {Promise<{dayUsd: number, monthUsd: number}>}
+ */
+export async function getSpending() {
+  const { spending } = await chrome.storage.local.get(['spending']);
+  return currentTotals(spending);
+}
+
+/**
+ * Add the cost of a generation to today's and this month's spend.
+ * @param {number} usd
+ */
+export function recordSpend(usd) {
+  if (!(usd > 0)) return spendChain;
+  spendChain = spendChain
+    .then(async () => {
+      const { spending } = await chrome.storage.local.get(['spending']);
+      const { dayUsd, monthUsd } = currentTotals(spending);
+      await chrome.storage.local.set({
+        spending: { ...periodKeys(), dayUsd: dayUsd + usd, monthUsd: monthUsd + usd },
+      });
+    })
+    .catch(() => {});
+  return spendChain;
+}
+
+/**
+ * Compare spend with the configured caps.
+ * @param {object} settings - { budgetDailyUsd, budgetMonthlyUsd, budgetWarnPercent }; 0 = no cap
+ * @param {{dayUsd: number, monthUsd: number}} spending
+ * @returns {{daily: object, monthly: object, warnPercent: number, blocked: boolean,
+ *   warning: boolean, message: string}}
+ *   daily / monthly: { limit, spent }; message explains a block or warning ('' otherwise)
+ */
+export function getBudgetStatus(settings, { dayUsd, monthUsd }) {
+  const warnPercent = settings.budgetWarnPercent || DEFAULT_BUDGET_WARN_PERCENT;
+  const periods = [
+    {
+      name: 'daily',
+      limit: settings.budgetDailyUsd || 0,
+      spent: dayUsd,
+      until: 'tomorrow',
+      when: 'today',
+    },
+    {
+      name: 'monthly',
+      limit: settings.budgetMonthlyUsd || 0,
+      spent: monthUsd,
+      until: 'next month',
+      when: 'this month',
+    },
+  ];
+
+  const status = {
+    daily: { limit: periods[0].limit, spent: dayUsd },
+    monthly: { limit: periods[1].limit, spent: monthUsd },
+    warnPercent,
+    blocked: false,
+    warning: false,
+    message: '',
+  };
+
+  const capped = periods.filter((period) => period.limit > 0);
+  const reached = capped.find((period) => period.spent >= period.limit);
+  if (reached) {
+    status.blocked = true;
+    status.message =
+      `The ${reached.name} budget of ${formatUsd(reached.limit)} is used up ` +
+      `(${formatUsd(reached.spent)} spent ${reached.when}). ` +
+      `New generations are blocked until ${reached.until} or until the budget is raised in settings.`;
+    return status;
+  }
+
+  const near = capped.find((period) => period.spent >= (period.limit * warnPercent) / 100);
+  if (near) {
+    status.warning = true;
+    status.message =
+      `${Math.floor((near.spent / near.limit) * 100)}% of the ${near.name} budget used ` +
+      `(${formatUsd(near.spent)} of ${formatUsd(near.limit)}).`;
+  }
+  return status;
+}
+
+/**
+ * With a cap set, a model must have a price, or its spend would go uncounted.
+ * @param {object} settings - { budgetDailyUsd, budgetMonthlyUsd, modelPricing }
+ * @param {string} model
+ * @returns {string} Why the model is refused ('' if it may be used)
+ */
+export function getUnpricedModelMessage(settings, model) {
+  if (!(settings.budgetDailyUsd > 0) && !(settings.budgetMonthlyUsd > 0)) return '';
+  if (findModelPricing(model, settings.modelPricing)) return '';
+  return (
+    `${model} has no price in the pricing table, so its cost can't be counted against your budget. ` +
+    'Add a price for it in settings (0 for a free local model) or choose a priced model.'
+  );
+}
+
+/**
+ * Dollars with cents, or more decimals for sub-cent amounts.
+ * @param {number} usd
+ * @returns {string}
+ */
+export function formatUsd(usd) {
+  return usd > 0 && usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+function currentTotals(spending) {
+  const { day, month } = periodKeys();
+  if (!spending || spending.month !== month) return { dayUsd: 0, monthUsd: 0 };
+  return {
+    dayUsd: spending.day === day ? spending.dayUsd || 0 : 0,
+    monthUsd: spending.monthUsd || 0,
+  };
+}
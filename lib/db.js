@@ -0,0 +1,98 @@
+/**
+ * EveryAlt - IndexedDB connection and small promise helpers.
+ * Object stores are created here so every module shares one schema version.
+ */
+
+const DB_NAME = 'everyalt';
+const DB_VERSION = 3;
+
+export const RESULTS_STORE = 'results';
+export const HISTORY_STORE = 'history';
+// History thumbnails, keyed by entry id, so searching never loads the images
+export const THUMBNAILS_STORE = 'historyThumbnails';
+
+let dbPromise = null;
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RESULTS_STORE)) {
+          const store = db.createObjectStore(RESULTS_STORE, { keyPath: 'key' });
+          store.createIndex('lastUsed', 'lastUsed');
+        }
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        }
+        if (event.oldVersion < 3) {
+          const history = request.transaction.objectStore(HISTORY_STORE);
+          history.createIndex('domain', 'domain');
+          history.createIndex('model', 'model');
+          const thumbnails = db.createObjectStore(THUMBNAILS_STORE, { keyPath: 'id' });
+          moveThumbnails(history, thumbnails);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/** Version 3 upgrade: take the thumbnails out of existing history entries. */
+function moveThumbnails(history, thumbnails) {
+  const cursorRequest = history.openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    const { thumbnail, ...entry } = cursor.value;
+    if (thumbnail) {
+      thumbnails.put({ id: entry.id, thumbnail });
+      cursor.update(entry);
+    }
+    cursor.continue();
+  };
+}
+
+/** Wrap an IDBRequest in a promise. */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run `fn` against one object store inside a transaction and wait for it to commit.
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => any} fn
+ */
+export function withStore(storeName, mode, fn) {
+  return withStores([storeName], mode, fn);
+}
+
+/**
+ * Like withStore(), with one transaction across several stores.
+ * @param {string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(...stores: IDBObjectStore[]) => any} fn - Gets the stores in the order named
+ */
+export async function withStores(storeNames, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await fn(...storeNames.map((name) => tx.objectStore(name)));
+  await done;
+  return result;
+}
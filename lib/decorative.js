@@ -0,0 +1,52 @@
+/**
+ * EveryAlt - Decorative-image detection.
+ *
+ * Two signals: the model classifies the image in the same request (a
+ * DECORATIVE: marker line in text mode, is_decorative in structured mode),
+ * and the content script reports page hints such as tiny dimensions or an
+ * aria-hidden ancestor. The verdict is advisory; the modal offers
+ * "Use empty alt" rather than blanking the description.
+ */
+
+const MARKER_PATTERN = /^\s*DECORATIVE:\s*(.*)$/im;
+
+/**
+ * Prompt text asking the model to flag decorative images.
+ * @param {boolean} perLanguage - Answer is a JSON object of languages
+ * @returns {string}
+ */
+export function buildDecorativeInstruction(perLanguage) {
+  const where = perLanguage ? 'at the start of each value' : 'at the start of your reply';
+  return (
+    'If the image is purely decorative (a spacer, divider, background flourish, or an icon ' +
+    'that only repeats a text label next to it), put a line "DECORATIVE: <short reason in ' +
+    `English>" ${where}, then still write the alt text on the next line.`
+  );
+}
+
+/**
+ * Remove a DECORATIVE: marker line from model output.
+ * @param {string} text
+ * @returns {{text: string, reason: string|null}} reason is null when there was no marker
+ */
+export function splitDecorativeMarker(text) {
+  const match = MARKER_PATTERN.exec(text || '');
+  if (!match) return { text, reason: null };
+  const rest = (text.slice(0, match.index) + text.slice(match.index + match[0].length)).trim();
+  return { text: rest, reason: match[1].trim() };
+}
+
+/**
+ * Combine the model's classification with the page hints.
+ * @param {{isDecorative: boolean, reason: string}|null} model
+ * @param {string[]} pageHints - Reasons found by the content script
+ * @returns {{likely: boolean, reasons: Array<{source: 'model'|'page', text: string}>}}
+ */
+export function mergeDecorativeVerdict(model, pageHints = []) {
+  const reasons = [];
+  if (model && model.isDecorative) {
+    reasons.push({ source: 'model', text: model.reason || 'The model classified it as decorative.' });
+  }
+  pageHints.forEach((text) => reasons.push({ source: 'page', text }));
+  return { likely: reasons.length > 0, reasons };
+}
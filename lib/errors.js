@@ -0,0 +1,85 @@
+/**
+ * EveryAlt - Typed errors.
+ *
+ * Every failure that reaches the UI carries a `code`, so the service worker
+ * can offer a matching action ("Open Settings" for auth, "Check billing" for
+ * quota, and so on) instead of a bare message.
+ */
+
+export const ERROR_CODES = {
+  AUTH: 'auth', // Missing, invalid or revoked API key
+  QUOTA: 'quota', // Out of credit / billing limit reached
+  RATE_LIMIT: 'rate_limit', // Too many requests; retry later
+  CONTENT_POLICY: 'content_policy', // Refused by the provider's safety system
+  NETWORK: 'network', // Could not reach the API (offline, DNS, CORS)
+  TIMEOUT: 'timeout', // No response within the configured timeout
+  BAD_IMAGE: 'bad_image', // Image could not be loaded, decoded or accepted
+  SERVER: 'server', // Provider returned 5xx
+  TRUNCATED: 'truncated', // Output hit the max token limit
+  INVALID_RESPONSE: 'invalid_response', // Unparseable or empty response
+  CANCELLED: 'cancelled', // Aborted by the user
+  BUDGET: 'budget', // Daily or monthly spending cap reached
+  LOCKED: 'locked', // API keys are passphrase-protected and not unlocked
+  UNKNOWN: 'unknown',
+};
+
+/** Codes worth retrying automatically (after backoff). */
+export const RETRYABLE_CODES = [
+  ERROR_CODES.RATE_LIMIT,
+  ERROR_CODES.SERVER,
+  ERROR_CODES.NETWORK,
+  ERROR_CODES.TIMEOUT,
+];
+
+export class EveryAltError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable, shown in the modal
+   * @param {object} [details] - { status, retryAfterMs, cause }
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'EveryAltError';
+    this.code = code;
+    this.status = details.status || 0;
+    this.retryAfterMs = details.retryAfterMs || 0;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+/**
+ * Map an HTTP error response to an error code, using the provider's
+ * message to tell quota exhaustion apart from ordinary rate limiting.
+ * @param {number} status
+ * @param {string} message
+ * @returns {string}
+ */
+export function classifyHttpError(status, message = '') {
+  const text = message.toLowerCase();
+
+  if (status === 401 || status === 403) return ERROR_CODES.AUTH;
+  if (status === 402 || /quota|billing|credit balance|insufficient.?funds/.test(text)) {
+    return ERROR_CODES.QUOTA;
+  }
+  if (status === 429) return ERROR_CODES.RATE_LIMIT;
+  if (/content.?policy|safety|moderation|flagged|harmful/.test(text)) {
+    return ERROR_CODES.CONTENT_POLICY;
+  }
+  if (/image/.test(text) && (status === 400 || status === 413 || status === 415 || status === 422)) {
+    return ERROR_CODES.BAD_IMAGE;
+  }
+  if (status >= 500) return ERROR_CODES.SERVER;
+  return ERROR_CODES.UNKNOWN;
+}
+
+/**
+ * Normalize anything thrown into an EveryAltError.
+ * @param {*} err
+ * @param {string} [fallbackCode]
+ * @returns {EveryAltError}
+ */
+export function toEveryAltError(err, fallbackCode = ERROR_CODES.UNKNOWN) {
+  if (err instanceof EveryAltError) return err;
+  const message = err?.message || 'An unexpected error occurred.';
+  return new EveryAltError(fallbackCode, message, { cause: err });
+}
@@ -0,0 +1,283 @@
+/**
+ * EveryAlt - Generation history (IndexedDB).
+ *
+ * Every generation, successful or not, is kept with a small thumbnail, the
+ * page it came from, the profile and model used and, once the user copies,
+ * applies or edits it, the final alt text. Retention is configurable; by
+ * default nothing is thrown away. Thumbnails live in their own store so a
+ * search reads only the ones of the page it returns.
+ */
+
+import { HISTORY_STORE, THUMBNAILS_STORE, promisify, withStore, withStores } from './db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Writes read the store to prune it; chain them so concurrent batch items don't interleave
+let writeChain = Promise.resolve();
+
+/**
+ * Append a generation result (success or error) and apply the retention limits.
+ *
+ * @param {object} entry
+ *   Success: { imageUrl, pageUrl, thumbnail, altText, altTexts, details, provider, model,
+ *     profile, profileId, usage, cost, cached, durationMs, batchId, visual }
+ *   Error:   { imageUrl, pageUrl, error, errorCode, profile, profileId, durationMs, batchId, visual }
+ *   durationMs: time spent on the provider request, retries included
+ *   visual: background | poster | svg | canvas | video for non-<img> visuals; svg, canvas
+ *     and video were captured as pixels and their imageUrl only names the page
+ * @param {object} [retention] - { maxEntries, maxAgeDays }; 0 means no limit
+ * @returns {Promise<number>} Id of the new entry
+ */
+export function addHistoryEntry(entry, retention = {}) {
+  const { thumbnail, ...rest } = entry;
+  const record = {
+    ...rest,
+    timestamp: entry.timestamp || Date.now(),
+    domain: entry.domain || getDomain(entry.pageUrl),
+  };
+  const write = writeChain.then(async () => {
+    const id = await withStores([HISTORY_STORE, THUMBNAILS_STORE], 'readwrite', async (store, thumbs) => {
+      const added = await promisify(store.add(record));
+      if (thumbnail) thumbs.put({ id: added, thumbnail });
+      return added;
+    });
+    await pruneHistory(retention);
+    return id;
+  });
+  writeChain = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Record the alt text the user ended up with (edited, copied or applied).
+ * @param {number} id
+ * @param {string} finalAlt
+ */
+export async function setFinalAlt(id, finalAlt) {
+  await withStore(HISTORY_STORE, 'readwrite', async (store) => {
+    const entry = await promisify(store.get(id));
+    if (!entry) return;
+    store.put({ ...entry, finalAlt, editedAt: Date.now() });
+  });
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getHistoryEntry(id) {
+  const [entry, thumb] = await withStores([HISTORY_STORE, THUMBNAILS_STORE], 'readonly', (store, thumbs) =>
+    Promise.all([promisify(store.get(id)), promisify(thumbs.get(id))])
+  );
+  if (!entry) return null;
+  return thumb ? { ...entry, thumbnail: thumb.thumbnail } : entry;
+}
+
+/**
+ * Search the history, newest first. Entries are walked one at a time along
+ * the date range; only the requested page is kept, and only its thumbnails
+ * are read.
+ * @param {object} [filters] - { text, domain, status, model, from, to }
+ *   text: every word must appear in the alt texts, URLs, profile, model or error;
+ *   from / to: timestamps, `to` exclusive
+ * @param {object} [page] - { offset, limit, thumbnails, summary }; limit 0 returns every match,
+ *   thumbnails: false leaves them out (exports and analytics);
+ *   summary: false skips `total`, `totals` and `facets` and stops at the end of the page
+ * @returns {Promise<{entries: Array<object>, total?: number, totals?: object,
+ *   facets?: {domains: string[], models: string[]}}>}
+ *   totals covers every match: { success, errors, tokens, costUsd, costByModel }
+ */
+export async function queryHistory(
+  filters = {},
+  { offset = 0, limit = 50, thumbnails = true, summary = true } = {}
+) {
+  const words = (filters.text || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const matchesFilters = (entry) => {
+    if (filters.domain && entry.domain !== filters.domain) return false;
+    if (filters.status && entry.status !== filters.status) return false;
+    if (filters.model && entry.model !== filters.model) return false;
+    if (words.length === 0) return true;
+    const haystack = searchableText(entry);
+    return words.every((word) => haystack.includes(word));
+  };
+  const end = limit > 0 ? offset + limit : Infinity;
+
+  return withStores([HISTORY_STORE, THUMBNAILS_STORE], 'readonly', async (store, thumbs) => {
+    const entries = [];
+    const totals = createTotals();
+    let total = 0;
+
+    await walkCursor(store.index('timestamp').openCursor(dateRange(filters), 'prev'), (entry) => {
+      if (!matchesFilters(entry)) return true;
+      if (total >= offset && total < end) entries.push(entry);
+      total++;
+      if (!summary) return total < end;
+      addToTotals(totals, entry);
+      return true;
+    });
+
+    if (thumbnails) {
+      const found = await Promise.all(entries.map((entry) => promisify(thumbs.get(entry.id))));
+      found.forEach((thumb, i) => {
+        if (thumb) entries[i] = { ...entries[i], thumbnail: thumb.thumbnail };
+      });
+    }
+    if (!summary) return { entries };
+
+    const [domains, models] = await Promise.all([
+      uniqueKeys(store.index('domain')),
+      uniqueKeys(store.index('model')),
+    ]);
+    return { entries, total, totals, facets: { domains, models } };
+  });
+}
+
+export async function clearHistory() {
+  await withStores([HISTORY_STORE, THUMBNAILS_STORE], 'readwrite', (store, thumbs) =>
+    Promise.all([promisify(store.clear()), promisify(thumbs.clear())])
+  );
+}
+
+/**
+ * Delete entries past the age limit, then the oldest beyond the count limit.
+ * @param {object} retention - { maxEntries, maxAgeDays }; 0 means no limit
+ */
+export async function pruneHistory({ maxEntries = 0, maxAgeDays = 0 } = {}) {
+  if (!maxEntries && !maxAgeDays) return;
+
+  await withStores([HISTORY_STORE, THUMBNAILS_STORE], 'readwrite', async (store, thumbs) => {
+    const index = store.index('timestamp');
+    if (maxAgeDays) {
+      const cutoff = IDBKeyRange.upperBound(Date.now() - maxAgeDays * DAY_MS, true);
+      await deleteByCursor(index.openCursor(cutoff), thumbs, Infinity);
+    }
+    if (maxEntries) {
+      const count = await promisify(store.count());
+      if (count > maxEntries) await deleteByCursor(index.openCursor(), thumbs, count - maxEntries);
+    }
+  });
+}
+
+/**
+ * Move the log kept in chrome.storage.local before history existed into
+ * IndexedDB, once.
+ */
+export async function migrateLegacyLog() {
+  const { generationLog } = await chrome.storage.local.get(['generationLog']);
+  if (!generationLog) return;
+  // Stored newest first; add oldest first so ids follow time
+  for (const entry of [...generationLog].reverse()) {
+    await addHistoryEntry(entry);
+  }
+  await chrome.storage.local.remove('generationLog');
+}
+
+// ── Helpers ─────────────────────────────────────────────────────
+
+/** Delete up to `limit` records from an index cursor (oldest first), with their thumbnails. */
+function deleteByCursor(cursorRequest, thumbs, limit) {
+  let remaining = limit;
+  return new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || remaining <= 0) {
+        resolve();
+        return;
+      }
+      thumbs.delete(cursor.primaryKey);
+      cursor.delete();
+      remaining--;
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+/**
+ * Hand each record of a cursor to `visit` until it returns false or the records run out.
+ * @param {IDBRequest} cursorRequest
+ * @param {(value: object) => boolean} visit
+ */
+function walkCursor(cursorRequest, visit) {
+  return new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || !visit(cursor.value)) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+/** The distinct, non-empty keys of an index, sorted; no records are read. */
+function uniqueKeys(index) {
+  const keys = [];
+  const cursorRequest = index.openKeyCursor(null, 'nextunique');
+  return new Promise((resolve, reject) => {
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve(keys);
+        return;
+      }
+      if (cursor.key) keys.push(cursor.key);
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+/** Timestamp range for the from / to filters (`to` exclusive); null for all time. */
+function dateRange({ from, to }) {
+  if (from && to) return IDBKeyRange.bound(from, to, false, true);
+  if (from) return IDBKeyRange.lowerBound(from);
+  if (to) return IDBKeyRange.upperBound(to, true);
+  return null;
+}
+
+function getDomain(url) {
+  try {
+    return url ? new URL(url).hostname : '';
+  } catch {
+    return '';
+  }
+}
+
+function searchableText(entry) {
+  const details = entry.details ? JSON.stringify(entry.details) : '';
+  return [
+    entry.altText,
+    ...Object.values(entry.altTexts || {}),
+    entry.finalAlt,
+    details,
+    entry.imageUrl?.startsWith('data:') ? '' : entry.imageUrl,
+    entry.pageUrl,
+    entry.profile,
+    entry.model,
+    entry.error,
+  ]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+}
+
+function createTotals() {
+  return { success: 0, errors: 0, tokens: 0, costUsd: 0, costByModel: {} };
+}
+
+function addToTotals(totals, entry) {
+  if (entry.status !== 'success') {
+    totals.errors++;
+    return;
+  }
+  totals.success++;
+  // Cache hits are stored without usage or cost
+  totals.tokens += entry.cost?.tokens?.total || 0;
+  totals.costUsd += entry.cost?.totalUsd || 0;
+  if (entry.model && !entry.cached) {
+    totals.costByModel[entry.model] = (totals.costByModel[entry.model] || 0) + (entry.cost?.totalUsd || 0);
+  }
+}
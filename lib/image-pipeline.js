@@ -0,0 +1,223 @@
+/**
+ * EveryAlt - Image preprocessing.
+ *
+ * Every image goes through here before it is sent to a provider, whether the
+ * service worker fetched it or the content script did (as a CORS fallback it
+ * hands back the original bytes). Images are scaled so the largest side is at
+ * most `maxDimension` pixels and re-encoded; smaller images mean fewer tokens.
+ */
+
+export const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  png: 'image/png', // Lossless: best for text and line art, largest payload
+};
+
+export const IMAGE_DETAILS = ['low', 'high', 'auto'];
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  maxDimension: 300,
+  format: 'jpeg',
+  quality: 85, // Percent; ignored for PNG
+  detail: 'low',
+};
+
+const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Preprocessing options from settings (or a profile applied to them),
+ * clamped to sane values.
+ * @param {object} settings - { imageMaxDimension, imageFormat, imageQuality, imageDetail }
+ * @returns {{maxDimension: number, format: string, quality: number, detail: string}}
+ */
+export function getImageOptions(settings) {
+  const maxDimension = Number(settings.imageMaxDimension) || DEFAULT_IMAGE_OPTIONS.maxDimension;
+  const quality = Number(settings.imageQuality) || DEFAULT_IMAGE_OPTIONS.quality;
+  const { imageFormat, imageDetail } = settings;
+  return {
+    maxDimension: Math.max(64, Math.min(2048, Math.round(maxDimension))),
+    format: IMAGE_FORMATS[imageFormat] ? imageFormat : DEFAULT_IMAGE_OPTIONS.format,
+    quality: Math.max(10, Math.min(100, Math.round(quality))),
+    detail: IMAGE_DETAILS.includes(imageDetail) ? imageDetail : DEFAULT_IMAGE_OPTIONS.detail,
+  };
+}
+
+/**
+ * Fetch an image URL (or decode a data URL) and preprocess it.
+ * @param {string} url - Image URL or data URL
+ * @param {object} options - From getImageOptions()
+ * @returns {Promise<string>} base64 data URL in the configured format
+ */
+export async function imageUrlToBase64(url, options) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image (${response.status})`);
+  }
+  return preprocessImage(await response.blob(), options);
+}
+
+/**
+ * Scale and re-encode an image.
+ * Uses OffscreenCanvas (available in service workers & modern browsers).
+ * @param {Blob} blob - Original image bytes
+ * @param {object} options - From getImageOptions()
+ * @returns {Promise<string>} base64 data URL
+ */
+export async function preprocessImage(blob, options) {
+  // Validate it's actually an image
+  if (!blob.type.startsWith('image/')) {
+    throw new Error(`URL did not return an image (got ${blob.type})`);
+  }
+
+  // Reject extremely large files before decoding
+  if (blob.size > MAX_SOURCE_BYTES) {
+    throw new Error('Image is too large (over 20 MB). Try a smaller image.');
+  }
+
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = scaleToFit(bitmap.width, bitmap.height, options.maxDimension);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (options.format === 'jpeg') {
+    // JPEG has no alpha; transparent areas would turn black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const outBlob = await canvas.convertToBlob({
+    type: IMAGE_FORMATS[options.format],
+    quality: options.quality / 100,
+  });
+
+  return blobToDataUrl(outBlob);
+}
+
+/**
+ * Cut a rectangle out of a tab screenshot.
+ * @param {string} dataUrl - From chrome.tabs.captureVisibleTab
+ * @param {{x: number, y: number, width: number, height: number}} rect - CSS pixels in the viewport
+ * @param {number} pixelRatio - The page's devicePixelRatio (screen density times zoom), since
+ *   the screenshot is in device pixels
+ * @returns {Promise<string>} PNG data URL, preprocessed later like any image
+ */
+export async function cropImage(dataUrl, rect, pixelRatio) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const clampX = (value) => Math.max(0, Math.min(bitmap.width, Math.round(value * pixelRatio)));
+  const clampY = (value) => Math.max(0, Math.min(bitmap.height, Math.round(value * pixelRatio)));
+  const left = clampX(rect.x);
+  const top = clampY(rect.y);
+  const width = clampX(rect.x + rect.width) - left;
+  const height = clampY(rect.y + rect.height) - top;
+  if (width < 1 || height < 1) {
+    bitmap.close();
+    throw new Error('The selected area is outside the visible page.');
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, left, top, width, height, 0, 0, width, height);
+  bitmap.close();
+  return blobToDataUrl(await canvas.convertToBlob({ type: IMAGE_FORMATS.png }));
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to encode resized image.'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// History thumbnails: small enough to keep thousands in IndexedDB
+const THUMBNAIL_OPTIONS = { maxDimension: 96, format: 'jpeg', quality: 70 };
+
+/**
+ * Small JPEG of an image for the history view.
+ * @param {string} dataUrl - The image as sent to the provider
+ * @returns {Promise<string>} data URL
+ */
+export function createThumbnail(dataUrl) {
+  return imageUrlToBase64(dataUrl, THUMBNAIL_OPTIONS);
+}
+
+/**
+ * Dimensions that fit within a maxDimension box, keeping the aspect ratio.
+ * Images are never scaled up.
+ * @returns {{width: number, height: number}}
+ */
+export function scaleToFit(width, height, maxDimension) {
+  if (width <= maxDimension && height <= maxDimension) return { width, height };
+  const scale = maxDimension / Math.max(width, height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+// ── Token Estimates ───────────────────────────────────────────
+
+// OpenAI tile pricing: a base cost plus a cost per 512px tile in high detail.
+// Matched by model-name prefix; the longest match wins.
+const OPENAI_TILE_TOKENS = {
+  'gpt-5': { base: 70, tile: 140 },
+  'gpt-4o': { base: 85, tile: 170 },
+  'gpt-4o-mini': { base: 2833, tile: 5667 },
+  'gpt-4.1': { base: 85, tile: 170 },
+};
+const DEFAULT_TILE_TOKENS = { base: 85, tile: 170 };
+
+/**
+ * Rough number of input tokens an image of this size costs. Providers
+ * change their formulas; this is for comparing settings, not billing.
+ * @param {number} width - As sent (after preprocessing)
+ * @param {number} height
+ * @param {object} options - { provider, model, detail }
+ * @returns {number}
+ */
+export function estimateImageTokens(width, height, { provider, model = '', detail = 'low' }) {
+  if (provider === 'anthropic') {
+    // About one token per 750 pixels, after Anthropic scales the long edge to 1568
+    const fit = scaleToFit(width, height, 1568);
+    return Math.ceil((fit.width * fit.height) / 750);
+  }
+
+  if (provider === 'gemini') {
+    // Small images are one 258-token tile; larger ones are cut into 768px tiles
+    if (width <= 384 && height <= 384) return 258;
+    return Math.ceil(width / 768) * Math.ceil(height / 768) * 258;
+  }
+
+  const prefix = Object.keys(OPENAI_TILE_TOKENS)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  const { base, tile } = OPENAI_TILE_TOKENS[prefix] || DEFAULT_TILE_TOKENS;
+
+  // "auto" lets the model decide; small images are read in low detail anyway
+  const high = detail === 'high' || (detail === 'auto' && Math.max(width, height) > 512);
+  if (!high) return base;
+
+  // High detail: fit in 2048x2048, scale the short side to 768, count 512px tiles
+  let fit = scaleToFit(width, height, 2048);
+  const shortSide = Math.min(fit.width, fit.height);
+  if (shortSide > 768) {
+    const scale = 768 / shortSide;
+    fit = { width: Math.round(fit.width * scale), height: Math.round(fit.height * scale) };
+  }
+  return base + tile * Math.ceil(fit.width / 512) * Math.ceil(fit.height / 512);
+}
+
+// Rough bytes per pixel of a re-encoded photo, for payload estimates
+const BYTES_PER_PIXEL = { jpeg: 0.25, webp: 0.17, png: 2.5 };
+
+/**
+ * Approximate encoded size of a photo; text and flat graphics compress better.
+ * @returns {number} Bytes
+ */
+export function estimateImageBytes(width, height, { format, quality }) {
+  // Lossy formats grow quickly above ~80% quality
+  const qualityFactor = format === 'png' ? 1 : 0.35 + 0.65 * (quality / 100) ** 3 * 2;
+  return Math.round(width * height * BYTES_PER_PIXEL[format] * qualityFactor);
+}
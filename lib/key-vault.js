@@ -0,0 +1,260 @@
+/**
+ * EveryAlt - Passphrase protection for the stored API keys.
+ *
+ * Off by default: keys live in chrome.storage.local `apiKeys` as before.
+ * With a passphrase, the whole key map is encrypted (PBKDF2-SHA-256 ->
+ * AES-256-GCM) into `apiKeyVault` and the plaintext copy is removed.
+ * Unlocking decrypts the keys into chrome.storage.session, which is kept
+ * in memory, cleared when the browser closes and hidden from content
+ * scripts. After `autoLockMinutes` without a generation the session copy is
+ * dropped again.
+ *
+ * apiKeyVault: { version, iterations, salt, iv, data, providers }
+ *   salt / iv / data base64; providers lists which keys are inside (not secret)
+ * session apiKeySession: { keys, rawKey, lastUsedAt }
+ *   rawKey is the derived AES key, so keys can be re-encrypted without the passphrase
+ */
+
+import { EveryAltError, ERROR_CODES } from './errors.js';
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const AUTO_LOCK_ALARM = 'everyalt-auto-lock';
+
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * @returns {EveryAltError} For anything that needs the keys while they are locked
+ */
+export function lockedError() {
+  return new EveryAltError(
+    ERROR_CODES.LOCKED,
+    'Your API keys are locked. Unlock EveryAlt with your passphrase to continue.'
+  );
+}
+
+/**
+ * @returns {Promise<{enabled: boolean, unlocked: boolean, providers: string[]}>}
+ */
+export async function getVaultStatus() {
+  const { apiKeyVault, settings } = await chrome.storage.local.get(['apiKeyVault', 'settings']);
+  if (!apiKeyVault) return { enabled: false, unlocked: false, providers: [] };
+  const keys = await getUnlockedApiKeys(settings?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES);
+  return { enabled: true, unlocked: !!keys, providers: apiKeyVault.providers || [] };
+}
+
+/**
+ * Decrypted keys from the session, or null when locked or idle too long.
+ * @param {number} autoLockMinutes - 0 = stay unlocked until the browser closes
+ * @returns {Promise<object|null>} provider -> key
+ */
+export async function getUnlockedApiKeys(autoLockMinutes) {
+  const { apiKeySession } = await chrome.storage.session.get(['apiKeySession']);
+  if (!apiKeySession) return null;
+  if (autoLockMinutes > 0 && Date.now() - apiKeySession.lastUsedAt > autoLockMinutes * MINUTE_MS) {
+    await lockVault();
+    return null;
+  }
+  return apiKeySession.keys;
+}
+
+/**
+ * Encrypt the current keys with a new passphrase and drop the plaintext copy.
+ * Leaves the keys unlocked for this session.
+ * @param {string} passphrase
+ */
+export async function enableVault(passphrase) {
+  checkPassphrase(passphrase);
+  const { apiKeys, apiKeyVault } = await chrome.storage.local.get(['apiKeys', 'apiKeyVault']);
+  if (apiKeyVault) throw new Error('API keys are already protected with a passphrase.');
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const keys = apiKeys || {};
+  await chrome.storage.local.set({
+    apiKeyVault: await sealKeys(keys, key, { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS }),
+  });
+  await chrome.storage.local.remove('apiKeys');
+  await startSession(keys, key);
+}
+
+/**
+ * Decrypt the keys back into plain storage and forget the passphrase.
+ * @param {string} passphrase
+ */
+export async function disableVault(passphrase) {
+  const { apiKeyVault } = await chrome.storage.local.get(['apiKeyVault']);
+  if (!apiKeyVault) return;
+  const { keys } = await openVault(apiKeyVault, passphrase);
+  await chrome.storage.local.set({ apiKeys: keys });
+  await chrome.storage.local.remove('apiKeyVault');
+  await lockVault();
+}
+
+/**
+ * @param {string} passphrase
+ * @throws {Error} On a wrong passphrase
+ */
+export async function unlockVault(passphrase) {
+  const { apiKeyVault } = await chrome.storage.local.get(['apiKeyVault']);
+  if (!apiKeyVault) return;
+  const { keys, key } = await openVault(apiKeyVault, passphrase);
+  await startSession(keys, key);
+}
+
+export async function lockVault() {
+  await chrome.storage.session.remove('apiKeySession');
+  await chrome.alarms.clear(AUTO_LOCK_ALARM);
+}
+
+/**
+ * Count a generation as activity, pushing back the auto-lock.
+ */
+export async function noteKeyUse() {
+  const { apiKeySession } = await chrome.storage.session.get(['apiKeySession']);
+  if (!apiKeySession) return;
+  await chrome.storage.session.set({ apiKeySession: { ...apiKeySession, lastUsedAt: Date.now() } });
+  await scheduleAutoLock();
+}
+
+/**
+ * Lock when the idle time has passed (called from the auto-lock alarm).
+ */
+export async function checkAutoLock() {
+  const { settings } = await chrome.storage.local.get(['settings']);
+  await getUnlockedApiKeys(settings?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES);
+}
+
+/**
+ * Every stored key, whichever way it is stored.
+ * @returns {Promise<object>} provider -> key
+ * @throws {EveryAltError} LOCKED
+ */
+export async function readApiKeys() {
+  const { apiKeys, apiKeyVault, settings } = await chrome.storage.local.get([
+    'apiKeys',
+    'apiKeyVault',
+    'settings',
+  ]);
+  if (!apiKeyVault) return apiKeys || {};
+  const keys = await getUnlockedApiKeys(settings?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES);
+  if (!keys) throw lockedError();
+  return keys;
+}
+
+/**
+ * Replace the stored key map, re-encrypting it when a passphrase is set.
+ * @param {object} apiKeys - provider -> key
+ * @throws {EveryAltError} LOCKED
+ */
+export async function writeApiKeys(apiKeys) {
+  const { apiKeyVault } = await chrome.storage.local.get(['apiKeyVault']);
+  if (!apiKeyVault) {
+    await chrome.storage.local.set({ apiKeys });
+    return;
+  }
+  const { apiKeySession } = await chrome.storage.session.get(['apiKeySession']);
+  if (!apiKeySession) throw lockedError();
+  const key = await importRawKey(apiKeySession.rawKey);
+  const { salt, iterations } = apiKeyVault;
+  await chrome.storage.local.set({ apiKeyVault: await sealKeys(apiKeys, key, { salt, iterations }) });
+  await chrome.storage.session.set({ apiKeySession: { ...apiKeySession, keys: apiKeys } });
+}
+
+/**
+ * Store one provider's key.
+ * @param {string} provider
+ * @param {string} apiKey
+ * @throws {EveryAltError} LOCKED
+ */
+export async function saveApiKey(provider, apiKey) {
+  const keys = await readApiKeys();
+  await writeApiKeys({ ...keys, [provider]: apiKey });
+}
+
+// ── Helpers ─────────────────────────────────────────────────────
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  // Extractable so the session can keep it for re-encrypting edited keys
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function sealKeys(keys, key, { salt, iterations }) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(keys))
+  );
+  return {
+    version: VAULT_VERSION,
+    iterations,
+    salt,
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data)),
+    providers: Object.keys(keys).filter((provider) => keys[provider]),
+  };
+}
+
+async function openVault(vault, passphrase) {
+  const key = await deriveKey(String(passphrase || ''), fromBase64(vault.salt), vault.iterations);
+  try {
+    const iv = fromBase64(vault.iv);
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, fromBase64(vault.data));
+    return { keys: JSON.parse(new TextDecoder().decode(data)), key };
+  } catch {
+    // AES-GCM authentication fails on a wrong passphrase
+    throw new Error('Wrong passphrase.');
+  }
+}
+
+async function startSession(keys, key) {
+  const rawKey = toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+  await chrome.storage.session.set({ apiKeySession: { keys, rawKey, lastUsedAt: Date.now() } });
+  await scheduleAutoLock();
+}
+
+function importRawKey(rawKey) {
+  return crypto.subtle.importKey('raw', fromBase64(rawKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function scheduleAutoLock() {
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const minutes = settings?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+  if (minutes > 0) {
+    await chrome.alarms.create(AUTO_LOCK_ALARM, { when: Date.now() + minutes * MINUTE_MS });
+  } else {
+    await chrome.alarms.clear(AUTO_LOCK_ALARM);
+  }
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,103 @@
+/**
+ * EveryAlt - Target languages.
+ *
+ * Languages are BCP 47 codes ("en", "de", "pt-BR"). An empty list leaves the
+ * language to the prompt, which is how EveryAlt behaved before languages
+ * could be chosen. Sites can override the global list by hostname.
+ */
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Parse a comma- or space-separated list of language codes.
+ * Invalid codes are dropped; duplicates are removed; order is kept.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseLanguageList(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  const codes = [];
+  for (const part of parts) {
+    if (!part) continue;
+    try {
+      const [code] = Intl.getCanonicalLocales(part.trim());
+      if (code && !codes.includes(code)) codes.push(code);
+    } catch {
+      // Not a valid language tag
+    }
+  }
+  return codes;
+}
+
+/**
+ * @param {string} code
+ * @returns {string} English display name, e.g. "German"
+ */
+export function languageName(code) {
+  try {
+    return displayNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Languages for a page: the most specific per-site override whose hostname
+ * matches (example.com also covers www.example.com), else the global list.
+ * @param {object} settings - { languages, siteLanguages }
+ * @param {string} [pageUrl]
+ * @returns {string[]}
+ */
+export function resolveLanguages(settings, pageUrl) {
+  const siteLanguages = settings.siteLanguages || {};
+  let hostname = '';
+  try {
+    hostname = new URL(pageUrl).hostname;
+  } catch {
+    // No page URL (or not a URL): use the global list
+  }
+
+  let bestMatch = '';
+  for (const site of Object.keys(siteLanguages)) {
+    const matches = hostname === site || hostname.endsWith('.' + site);
+    if (matches && site.length > bestMatch.length) bestMatch = site;
+  }
+
+  return bestMatch ? siteLanguages[bestMatch] : settings.languages || [];
+}
+
+/**
+ * Sentence appended to the prompt so the model answers in the target language(s).
+ * @param {string[]} languages
+ * @param {object} [options] - { structured } when each language gets an object of fields
+ * @returns {string} Empty when no language is set
+ */
+export function buildLanguageInstruction(languages, { structured = false } = {}) {
+  const subject = structured ? 'every text field' : 'the alt text';
+  if (languages.length === 0) return '';
+  if (languages.length === 1) return `Write ${subject} in ${languageName(languages[0])}.`;
+
+  const list = languages.map((code) => `${languageName(code)} (${code})`).join(', ');
+  const values = structured
+    ? 'objects with the fields listed next'
+    : 'the alt text in that language';
+  return (
+    `Write ${subject} in each of these languages: ${list}. ` +
+    `Respond with only a JSON object whose keys are the language codes and whose values are ${values}.`
+  );
+}
+
+/**
+ * JSON Schema for a multi-language answer: { "<code>": <value>, ... }
+ * @param {string[]} languages
+ * @param {object} [valueSchema] - Schema of each language's value (a string by default)
+ * @returns {object}
+ */
+export function buildLanguageSchema(languages, valueSchema = { type: 'string' }) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(languages.map((code) => [code, valueSchema])),
+    required: languages,
+    additionalProperties: false,
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * EveryAlt - Page context for prompts.
+ *
+ * The content script collects text around the image (see collectImageContext
+ * in content-script.js). Here the enabled sources are picked in priority
+ * order and trimmed to the configured token budget before they are added
+ * to the prompt.
+ */
+
+/** Context sources in priority order: earlier ones win when the budget runs out. */
+export const CONTEXT_SOURCES = [
+  { key: 'figcaption', label: 'Caption' },
+  { key: 'existingAlt', label: 'Existing alt/title' },
+  { key: 'heading', label: 'Nearest heading' },
+  { key: 'linkTarget', label: 'Link target' },
+  { key: 'pageTitle', label: 'Page title' },
+  { key: 'paragraph', label: 'Surrounding text' },
+];
+
+export const DEFAULT_CONTEXT_SOURCES = CONTEXT_SOURCES.map((source) => source.key);
+export const DEFAULT_CONTEXT_TOKENS = 200;
+
+// Rough size of a token in English text; good enough for a budget
+const CHARS_PER_TOKEN = 4;
+// Below this a truncated snippet is more noise than help
+const MIN_SNIPPET_CHARS = 40;
+
+/**
+ * Pick the enabled, non-empty sources and fit them into the token budget.
+ * @param {object} raw - Collected context, keyed by source
+ * @param {string[]} sources - Enabled source keys
+ * @param {number} budgetTokens
+ * @returns {Array<{key: string, label: string, text: string}>}
+ */
+export function selectContext(raw, sources, budgetTokens) {
+  if (!raw || budgetTokens <= 0) return [];
+
+  let remaining = budgetTokens * CHARS_PER_TOKEN;
+  const items = [];
+
+  for (const { key, label } of CONTEXT_SOURCES) {
+    if (!sources.includes(key)) continue;
+    const value = String(raw[key] || '').replace(/\s+/g, ' ').trim();
+    if (!value) continue;
+
+    const room = remaining - label.length - 2;
+    if (room < Math.min(value.length, MIN_SNIPPET_CHARS)) continue;
+
+    const text = value.length > room ? value.slice(0, room - 1).trimEnd() + '\u2026' : value;
+    items.push({ key, label, text });
+    remaining -= label.length + 2 + text.length;
+  }
+
+  return items;
+}
+
+/**
+ * Prompt text for the selected context.
+ * @param {Array<{label: string, text: string}>} items
+ * @returns {string} Empty when there is no context
+ */
+export function buildContextInstruction(items) {
+  if (!items || items.length === 0) return '';
+  const lines = items.map(({ label, text }) => `${label}: ${text}`).join('\n');
+  return (
+    'Context from the page where the image appears. Use it to make the description ' +
+    'specific (names, places, purpose), but describe only what is visible and do not ' +
+    `repeat the caption word for word:\n${lines}`
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * EveryAlt - Per-model pricing.
+ *
+ * Prices are USD per 1M tokens. The built-in table covers the default
+ * models and a few common alternatives; the options page lets users edit it,
+ * and the edited table replaces this one. Models without a price (local
+ * ones, or anything not in the table) are reported as unpriced, not free.
+ */
+
+export const DEFAULT_MODEL_PRICING = {
+  'gpt-5-nano': { input: 0.05, output: 0.40 },
+  'gpt-5-mini': { input: 0.25, output: 2.00 },
+  'gpt-5': { input: 1.25, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+  'claude-sonnet-4-5': { input: 3.00, output: 15.00 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+};
+
+/**
+ * Price of a model: an exact match, else the longest table entry the name
+ * starts with, so dated snapshots ("gpt-5-nano-2025-08-07") use their base price.
+ * @param {string} model
+ * @param {object} [table] - model -> { input, output }
+ * @returns {{input: number, output: number}|null}
+ */
+export function findModelPricing(model, table = DEFAULT_MODEL_PRICING) {
+  if (!model || !table) return null;
+  if (table[model]) return table[model];
+  const base = Object.keys(table)
+    .filter((key) => model.startsWith(key + '-'))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? table[base] : null;
+}
+
+/**
+ * Calculate estimated cost in USD from normalized token usage.
+ * @param {object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @param {string} model
+ * @param {object} [table] - Pricing table; the built-in one by default
+ * @returns {{totalUsd: number, costCents: string|null, inputCost: number, outputCost: number,
+ *   priced: boolean, tokens: object}} costCents is null when the model has no price
+ */
+export function calculateCost(usage, model, table = DEFAULT_MODEL_PRICING) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const totalTokens = usage.total_tokens || promptTokens + completionTokens;
+  const pricing = findModelPricing(model, table);
+
+  const inputCost = pricing ? (promptTokens / 1_000_000) * pricing.input : 0;
+  const outputCost = pricing ? (completionTokens / 1_000_000) * pricing.output : 0;
+  const totalCost = inputCost + outputCost;
+
+  return {
+    totalUsd: totalCost,
+    // Format as cents string (e.g., "0.0123¢")
+    costCents: pricing ? (totalCost * 100).toFixed(4) + '\u00A2' : null,
+    inputCost,
+    outputCost,
+    priced: !!pricing,
+    tokens: {
+      prompt: promptTokens,
+      completion: completionTokens,
+      total: totalTokens,
+    },
+  };
+}
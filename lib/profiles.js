@@ -0,0 +1,88 @@
+/**
+ * EveryAlt - Named settings profiles.
+ *
+ * A profile ("Product", "News photo", "SEO"...) overrides a few generation
+ * settings on top of the saved defaults. Empty fields fall back to the
+ * defaults. Profiles are listed under the image context menu item; the
+ * menu item ids carry the profile id.
+ */
+
+/** Settings a profile may override. */
+export const PROFILE_FIELDS = [
+  'model',
+  'customPrompt',
+  'maxTokens',
+  'languages',
+  'imageMaxDimension',
+  'imageFormat',
+  'imageQuality',
+  'imageDetail',
+];
+
+export const GENERATE_MENU_ID = 'generate-alt-text';
+const PROFILE_MENU_PREFIX = `${GENERATE_MENU_ID}:profile:`;
+const DEFAULT_MENU_ID = `${GENERATE_MENU_ID}:default`;
+
+/**
+ * @param {Array<object>} profiles
+ * @param {string} [id]
+ * @returns {object|null}
+ */
+export function findProfile(profiles, id) {
+  if (!id) return null;
+  return (profiles || []).find((profile) => profile.id === id) || null;
+}
+
+/**
+ * Settings with the profile's non-empty fields applied.
+ * A profile's languages replace the global list; per-site languages still win.
+ * @param {object} settings - From getSettings()
+ * @param {object|null} profile
+ * @returns {object} Settings plus { profileId, profileName } (null without a profile)
+ */
+export function applyProfile(settings, profile) {
+  if (!profile) return { ...settings, profileId: null, profileName: null };
+
+  const overrides = {};
+  for (const field of PROFILE_FIELDS) {
+    const value = profile[field];
+    const isEmpty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+    if (!isEmpty) overrides[field] = value;
+  }
+  return { ...settings, ...overrides, profileId: profile.id, profileName: profile.name };
+}
+
+/**
+ * Context menu items: the plain "Generate" item without profiles, or a
+ * submenu with the defaults followed by every profile.
+ * @param {Array<object>} profiles
+ * @returns {Array<object>} chrome.contextMenus.create() properties
+ */
+export function buildGenerateMenuItems(profiles) {
+  const parent = { id: GENERATE_MENU_ID, title: 'Generate Alt Text with EveryAlt', contexts: ['image'] };
+  if (!profiles || profiles.length === 0) return [parent];
+
+  return [
+    parent,
+    { id: DEFAULT_MENU_ID, parentId: GENERATE_MENU_ID, title: 'Default settings', contexts: ['image'] },
+    ...profiles.map((profile) => ({
+      id: PROFILE_MENU_PREFIX + profile.id,
+      parentId: GENERATE_MENU_ID,
+      title: profile.name,
+      contexts: ['image'],
+    })),
+  ];
+}
+
+/**
+ * @param {string} menuItemId
+ * @returns {{profileId: string|null}|null} null when the id is not a generate item
+ */
+export function parseGenerateMenuId(menuItemId) {
+  if (menuItemId === GENERATE_MENU_ID || menuItemId === DEFAULT_MENU_ID) return { profileId: null };
+  if (typeof menuItemId === 'string' && menuItemId.startsWith(PROFILE_MENU_PREFIX)) {
+    return { profileId: menuItemId.slice(PROFILE_MENU_PREFIX.length) };
+  }
+  return null;
+}
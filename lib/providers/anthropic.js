@@ -0,0 +1,158 @@
+/**
+ * EveryAlt - Anthropic provider (Messages API).
+ */
+
+import { splitDataUrl } from '../utils.js';
+
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export const id = 'anthropic';
+export const label = 'Anthropic';
+export const DEFAULT_MODEL = 'claude-haiku-4-5';
+export const requiresApiKey = true;
+export const BILLING_URL = 'https://console.anthropic.com/settings/billing';
+export const KEY_PLACEHOLDER = 'sk-ant-...';
+export const KEY_URL = 'https://console.anthropic.com/settings/keys';
+
+// Normalize to the chat-completions vocabulary used by the rest of the extension
+const STOP_REASONS = { max_tokens: 'length', refusal: 'content_filter' };
+
+/**
+ * @param {string} base64DataUrl
+ * @param {object} options - { apiKey, model, maxTokens, prompt, responseSchema, stream }
+ *   The Messages API has no JSON mode; a responseSchema is described in the prompt instead.
+ */
+export function buildRequest(base64DataUrl, options) {
+  const { mimeType, data } = splitDataUrl(base64DataUrl);
+  const body = {
+    model: options.model,
+    max_tokens: options.maxTokens,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: mimeType, data } },
+          { type: 'text', text: options.prompt },
+        ],
+      },
+    ],
+  };
+  if (options.stream) body.stream = true;
+
+  return {
+    url: `${ANTHROPIC_BASE_URL}/messages`,
+    init: { method: 'POST', headers: authHeaders(options.apiKey), body: JSON.stringify(body) },
+  };
+}
+
+/**
+ * @param {object} data
+ * @returns {{text: string, finishReason: string, usage: object}}
+ */
+export function parseResponse(data) {
+  const text = (data?.content || [])
+    .filter((block) => block.type === 'text' && block.text)
+    .map((block) => block.text)
+    .join('')
+    .trim();
+
+  const finishReason = STOP_REASONS[data?.stop_reason] || data?.stop_reason || '';
+
+  return { text, finishReason, usage: mapUsage(data?.usage) };
+}
+
+/**
+ * Fold one streamed event into `message`, a Messages API response body
+ * that parseResponse() reads once the stream has ended.
+ * @param {object} event - Parsed `data:` payload; its `type` names the event
+ * @param {object} message - Accumulator, starts as {}
+ * @returns {string} Text this event adds
+ */
+export function parseStreamEvent(event, message) {
+  message.content ??= [{ type: 'text', text: '' }];
+  switch (event?.type) {
+    case 'message_start':
+      message.usage = { ...event.message?.usage };
+      return '';
+    case 'content_block_delta': {
+      const text = event.delta?.type === 'text_delta' ? event.delta.text || '' : '';
+      message.content[0].text += text;
+      return text;
+    }
+    case 'message_delta':
+      if (event.delta?.stop_reason) message.stop_reason = event.delta.stop_reason;
+      // output_tokens here is the running total, not an increment
+      message.usage = { ...message.usage, ...event.usage };
+      return '';
+    default:
+      return '';
+  }
+}
+
+export function parseError(data) {
+  return data?.error?.message || '';
+}
+
+/**
+ * @param {object} [raw] - { input_tokens, output_tokens }
+ */
+export function mapUsage(raw = {}) {
+  const prompt = raw.input_tokens || 0;
+  const completion = raw.output_tokens || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+/**
+ * Validate an Anthropic API key with a GET to /v1/models.
+ * @param {string} apiKey
+ * @returns {Promise<{valid: boolean, message: string}>}
+ */
+export async function validateApiKey(apiKey) {
+  if (!apiKey || typeof apiKey !== 'string' || apiKey.trim() === '') {
+    return { valid: false, message: 'API key is empty.' };
+  }
+  try {
+    const response = await fetch(`${ANTHROPIC_BASE_URL}/models`, {
+      method: 'GET',
+      headers: authHeaders(apiKey.trim()),
+    });
+    if (response.ok) {
+      return { valid: true, message: 'API key is valid.' };
+    }
+    if (response.status === 401 || response.status === 403) {
+      return { valid: false, message: 'Invalid API key. Check that the key is correct.' };
+    }
+    return { valid: false, message: `Validation returned status ${response.status}. Try again.` };
+  } catch (err) {
+    return { valid: false, message: 'Network error: ' + err.message };
+  }
+}
+
+/**
+ * List the models the key can use. Every Claude 3 and later model reads images.
+ * @param {string} apiKey
+ * @returns {Promise<Array<{id: string, label: string}>>}
+ */
+export async function listModels(apiKey) {
+  if (!apiKey || apiKey.trim() === '') throw new Error('API key is empty.');
+  const response = await fetch(`${ANTHROPIC_BASE_URL}/models?limit=1000`, {
+    method: 'GET',
+    headers: authHeaders(apiKey.trim()),
+  });
+  if (!response.ok) throw new Error(`The model list returned status ${response.status}.`);
+  const data = await response.json();
+  return (data?.data || [])
+    .filter((model) => !/^claude-(2|instant)/.test(model.id))
+    .map((model) => ({ id: model.id, label: model.display_name || model.id }));
+}
+
+function authHeaders(apiKey) {
+  return {
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+    // Required for requests that originate from a browser context
+    'anthropic-dangerous-direct-browser-access': 'true',
+    'Content-Type': 'application/json',
+  };
+}
@@ -0,0 +1,165 @@
+/**
+ * EveryAlt - Google Gemini provider (generateContent).
+ */
+
+import { splitDataUrl } from '../utils.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+export const id = 'gemini';
+export const label = 'Google Gemini';
+export const DEFAULT_MODEL = 'gemini-2.5-flash-lite';
+export const requiresApiKey = true;
+export const BILLING_URL = 'https://aistudio.google.com/usage';
+export const KEY_PLACEHOLDER = 'AIza...';
+export const KEY_URL = 'https://aistudio.google.com/apikey';
+
+const BLOCKED_REASONS = ['safety', 'recitation', 'blocklist', 'prohibited_content', 'spii', 'image_safety'];
+
+/**
+ * @param {string} base64DataUrl
+ * @param {object} options - { apiKey, model, maxTokens, prompt, responseSchema, stream }
+ */
+export function buildRequest(base64DataUrl, options) {
+  const { mimeType, data } = splitDataUrl(base64DataUrl);
+  const body = {
+    contents: [
+      {
+        role: 'user',
+        parts: [
+          { text: options.prompt },
+          { inline_data: { mime_type: mimeType, data } },
+        ],
+      },
+    ],
+    generationConfig: { maxOutputTokens: options.maxTokens },
+  };
+
+  if (options.responseSchema) {
+    body.generationConfig.responseMimeType = 'application/json';
+    body.generationConfig.responseJsonSchema = options.responseSchema;
+  }
+
+  const model = encodeURIComponent(options.model);
+  const method = options.stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+  return {
+    url: `${GEMINI_BASE_URL}/models/${model}:${method}`,
+    init: {
+      method: 'POST',
+      headers: { 'x-goog-api-key': options.apiKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    },
+  };
+}
+
+/**
+ * @param {object} data
+ * @returns {{text: string, finishReason: string, usage: object}}
+ */
+export function parseResponse(data) {
+  const candidate = data?.candidates?.[0];
+  const text = (candidate?.content?.parts || [])
+    .filter((part) => part.text)
+    .map((part) => part.text)
+    .join('')
+    .trim();
+
+  let finishReason = (candidate?.finishReason || '').toLowerCase();
+  if (finishReason === 'max_tokens') finishReason = 'length';
+  // A blocked prompt has no candidates, only promptFeedback.blockReason
+  if (BLOCKED_REASONS.includes(finishReason) || data?.promptFeedback?.blockReason) {
+    finishReason = 'content_filter';
+  }
+
+  return { text, finishReason, usage: mapUsage(data?.usageMetadata) };
+}
+
+/**
+ * Fold one streamed chunk into `message`, a generateContent response body
+ * that parseResponse() reads once the stream has ended.
+ * @param {object} event - A partial GenerateContentResponse
+ * @param {object} message - Accumulator, starts as {}
+ * @returns {string} Text this chunk adds
+ */
+export function parseStreamEvent(event, message) {
+  const candidate = event?.candidates?.[0];
+  const text = (candidate?.content?.parts || [])
+    .filter((part) => part.text)
+    .map((part) => part.text)
+    .join('');
+
+  message.candidates ??= [{ content: { parts: [{ text: '' }] } }];
+  message.candidates[0].content.parts[0].text += text;
+  if (candidate?.finishReason) message.candidates[0].finishReason = candidate.finishReason;
+  // Every chunk reports the usage so far
+  if (event?.usageMetadata) message.usageMetadata = event.usageMetadata;
+  if (event?.promptFeedback) message.promptFeedback = event.promptFeedback;
+  return text;
+}
+
+export function parseError(data) {
+  return data?.error?.message || '';
+}
+
+/**
+ * @param {object} [raw] - usageMetadata { promptTokenCount, candidatesTokenCount, totalTokenCount }
+ */
+export function mapUsage(raw = {}) {
+  const prompt = raw.promptTokenCount || 0;
+  // Thinking models bill their reasoning tokens as output
+  const completion = (raw.candidatesTokenCount || 0) + (raw.thoughtsTokenCount || 0);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: raw.totalTokenCount || prompt + completion,
+  };
+}
+
+/**
+ * Validate a Gemini API key by listing models.
+ * @param {string} apiKey
+ * @returns {Promise<{valid: boolean, message: string}>}
+ */
+export async function validateApiKey(apiKey) {
+  if (!apiKey || typeof apiKey !== 'string' || apiKey.trim() === '') {
+    return { valid: false, message: 'API key is empty.' };
+  }
+  try {
+    const response = await fetch(`${GEMINI_BASE_URL}/models`, {
+      method: 'GET',
+      headers: { 'x-goog-api-key': apiKey.trim() },
+    });
+    if (response.ok) {
+      return { valid: true, message: 'API key is valid.' };
+    }
+    // Gemini answers 400 (API_KEY_INVALID) rather than 401 for a bad key
+    if (response.status === 400 || response.status === 401 || response.status === 403) {
+      return { valid: false, message: 'Invalid API key. Check that the key is correct.' };
+    }
+    return { valid: false, message: `Validation returned status ${response.status}. Try again.` };
+  } catch (err) {
+    return { valid: false, message: 'Network error: ' + err.message };
+  }
+}
+
+// Multimodal Gemini models; speech, embedding, image-output and Live variants are left out
+const NON_VISION_PATTERN = /(tts|embedding|image|live|audio)/;
+
+/**
+ * List the vision-capable models the key can use.
+ * @param {string} apiKey
+ * @returns {Promise<Array<{id: string, label: string}>>}
+ */
+export async function listModels(apiKey) {
+  if (!apiKey || apiKey.trim() === '') throw new Error('API key is empty.');
+  const response = await fetch(`${GEMINI_BASE_URL}/models?pageSize=1000`, {
+    method: 'GET',
+    headers: { 'x-goog-api-key': apiKey.trim() },
+  });
+  if (!response.ok) throw new Error(`The model list returned status ${response.status}.`);
+  const data = await response.json();
+  return (data?.models || [])
+    .filter((model) => (model.supportedGenerationMethods || []).includes('generateContent'))
+    .map((model) => ({ id: model.name.replace(/^models\//, ''), label: model.displayName || model.name }))
+    .filter((model) => model.id.startsWith('gemini-') && !NON_VISION_PATTERN.test(model.id));
+}
@@ -0,0 +1,44 @@
+/**
+ * EveryAlt - Vision provider registry.
+ *
+ * Every provider module exports the same surface:
+ *   id, label, DEFAULT_MODEL, requiresApiKey, BILLING_URL,
+ *   KEY_PLACEHOLDER, KEY_URL (for the settings page; KEY_URL is '' without a key page),
+ *   buildRequest(base64DataUrl, options) -> { url, init }
+ *     (options.responseSchema, when set, asks for JSON matching that schema;
+ *      options.detail is the image detail level, ignored where unsupported;
+ *      options.stream asks for server-sent events)
+ *   parseResponse(data) -> { text, finishReason, usage }
+ *   parseStreamEvent(event, message) -> string
+ *     (folds one streamed event into `message`, a response body for
+ *      parseResponse(), and returns the text it adds)
+ *   parseError(data) -> string
+ *   mapUsage(raw) -> { prompt_tokens, completion_tokens, total_tokens }
+ *   validateApiKey(apiKey, options) -> Promise<{ valid, message }>
+ *   listModels(apiKey, options) -> Promise<Array<{ id, label }>> (vision-capable models only)
+ */
+
+import * as openai from './openai.js';
+import * as anthropic from './anthropic.js';
+import * as gemini from './gemini.js';
+import * as compatible from './openai-compatible.js';
+
+export const DEFAULT_PROVIDER = 'openai';
+
+const PROVIDERS = {
+  [openai.id]: openai,
+  [anthropic.id]: anthropic,
+  [gemini.id]: gemini,
+  [compatible.id]: compatible,
+};
+
+export const PROVIDER_IDS = Object.keys(PROVIDERS);
+
+/**
+ * Look up a provider module by id, falling back to OpenAI.
+ * @param {string} id
+ */
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
@@ -0,0 +1,65 @@
+/**
+ * EveryAlt - OpenAI-compatible provider.
+ * Any server that speaks the Chat Completions protocol at a custom base URL:
+ * Ollama (http://localhost:11434/v1), LM Studio (http://localhost:1234/v1),
+ * vLLM, OpenRouter, etc.
+ */
+
+import {
+  buildChatRequest,
+  checkModelsEndpoint,
+  fetchModelIds,
+  parseResponse,
+  parseStreamEvent,
+  parseError,
+  mapUsage,
+} from './openai.js';
+
+export const id = 'compatible';
+export const label = 'OpenAI-compatible';
+export const DEFAULT_MODEL = 'llava';
+export const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+// Local servers usually run without authentication
+export const requiresApiKey = false;
+export const BILLING_URL = '';
+export const KEY_PLACEHOLDER = 'Optional for local servers';
+export const KEY_URL = '';
+
+// Common local vision model families; local servers don't report capabilities
+const VISION_MODEL_PATTERN = /(llava|vision|moondream|minicpm-v|gemma3|pixtral|vl\b)/i;
+
+export { parseResponse, parseStreamEvent, parseError, mapUsage };
+
+/**
+ * @param {string} base64DataUrl
+ * @param {object} options - { apiKey, baseUrl, model, maxTokens, prompt, detail, responseSchema, stream }
+ */
+export function buildRequest(base64DataUrl, options) {
+  // Most compatible servers only understand the older max_tokens field
+  return buildChatRequest(options.baseUrl || DEFAULT_BASE_URL, base64DataUrl, {
+    ...options,
+    maxTokensField: 'max_tokens',
+  });
+}
+
+/**
+ * List the server's models, keeping the ones that look vision-capable.
+ * If none match, every model is returned: an unknown family may still read images.
+ * @param {string} apiKey - Optional
+ * @param {object} options - { baseUrl }
+ * @returns {Promise<Array<{id: string, label: string}>>}
+ */
+export async function listModels(apiKey, options = {}) {
+  const ids = await fetchModelIds(options.baseUrl || DEFAULT_BASE_URL, (apiKey || '').trim());
+  const vision = ids.filter((model) => VISION_MODEL_PATTERN.test(model));
+  return (vision.length > 0 ? vision : ids).map((model) => ({ id: model, label: model }));
+}
+
+/**
+ * Check that the endpoint answers GET /models (with the key, if one is set).
+ * @param {string} apiKey - Optional
+ * @param {object} options - { baseUrl }
+ */
+export async function validateApiKey(apiKey, options = {}) {
+  return checkModelsEndpoint(options.baseUrl || DEFAULT_BASE_URL, (apiKey || '').trim());
+}
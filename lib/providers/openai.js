@@ -0,0 +1,222 @@
+/**
+ * EveryAlt - OpenAI provider (Chat Completions).
+ * Ported from the WordPress plugin's class-everyalt-openai.php.
+ */
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+export const id = 'openai';
+export const label = 'OpenAI';
+export const DEFAULT_MODEL = 'gpt-5-nano';
+export const requiresApiKey = true;
+export const BILLING_URL = 'https://platform.openai.com/settings/organization/billing';
+export const KEY_PLACEHOLDER = 'sk-...';
+export const KEY_URL = 'https://platform.openai.com/api-keys';
+
+/**
+ * Build the fetch request for a chat-completions vision call.
+ * @param {string} base64DataUrl - Full data URL (data:image/...;base64,...)
+ * @param {object} options - { apiKey, model, maxTokens, prompt, detail, responseSchema, stream }
+ * @returns {{url: string, init: RequestInit}}
+ */
+export function buildRequest(base64DataUrl, options) {
+  return buildChatRequest(OPENAI_BASE_URL, base64DataUrl, {
+    ...options,
+    maxTokensField: 'max_completion_tokens',
+    streamUsage: true,
+  });
+}
+
+/**
+ * Parse a chat-completions response body.
+ * @param {object} data
+ * @returns {{text: string, finishReason: string, usage: object}}
+ */
+export function parseResponse(data) {
+  // Content can be a string or an array of content parts
+  let text = '';
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content === 'string') {
+    text = content.trim();
+  } else if (Array.isArray(content)) {
+    text = content
+      .filter((p) => p.type === 'text' && p.text)
+      .map((p) => p.text)
+      .join('')
+      .trim();
+  }
+
+  // A refusal comes back as message.refusal with no content
+  const refused = !!data?.choices?.[0]?.message?.refusal;
+
+  return {
+    text,
+    finishReason: refused ? 'content_filter' : data?.choices?.[0]?.finish_reason || '',
+    usage: mapUsage(data?.usage),
+  };
+}
+
+/**
+ * Fold one streamed chunk into `message`, a chat-completions response body
+ * that parseResponse() reads once the stream has ended.
+ * @param {object} event - Parsed `data:` payload of the event
+ * @param {object} message - Accumulator, starts as {}
+ * @returns {string} Text this chunk adds
+ */
+export function parseStreamEvent(event, message) {
+  // With include_usage the final chunk carries usage and no choices
+  if (event?.usage) message.usage = event.usage;
+  const choice = event?.choices?.[0];
+  if (!choice) return '';
+
+  message.choices ??= [{ message: { content: '' }, finish_reason: '' }];
+  const target = message.choices[0];
+  if (choice.delta?.refusal) {
+    target.message.refusal = (target.message.refusal || '') + choice.delta.refusal;
+  }
+  if (choice.finish_reason) target.finish_reason = choice.finish_reason;
+
+  const text = typeof choice.delta?.content === 'string' ? choice.delta.content : '';
+  target.message.content += text;
+  return text;
+}
+
+/**
+ * Extract an error message from a failed response body.
+ * @param {object} data
+ * @returns {string}
+ */
+export function parseError(data) {
+  return data?.error?.message || '';
+}
+
+/**
+ * Chat-completions usage already uses the normalized field names.
+ * @param {object} [raw]
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+export function mapUsage(raw = {}) {
+  const prompt = raw.prompt_tokens || 0;
+  const completion = raw.completion_tokens || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: raw.total_tokens || prompt + completion,
+  };
+}
+
+/**
+ * Validate an OpenAI API key by making a lightweight GET to /v1/models.
+ * @param {string} apiKey
+ * @returns {Promise<{valid: boolean, message: string}>}
+ */
+export async function validateApiKey(apiKey) {
+  if (!apiKey || typeof apiKey !== 'string' || apiKey.trim() === '') {
+    return { valid: false, message: 'API key is empty.' };
+  }
+  return checkModelsEndpoint(OPENAI_BASE_URL, apiKey.trim());
+}
+
+// Chat models that read images. /models reports no capabilities, so this
+// goes by family name and drops audio, realtime, search and image-output variants.
+const VISION_MODEL_PATTERN = /^(gpt-5|gpt-4\.1|gpt-4o|chatgpt-4o|gpt-4-turbo|o1(?!-mini)|o3(?!-mini)|o4-mini)/;
+const NON_VISION_PATTERN = /(audio|realtime|transcribe|tts|search|instruct|codex|image)/;
+
+/**
+ * List the vision-capable models the key can use.
+ * @param {string} apiKey
+ * @returns {Promise<Array<{id: string, label: string}>>}
+ */
+export async function listModels(apiKey) {
+  if (!apiKey || apiKey.trim() === '') throw new Error('API key is empty.');
+  const ids = await fetchModelIds(OPENAI_BASE_URL, apiKey.trim());
+  return ids
+    .filter((model) => VISION_MODEL_PATTERN.test(model) && !NON_VISION_PATTERN.test(model))
+    .map((model) => ({ id: model, label: model }));
+}
+
+// ── Shared chat-completions helpers (also used by openai-compatible) ──
+
+/**
+ * @param {string} baseUrl - API root, e.g. https://api.openai.com/v1
+ * @param {string} base64DataUrl
+ * @param {object} options - { apiKey, model, maxTokens, prompt, detail, maxTokensField, responseSchema,
+ *   stream, streamUsage }
+ *   detail: 'low' (default), 'high' or 'auto'
+ *   streamUsage: ask for a final usage event; some compatible servers reject stream_options
+ */
+export function buildChatRequest(baseUrl, base64DataUrl, options) {
+  const body = {
+    model: options.model,
+    [options.maxTokensField]: options.maxTokens,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: options.prompt },
+          {
+            type: 'image_url',
+            image_url: { url: base64DataUrl, detail: options.detail || 'low' },
+          },
+        ],
+      },
+    ],
+  };
+
+  if (options.responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'everyalt_output', strict: true, schema: options.responseSchema },
+    };
+  }
+
+  if (options.stream) {
+    body.stream = true;
+    if (options.streamUsage) body.stream_options = { include_usage: true };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+
+  return {
+    url: `${trimSlash(baseUrl)}/chat/completions`,
+    init: { method: 'POST', headers, body: JSON.stringify(body) },
+  };
+}
+
+/**
+ * GET {baseUrl}/models and translate the status into a validation result.
+ */
+export async function checkModelsEndpoint(baseUrl, apiKey) {
+  try {
+    const headers = {};
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const response = await fetch(`${trimSlash(baseUrl)}/models`, { method: 'GET', headers });
+    if (response.ok) {
+      return { valid: true, message: apiKey ? 'API key is valid.' : 'Endpoint is reachable.' };
+    }
+    if (response.status === 401) {
+      return { valid: false, message: 'Invalid API key. Check that the key is correct.' };
+    }
+    return { valid: false, message: `Validation returned status ${response.status}. Try again.` };
+  } catch (err) {
+    return { valid: false, message: 'Network error: ' + err.message };
+  }
+}
+
+/**
+ * GET {baseUrl}/models and return the model ids, sorted.
+ * @throws {Error} On a network error or a non-2xx status
+ */
+export async function fetchModelIds(baseUrl, apiKey) {
+  const headers = {};
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const response = await fetch(`${trimSlash(baseUrl)}/models`, { method: 'GET', headers });
+  if (!response.ok) throw new Error(`The model list returned status ${response.status}.`);
+  const data = await response.json();
+  return (data?.data || []).map((model) => model.id).filter(Boolean).sort();
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
@@ -0,0 +1,128 @@
+/**
+ * EveryAlt - Persistent result cache (IndexedDB).
+ *
+ * Results are keyed by a SHA-256 of the resized image bytes plus the
+ * provider (and server, for OpenAI-compatible ones), model, prompt, page
+ * context, target languages and output options, so the same picture served
+ * from a different URL or CDN is still a hit.
+ */
+
+import { RESULTS_STORE, promisify, withStore } from './db.js';
+
+/**
+ * Build the cache key for an image and generation parameters.
+ * @param {string} base64DataUrl - The resized image as sent to the API
+ * @param {object} params - { provider, baseUrl, model, prompt, context, languages, outputMode,
+ *   detectDecorative, detail }
+ *   baseUrl: the server of an OpenAI-compatible provider, where a model name
+ *     alone does not say which model answered ('' for the hosted providers)
+ *   context: the prompt text built from page context ('' for none)
+ * @returns {Promise<string>} hex SHA-256
+ */
+export async function buildCacheKey(
+  base64DataUrl,
+  {
+    provider,
+    baseUrl = '',
+    model,
+    prompt,
+    context = '',
+    languages = [],
+    outputMode = 'text',
+    detectDecorative = false,
+    detail = 'low',
+  }
+) {
+  const payload = base64DataUrl.slice(base64DataUrl.indexOf(',') + 1);
+  const binary = atob(payload);
+  const imageBytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) imageBytes[i] = binary.charCodeAt(i);
+
+  // Defaults keep the key format of entries cached before these options existed
+  const languagePart = languages.length ? `\n${languages.join(',')}` : '';
+  const modePart = outputMode !== 'text' ? `\n${outputMode}` : '';
+  const contextPart = context ? `\n${context}` : '';
+  const decorativePart = detectDecorative ? '\ndecorative' : '';
+  const detailPart = detail !== 'low' ? `\ndetail:${detail}` : '';
+  const serverPart = baseUrl ? `\nserver:${baseUrl.replace(/\/+$/, '')}` : '';
+  const paramBytes = new TextEncoder().encode(
+    `\n${provider}\n${model}\n${prompt}` +
+      `${languagePart}${modePart}${contextPart}${decorativePart}${detailPart}${serverPart}`
+  );
+  const combined = new Uint8Array(imageBytes.length + paramBytes.length);
+  combined.set(imageBytes);
+  combined.set(paramBytes, imageBytes.length);
+
+  const digest = await crypto.subtle.digest('SHA-256', combined);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up a cached result. Expired entries are deleted and reported as misses.
+ * @param {string} key
+ * @param {number} maxAgeMs
+ * @returns {Promise<{result: object, createdAt: number}|null>}
+ */
+export async function getCachedResult(key, maxAgeMs) {
+  return withStore(RESULTS_STORE, 'readwrite', async (store) => {
+    const entry = await promisify(store.get(key));
+    if (!entry) return null;
+    if (Date.now() - entry.createdAt > maxAgeMs) {
+      store.delete(key);
+      return null;
+    }
+    entry.lastUsed = Date.now();
+    store.put(entry);
+    return { result: entry.result, createdAt: entry.createdAt };
+  });
+}
+
+/**
+ * Store a result, then evict least-recently-used entries beyond maxEntries.
+ * @param {string} key
+ * @param {object} result - { altText, model, usage, cost }
+ * @param {number} maxEntries
+ */
+export async function putCachedResult(key, result, maxEntries) {
+  const now = Date.now();
+  await withStore(RESULTS_STORE, 'readwrite', (store) =>
+    store.put({ key, result, createdAt: now, lastUsed: now })
+  );
+  await pruneCache(maxEntries);
+}
+
+async function pruneCache(maxEntries) {
+  await withStore(RESULTS_STORE, 'readwrite', async (store) => {
+    const count = await promisify(store.count());
+    let excess = count - maxEntries;
+    if (excess <= 0) return;
+
+    // Oldest lastUsed first
+    await new Promise((resolve, reject) => {
+      const cursorRequest = store.index('lastUsed').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  });
+}
+
+/**
+ * @returns {Promise<{entries: number}>}
+ */
+export async function getCacheStats() {
+  const entries = await withStore(RESULTS_STORE, 'readonly', (store) => promisify(store.count()));
+  return { entries };
+}
+
+export async function clearCache() {
+  await withStore(RESULTS_STORE, 'readwrite', (store) => promisify(store.clear()));
+}
@@ -0,0 +1,162 @@
+/**
+ * EveryAlt - Optional settings sync through chrome.storage.sync.
+ *
+ * Off by default. When on, each field of the local `settings` object is
+ * mirrored to its own sync item ("settings.<field>", to stay under the
+ * per-item quota) plus a `settingsMeta` item with the format version.
+ * API keys never leave the machine. Changes flow both ways; every write
+ * compares values first, so local and remote changes don't echo.
+ *
+ * State lives in chrome.storage.local `settingsSync`:
+ *   { enabled, lastSyncedAt, error }
+ */
+
+import { saveSettings, SETTINGS_VERSION } from './utils.js';
+import {
+  compareVersions,
+  migrateSettingsData,
+  pickKnownSettings,
+  validateSetting,
+} from './settings-transfer.js';
+
+const ITEM_PREFIX = 'settings.';
+const META_KEY = 'settingsMeta';
+
+// Pushes and pulls read then write; run them one at a time
+let syncChain = Promise.resolve();
+
+/**
+ * @returns {Promise<{enabled: boolean, lastSyncedAt: number|null, error: string}>}
+ */
+export async function getSyncState() {
+  const { settingsSync } = await chrome.storage.local.get(['settingsSync']);
+  return { enabled: false, lastSyncedAt: null, error: '', ...(settingsSync || {}) };
+}
+
+/**
+ * Turn sync on or off. Turning it on adopts settings already synced from
+ * another machine; with nothing synced yet, this machine's settings are
+ * uploaded. Turning it off leaves the synced copy in place.
+ * @param {boolean} enabled
+ * @returns {Promise<object>} The new sync state, plus `adopted` when synced settings were applied
+ */
+export function setSyncEnabled(enabled) {
+  return runExclusive(async () => {
+    if (!enabled) {
+      await updateState({ enabled: false, error: '' });
+      return getSyncState();
+    }
+    await updateState({ enabled: true, error: '' });
+    const remote = await chrome.storage.sync.get(null);
+    const adopted = !!remote[META_KEY] && (await pull(remote));
+    if (!remote[META_KEY]) await push();
+    return { ...(await getSyncState()), adopted };
+  });
+}
+
+/**
+ * Upload local settings after they change. Does nothing while sync is off.
+ */
+export function pushSettings() {
+  return runExclusive(async () => {
+    if ((await getSyncState()).enabled) await push();
+  });
+}
+
+/**
+ * Apply settings changed on another machine. Does nothing while sync is off.
+ */
+export function pullSettings() {
+  return runExclusive(async () => {
+    if ((await getSyncState()).enabled) await pull(await chrome.storage.sync.get(null));
+  });
+}
+
+/**
+ * Whether a chrome.storage.sync change touches synced settings.
+ * @param {object} changes - From chrome.storage.onChanged
+ * @returns {boolean}
+ */
+export function isSettingsSyncChange(changes) {
+  return Object.keys(changes).some((key) => key === META_KEY || key.startsWith(ITEM_PREFIX));
+}
+
+// ── Helpers ─────────────────────────────────────────────────────
+
+async function push() {
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const local = pickKnownSettings(settings || {});
+  const remote = await chrome.storage.sync.get(null);
+
+  const changed = {};
+  Object.entries(local).forEach(([field, value]) => {
+    if (!sameValue(remote[ITEM_PREFIX + field], value)) changed[ITEM_PREFIX + field] = value;
+  });
+  const removed = Object.keys(remote).filter(
+    (key) => key.startsWith(ITEM_PREFIX) && local[key.slice(ITEM_PREFIX.length)] === undefined
+  );
+
+  try {
+    if (Object.keys(changed).length || removed.length || !remote[META_KEY]) {
+      if (removed.length) await chrome.storage.sync.remove(removed);
+      const meta = { version: SETTINGS_VERSION, updatedAt: Date.now() };
+      await chrome.storage.sync.set({ ...changed, [META_KEY]: meta });
+    }
+    await updateState({ lastSyncedAt: Date.now(), error: '' });
+  } catch (err) {
+    // Usually the sync quota (about 100 KB in total, 8 KB per setting)
+    await updateState({ error: `Could not sync settings: ${err.message}` });
+  }
+}
+
+/** @returns {Promise<boolean>} Whether local settings changed */
+async function pull(remote) {
+  const version = String(remote[META_KEY]?.version || SETTINGS_VERSION);
+  if (compareVersions(version, SETTINGS_VERSION) > 0) {
+    await updateState({
+      error:
+        `Another computer synced settings from a newer EveryAlt (format ${version}). ` +
+        'Update the extension to keep syncing.',
+    });
+    return false;
+  }
+
+  const synced = {};
+  Object.entries(remote).forEach(([key, value]) => {
+    if (key.startsWith(ITEM_PREFIX)) synced[key.slice(ITEM_PREFIX.length)] = value;
+  });
+  const migrated = pickKnownSettings(migrateSettingsData({ settings: synced }, version).settings);
+
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const updates = {};
+  const invalid = [];
+  Object.entries(migrated).forEach(([field, value]) => {
+    if (validateSetting(field, value).length) {
+      invalid.push(field);
+    } else if (!sameValue((settings || {})[field], value)) {
+      updates[field] = value;
+    }
+  });
+
+  if (Object.keys(updates).length) await saveSettings(updates);
+  await updateState({
+    lastSyncedAt: Date.now(),
+    error: invalid.length ? `Skipped invalid synced settings: ${invalid.join(', ')}.` : '',
+  });
+  return Object.keys(updates).length > 0;
+}
+
+async function updateState(changes) {
+  const state = await getSyncState();
+  await chrome.storage.local.set({ settingsSync: { ...state, ...changes } });
+}
+
+function runExclusive(task) {
+  const run = syncChain.then(task);
+  syncChain = run.catch(() => {});
+  return run;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,322 @@
+/**
+ * EveryAlt - Settings export and import.
+ *
+ * A settings file has the shape of chrome.storage.local:
+ *   { metadata: { version, exportedAt }, settings: {...}, apiKeys?: {...} }
+ * so a raw storage dump imports too. `metadata.version` is the settings
+ * format; older files are migrated step by step, files from a newer
+ * version are refused. API keys are only written when the user asks for
+ * them, on export and on import.
+ */
+
+import { PROVIDER_IDS } from './providers/index.js';
+import { IMAGE_FORMATS, IMAGE_DETAILS } from './image-pipeline.js';
+import { OUTPUT_MODES } from './structured-output.js';
+import { saveSettings, SETTINGS_VERSION } from './utils.js';
+import { readApiKeys, writeApiKeys } from './key-vault.js';
+
+export const SETTINGS_FILE_TYPE = 'everyalt-settings';
+
+const STRING = { type: 'string' };
+const STRING_LIST = { type: 'array', items: STRING };
+const OPTIONAL_INTEGER = (min, max) => ({ type: 'integer', min, max, nullable: true });
+
+/** Every field of the stored `settings` object and what it may hold. */
+const SETTINGS_SCHEMA = {
+  provider: { type: 'string', enum: PROVIDER_IDS },
+  baseUrl: STRING,
+  model: STRING,
+  customPrompt: STRING,
+  maxTokens: { type: 'integer', min: 1, max: 4096 },
+  languages: STRING_LIST,
+  siteLanguages: { type: 'object', values: STRING_LIST },
+  outputMode: { type: 'string', enum: Object.values(OUTPUT_MODES) },
+  detectDecorative: { type: 'boolean' },
+  lintRules: { ...STRING_LIST, nullable: true },
+  lintMaxLength: { type: 'integer', min: 50, max: 500 },
+  contextSources: STRING_LIST,
+  contextTokens: { type: 'integer', min: 0, max: 2000 },
+  imageMaxDimension: { type: 'integer', min: 64, max: 2048 },
+  imageFormat: { type: 'string', enum: Object.keys(IMAGE_FORMATS) },
+  imageQuality: { type: 'integer', min: 10, max: 100 },
+  imageDetail: { type: 'string', enum: IMAGE_DETAILS },
+  profiles: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id: STRING,
+        name: STRING,
+        model: STRING,
+        customPrompt: STRING,
+        maxTokens: OPTIONAL_INTEGER(1, 4096),
+        languages: STRING_LIST,
+        imageMaxDimension: OPTIONAL_INTEGER(64, 2048),
+        imageFormat: { type: 'string', enum: ['', ...Object.keys(IMAGE_FORMATS)] },
+        imageQuality: OPTIONAL_INTEGER(10, 100),
+        imageDetail: { type: 'string', enum: ['', ...IMAGE_DETAILS] },
+      },
+    },
+  },
+  copyTemplates: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'name', 'template'],
+      properties: { id: STRING, name: STRING, template: STRING },
+    },
+  },
+  modelPricing: {
+    type: 'object',
+    values: {
+      type: 'object',
+      required: ['input', 'output'],
+      properties: { input: { type: 'number', min: 0 }, output: { type: 'number', min: 0 } },
+    },
+  },
+  batchConcurrency: { type: 'integer', min: 1, max: 6 },
+  requestTimeoutSec: { type: 'integer', min: 10, max: 300 },
+  maxRetries: { type: 'integer', min: 0, max: 5 },
+  cacheEnabled: { type: 'boolean' },
+  cacheMaxEntries: { type: 'integer', min: 10, max: 10000 },
+  cacheMaxAgeDays: { type: 'integer', min: 1, max: 365 },
+  historyMaxEntries: { type: 'integer', min: 0, max: 1000000 },
+  historyMaxAgeDays: { type: 'integer', min: 0, max: 3650 },
+  budgetDailyUsd: { type: 'number', min: 0 },
+  budgetMonthlyUsd: { type: 'number', min: 0 },
+  budgetWarnPercent: { type: 'integer', min: 1, max: 100 },
+  autoLockMinutes: { type: 'integer', min: 0, max: 1440 },
+};
+
+/**
+ * Steps from one settings format to the next, oldest first. Each takes
+ * and returns a whole file ({ settings, apiKeys, ... }).
+ */
+const MIGRATIONS = [
+  {
+    // 1.0.0 kept a single OpenAI key at the top level
+    version: '1.1.0',
+    migrate(data) {
+      const { apiKey, apiKeyValidated, ...rest } = data;
+      if (!apiKey) return rest;
+      return { ...rest, apiKeys: { openai: apiKey, ...(data.apiKeys || {}) } };
+    },
+  },
+];
+
+/**
+ * The saved settings as a settings file.
+ * @param {object} [options] - { includeApiKeys }
+ * @returns {Promise<object>}
+ * @throws {EveryAltError} LOCKED when keys are requested while passphrase-protected and locked
+ */
+export async function exportSettings({ includeApiKeys = false } = {}) {
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const apiKeys = includeApiKeys ? await readApiKeys() : {};
+  return buildSettingsExport({ settings, apiKeys }, { includeApiKeys });
+}
+
+/**
+ * Validate a settings file and merge it into the saved settings; fields the
+ * file leaves out keep their current values.
+ * @param {*} data - Parsed JSON
+ * @param {object} [options] - { includeApiKeys }: also save the keys in the file
+ * @returns {Promise<{fromVersion: string, warnings: string[], apiKeyProviders: string[]}>}
+ *   apiKeyProviders: providers whose key was imported
+ * @throws {Error} When the file is invalid, or its keys can't be stored because
+ *   they are passphrase-protected and locked; nothing is saved then
+ */
+export async function importSettings(data, { includeApiKeys = false } = {}) {
+  const { settings, apiKeys, fromVersion, warnings } = parseSettingsImport(data);
+  const apiKeyProviders = includeApiKeys && apiKeys ? Object.keys(apiKeys) : [];
+  // Read first so a locked vault fails the import before anything is written
+  const storedKeys = apiKeyProviders.length ? await readApiKeys() : null;
+  await saveSettings(settings);
+
+  if (apiKeyProviders.length) {
+    await writeApiKeys({ ...storedKeys, ...apiKeys });
+    // Imported keys show as unvalidated until checked on this computer
+    const { apiKeysValidated } = await chrome.storage.local.get(['apiKeysValidated']);
+    const validated = { ...(apiKeysValidated || {}) };
+    apiKeyProviders.forEach((provider) => (validated[provider] = false));
+    await chrome.storage.local.set({ apiKeysValidated: validated });
+  } else if (apiKeys && Object.keys(apiKeys).length) {
+    warnings.push('The file contains API keys; they were not imported.');
+  }
+  return { fromVersion, warnings, apiKeyProviders };
+}
+
+/**
+ * Build a settings file from chrome.storage.local contents.
+ * @param {object} stored - { settings, apiKeys }
+ * @param {object} [options] - { includeApiKeys }
+ * @returns {object}
+ */
+export function buildSettingsExport(stored, { includeApiKeys = false } = {}) {
+  const data = {
+    type: SETTINGS_FILE_TYPE,
+    metadata: { version: SETTINGS_VERSION, exportedAt: new Date().toISOString() },
+    settings: pickKnownSettings(stored.settings || {}),
+  };
+  if (includeApiKeys) data.apiKeys = { ...(stored.apiKeys || {}) };
+  return data;
+}
+
+/**
+ * Migrate and validate a settings file.
+ * @param {*} data - Parsed JSON
+ * @returns {{settings: object, apiKeys: object|null, fromVersion: string, warnings: string[]}}
+ *   apiKeys is null when the file has none; warnings list ignored fields
+ * @throws {Error} With every problem found when the file can't be imported
+ */
+export function parseSettingsImport(data) {
+  if (!isPlainObject(data) || !isPlainObject(data.settings)) {
+    throw new Error('This is not an EveryAlt settings file (no "settings" object).');
+  }
+  if (data.type !== undefined && data.type !== SETTINGS_FILE_TYPE) {
+    throw new Error(`Unexpected file type "${data.type}".`);
+  }
+
+  const fromVersion = String(data.metadata?.version || '1.0.0');
+  if (!/^\d+(\.\d+)*$/.test(fromVersion)) {
+    throw new Error(`Unrecognized settings version "${fromVersion}".`);
+  }
+  if (compareVersions(fromVersion, SETTINGS_VERSION) > 0) {
+    throw new Error(
+      `These settings are from a newer version of EveryAlt (format ${fromVersion}). ` +
+        'Update the extension, then import again.'
+    );
+  }
+
+  const migrated = migrateSettingsData(data, fromVersion);
+  const warnings = [];
+  const errors = [];
+
+  Object.keys(migrated.settings).forEach((field) => {
+    if (!SETTINGS_SCHEMA[field]) warnings.push(`Ignored unknown setting "${field}".`);
+  });
+  const settings = pickKnownSettings(migrated.settings);
+  Object.entries(settings).forEach(([field, value]) => {
+    errors.push(...validateValue(value, SETTINGS_SCHEMA[field], field));
+  });
+
+  let apiKeys = null;
+  if (migrated.apiKeys !== undefined) {
+    if (!isPlainObject(migrated.apiKeys)) {
+      errors.push('apiKeys: expected an object.');
+    } else {
+      apiKeys = {};
+      Object.entries(migrated.apiKeys).forEach(([provider, key]) => {
+        if (!PROVIDER_IDS.includes(provider)) {
+          warnings.push(`Ignored API key for unknown provider "${provider}".`);
+        } else if (typeof key !== 'string') {
+          errors.push(`apiKeys.${provider}: expected a string.`);
+        } else if (key) {
+          apiKeys[provider] = key;
+        }
+      });
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`The settings file is invalid:\n${errors.join('\n')}`);
+  }
+  return { settings, apiKeys, fromVersion, warnings };
+}
+
+/**
+ * Apply every migration newer than `fromVersion`.
+ * @param {object} data - { settings, apiKeys, ... }
+ * @param {string} fromVersion
+ * @returns {object}
+ */
+export function migrateSettingsData(data, fromVersion) {
+  return MIGRATIONS.filter((step) => compareVersions(step.version, fromVersion) > 0).reduce(
+    (current, step) => step.migrate(current),
+    data
+  );
+}
+
+/**
+ * Check one settings field against the schema.
+ * @param {string} field
+ * @param {*} value
+ * @returns {string[]} Problems, empty when valid or the field is unknown
+ */
+export function validateSetting(field, value) {
+  return SETTINGS_SCHEMA[field] ? validateValue(value, SETTINGS_SCHEMA[field], field) : [];
+}
+
+/**
+ * Only the fields the schema knows, in schema order.
+ * @param {object} settings
+ * @returns {object}
+ */
+export function pickKnownSettings(settings) {
+  const known = {};
+  Object.keys(SETTINGS_SCHEMA).forEach((field) => {
+    if (settings[field] !== undefined) known[field] = settings[field];
+  });
+  return known;
+}
+
+/**
+ * Compare dotted version strings numerically.
+ * @returns {number} Negative, zero or positive
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+// ── Helpers ─────────────────────────────────────────────────────
+
+function validateValue(value, rule, path) {
+  if (value === null && rule.nullable) return [];
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return [`${path}: expected text.`];
+      if (rule.enum && !rule.enum.includes(value)) {
+        return [`${path}: "${value}" is not one of ${rule.enum.filter(Boolean).join(', ')}.`];
+      }
+      return [];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${path}: expected true or false.`];
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path}: expected a number.`];
+      if (rule.type === 'integer' && !Number.isInteger(value)) return [`${path}: expected a whole number.`];
+      if (rule.min !== undefined && value < rule.min) return [`${path}: ${value} is below ${rule.min}.`];
+      if (rule.max !== undefined && value > rule.max) return [`${path}: ${value} is above ${rule.max}.`];
+      return [];
+    case 'array':
+      if (!Array.isArray(value)) return [`${path}: expected a list.`];
+      return value.flatMap((item, index) => validateValue(item, rule.items, `${path}[${index}]`));
+    case 'object': {
+      if (!isPlainObject(value)) return [`${path}: expected an object.`];
+      const errors = (rule.required || [])
+        .filter((key) => value[key] === undefined)
+        .map((key) => `${path}.${key}: missing.`);
+      Object.entries(value).forEach(([key, child]) => {
+        const childRule = rule.properties ? rule.properties[key] : rule.values;
+        if (childRule && child !== undefined) {
+          errors.push(...validateValue(child, childRule, `${path}.${key}`));
+        }
+      });
+      return errors;
+    }
+    default:
+      return [];
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
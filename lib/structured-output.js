@@ -0,0 +1,122 @@
+/**
+ * EveryAlt - Structured (JSON) model output.
+ *
+ * Providers that support it are asked to follow a JSON Schema natively;
+ * the others get the shape in the prompt. Either way the answer is parsed
+ * and validated here before anything reaches the UI.
+ */
+
+export const OUTPUT_MODES = {
+  TEXT: 'text', // Alt text only
+  STRUCTURED: 'structured', // Alt, caption, title, long description, decorative flag
+};
+
+/** Schema of one structured answer (per language when there are several). */
+export const FIELDS_SCHEMA = {
+  type: 'object',
+  properties: {
+    alt: { type: 'string' },
+    caption: { type: 'string' },
+    title: { type: 'string' },
+    long_description: { type: 'string' },
+    is_decorative: { type: 'boolean' },
+    decorative_reason: { type: 'string' },
+  },
+  required: ['alt', 'caption', 'title', 'long_description', 'is_decorative', 'decorative_reason'],
+  additionalProperties: false,
+};
+
+const FIELD_DESCRIPTIONS =
+  '"alt" (concise alt text, under 125 characters), ' +
+  '"caption" (one sentence to show under the image), ' +
+  '"title" (a few words naming the image), ' +
+  '"long_description" (for complex images such as charts, diagrams or infographics, every detail ' +
+  'a sighted reader would get from the image; an empty string for simple images), ' +
+  '"is_decorative" (true if the image is purely decorative, such as a spacer, divider, ' +
+  'background flourish or an icon that only repeats a text label next to it), ' +
+  '"decorative_reason" (why it is decorative, in English; an empty string otherwise)';
+
+/**
+ * Prompt text describing the structured fields.
+ * @param {boolean} perLanguage - Fields are nested under language codes
+ * @returns {string}
+ */
+export function buildFieldsInstruction(perLanguage) {
+  return perLanguage
+    ? `Each language object has these fields: ${FIELD_DESCRIPTIONS}.`
+    : `Respond with only a JSON object with these fields: ${FIELD_DESCRIPTIONS}.`;
+}
+
+/**
+ * Parse a JSON object from model output, tolerating Markdown code fences
+ * and prose around the object.
+ * @param {string} text
+ * @returns {object|null}
+ */
+export function parseJsonObject(text) {
+  const source = String(text || '')
+    .replace(/^\s*```(?:json)?\s*/i, '')
+    .replace(/\s*```\s*$/, '');
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const value = JSON.parse(source.slice(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copy of a parsed answer with every string trimmed.
+ * @param {*} value
+ * @returns {*}
+ */
+export function trimStrings(value) {
+  if (typeof value === 'string') return value.trim();
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, trimStrings(child)]));
+}
+
+/**
+ * Validate a value against the subset of JSON Schema EveryAlt uses:
+ * type (object, string, boolean), properties, required, additionalProperties: false.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path]
+ * @returns {string[]} Problems found; empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = '') {
+  const label = path || 'response';
+
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string' ? [] : [`${label} must be a string`];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${label} must be true or false`];
+    case 'object':
+      break;
+    default:
+      return [];
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  const properties = schema.properties || {};
+  for (const key of schema.required || []) {
+    if (!(key in value)) errors.push(`${path ? path + '.' : ''}${key} is missing`);
+  }
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (properties[key]) {
+      errors.push(...validateAgainstSchema(child, properties[key], childPath));
+    } else if (schema.additionalProperties === false) {
+      errors.push(`${childPath} is not expected`);
+    }
+  }
+  return errors;
+}
@@ -2,97 +2,117 @@
  * EveryAlt - Utility helpers.
  */
 
-/** Max pixel dimension (width or height) before sending to OpenAI. */
-const MAX_DIMENSION = 300;
+import { DEFAULT_CONTEXT_SOURCES, DEFAULT_CONTEXT_TOKENS } from './page-context.js';
+import { DEFAULT_IMAGE_OPTIONS } from './image-pipeline.js';
+import { DEFAULT_MODEL_PRICING } from './pricing.js';
+import { DEFAULT_BUDGET_WARN_PERCENT } from './budget.js';
+import { DEFAULT_AUTO_LOCK_MINUTES, getUnlockedApiKeys } from './key-vault.js';
 
 /**
- * Convert an image URL to a resized base64 data URL.
- * Images are scaled so the largest side is at most MAX_DIMENSION pixels,
- * which dramatically reduces the token count sent to the API.
- *
- * Uses OffscreenCanvas (available in service workers & modern browsers).
- *
- * @param {string} url - Image URL or data URL
- * @returns {Promise<string>} base64 data URL (data:image/jpeg;base64,...)
+ * Format of the stored settings, written to metadata.version on every save.
+ * Import and sync migrate older data (see lib/settings-transfer.js).
  */
-export async function imageUrlToBase64(url) {
-  let blob;
+export const SETTINGS_VERSION = '1.1.0';
 
-  if (url.startsWith('data:')) {
-    // Convert data URL to blob so we can feed it to createImageBitmap
-    const res = await fetch(url);
-    blob = await res.blob();
-  } else {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image (${response.status})`);
-    }
-    blob = await response.blob();
-  }
-
-  // Validate it's actually an image
-  if (!blob.type.startsWith('image/')) {
-    throw new Error(`URL did not return an image (got ${blob.type})`);
-  }
-
-  // Check original size (reject extremely large files before processing)
-  const MAX_SIZE = 20 * 1024 * 1024;
-  if (blob.size > MAX_SIZE) {
-    throw new Error('Image is too large (over 20 MB). Try a smaller image.');
-  }
-
-  // Decode the image to get its natural dimensions
-  const bitmap = await createImageBitmap(blob);
-  const { width, height } = bitmap;
-
-  // Calculate scaled dimensions (fit within MAX_DIMENSION box)
-  let newW = width;
-  let newH = height;
-  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
-    const scale = MAX_DIMENSION / Math.max(width, height);
-    newW = Math.round(width * scale);
-    newH = Math.round(height * scale);
+/**
+ * Split a base64 data URL into its MIME type and raw base64 payload.
+ * @param {string} dataUrl - data:image/...;base64,...
+ * @returns {{mimeType: string, data: string}}
+ */
+export function splitDataUrl(dataUrl) {
+  const match = /^data:([^;,]+)(?:;[^,]*)?,(.*)$/s.exec(dataUrl || '');
+  if (!match) {
+    throw new Error('Expected a base64 data URL.');
   }
-
-  // Draw to an OffscreenCanvas at the target size
-  const canvas = new OffscreenCanvas(newW, newH);
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(bitmap, 0, 0, newW, newH);
-  bitmap.close();
-
-  // Export as JPEG (smaller payload than PNG for photographs)
-  const outBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.85 });
-
-  // Convert to data URL
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error('Failed to encode resized image.'));
-    reader.readAsDataURL(outBlob);
-  });
+  return { mimeType: match[1], data: match[2] };
 }
 
 /**
  * Get saved settings from chrome.storage.local, with defaults applied.
+ * `apiKey` is the key stored for the selected provider. With passphrase
+ * protection it comes from the unlocked session; `apiKeyLocked` is set when
+ * the provider has a key that is still locked.
  * @returns {Promise<object>}
  */
 export async function getSettings() {
+  const result = await chrome.storage.local.get([
+    'apiKey',
+    'apiKeyValidated',
+    'apiKeys',
+    'apiKeysValidated',
+    'apiKeyVault',
+    'settings',
+    'metadata',
+  ]);
+  const settings = result.settings || {};
+  const provider = settings.provider || 'openai';
+  const vault = result.apiKeyVault;
+  const autoLockMinutes = settings.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+  const unlockedKeys = vault ? await getUnlockedApiKeys(autoLockMinutes) : null;
+  const apiKeys = (vault ? unlockedKeys : result.apiKeys) || {};
+  const validated = result.apiKeysValidated || {};
+  // Keys saved before multi-provider support live in the top-level apiKey
+  const legacyKey = provider === 'openai' ? result.apiKey : '';
+  return {
+    provider,
+    apiKey: apiKeys[provider] || legacyKey || '',
+    apiKeyValidated: validated[provider] || (!!legacyKey && !!result.apiKeyValidated),
+    apiKeyLocked: !!vault && !unlockedKeys && (vault.providers || []).includes(provider),
+    keyProtection: !!vault,
+    autoLockMinutes, // 0 = until the browser closes
+    baseUrl: settings.baseUrl || '',
+    model: settings.model || '',
+    maxTokens: settings.maxTokens || 1024,
+    customPrompt: settings.customPrompt || '',
+    languages: settings.languages || [],
+    siteLanguages: settings.siteLanguages || {},
+    outputMode: settings.outputMode || 'text',
+    detectDecorative: settings.detectDecorative !== false,
+    lintRules: settings.lintRules || null, // null = every rule
+    lintMaxLength: settings.lintMaxLength || 125,
+    contextSources: settings.contextSources || DEFAULT_CONTEXT_SOURCES,
+    contextTokens: settings.contextTokens ?? DEFAULT_CONTEXT_TOKENS,
+    imageMaxDimension: settings.imageMaxDimension || DEFAULT_IMAGE_OPTIONS.maxDimension,
+    imageFormat: settings.imageFormat || DEFAULT_IMAGE_OPTIONS.format,
+    imageQuality: settings.imageQuality || DEFAULT_IMAGE_OPTIONS.quality,
+    imageDetail: settings.imageDetail || DEFAULT_IMAGE_OPTIONS.detail,
+    profiles: settings.profiles || [],
+    copyTemplates: settings.copyTemplates || [],
+    modelPricing: settings.modelPricing || DEFAULT_MODEL_PRICING,
+    batchConcurrency: settings.batchConcurrency || 2,
+    requestTimeoutSec: settings.requestTimeoutSec || 60,
+    maxRetries: settings.maxRetries ?? 2,
+    cacheEnabled: settings.cacheEnabled !== false,
+    cacheMaxEntries: settings.cacheMaxEntries || 500,
+    cacheMaxAgeDays: settings.cacheMaxAgeDays || 30,
+    historyMaxEntries: settings.historyMaxEntries || 0, // 0 = no limit
+    historyMaxAgeDays: settings.historyMaxAgeDays || 0,
+    budgetDailyUsd: settings.budgetDailyUsd || 0, // 0 = no cap
+    budgetMonthlyUsd: settings.budgetMonthlyUsd || 0,
+    budgetWarnPercent: settings.budgetWarnPercent || DEFAULT_BUDGET_WARN_PERCENT,
+    metadata: result.metadata || {},
+  };
+}
+
+/**
+ * Move a pre-1.1 top-level OpenAI key into the per-provider key map.
+ */
+export async function migrateStorage() {
   return new Promise((resolve) => {
-    chrome.storage.local.get(
-      ['apiKey', 'apiKeyValidated', 'settings', 'metadata'],
-      (result) => {
-        const settings = result.settings || {};
-        resolve({
-          apiKey: result.apiKey || '',
-          apiKeyValidated: result.apiKeyValidated || false,
-          model: settings.model || 'gpt-5-nano',
-          maxTokens: settings.maxTokens || 1024,
-          customPrompt: settings.customPrompt || '',
-          imageDetail: settings.imageDetail || 'low',
-          metadata: result.metadata || {},
-        });
+    chrome.storage.local.get(['apiKey', 'apiKeyValidated', 'apiKeys', 'apiKeysValidated'], (result) => {
+      if (!result.apiKey) {
+        resolve();
+        return;
       }
-    );
+      const apiKeys = { openai: result.apiKey, ...(result.apiKeys || {}) };
+      const apiKeysValidated = {
+        openai: !!result.apiKeyValidated,
+        ...(result.apiKeysValidated || {}),
+      };
+      chrome.storage.local.set({ apiKeys, apiKeysValidated }, () => {
+        chrome.storage.local.remove(['apiKey', 'apiKeyValidated'], resolve);
+      });
+    });
   });
 }
 
@@ -107,54 +127,9 @@ export async function saveSettings(updates) {
       const metadata = {
         ...(result.metadata || {}),
         lastUpdated: Date.now(),
-        version: '1.0.0',
+        version: SETTINGS_VERSION,
       };
       chrome.storage.local.set({ settings, metadata }, resolve);
     });
   });
 }
-
-// ── Generation Log ────────────────────────────────────────────
-
-const MAX_LOG_ENTRIES = 10;
-
-/**
- * Append a generation result (success or error) to the log.
- * Keeps only the most recent MAX_LOG_ENTRIES entries.
- *
- * @param {object} entry
- *   Success: { imageUrl, altText, usage, cost, timestamp }
- *   Error:   { imageUrl, error, timestamp }
- */
-export async function addLogEntry(entry) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['generationLog'], (result) => {
-      const log = result.generationLog || [];
-      log.unshift({ ...entry, timestamp: entry.timestamp || Date.now() });
-      // Trim to last N entries
-      const trimmed = log.slice(0, MAX_LOG_ENTRIES);
-      chrome.storage.local.set({ generationLog: trimmed }, resolve);
-    });
-  });
-}
-
-/**
- * Retrieve the generation log.
- * @returns {Promise<Array>}
- */
-export async function getLog() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['generationLog'], (result) => {
-      resolve(result.generationLog || []);
-    });
-  });
-}
-
-/**
- * Clear the generation log.
- */
-export async function clearLog() {
-  return new Promise((resolve) => {
-    chrome.storage.local.set({ generationLog: [] }, resolve);
-  });
-}
@@ -0,0 +1,420 @@
+/**
+ * EveryAlt - Provider-agnostic vision API.
+ * Builds the request with the selected provider, parses its response and
+ * returns normalized usage and cost.
+ */
+
+import { getProvider } from './providers/index.js';
+import { calculateCost } from './pricing.js';
+import { EveryAltError, ERROR_CODES, RETRYABLE_CODES, classifyHttpError } from './errors.js';
+import { buildLanguageInstruction, buildLanguageSchema } from './languages.js';
+import { buildContextInstruction } from './page-context.js';
+import { buildDecorativeInstruction, splitDecorativeMarker } from './decorative.js';
+import {
+  OUTPUT_MODES,
+  FIELDS_SCHEMA,
+  buildFieldsInstruction,
+  parseJsonObject,
+  trimStrings,
+  validateAgainstSchema,
+} from './structured-output.js';
+
+const DEFAULT_PROMPT =
+  'Describe this image in one short, clear sentence suitable for HTML alt text. ' +
+  'Do not start with "This image shows" or similar. Output only the alt text, nothing else.';
+
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Validate an API key (or endpoint) for the given provider.
+ * @param {string} providerId
+ * @param {string} apiKey
+ * @param {object} [options] - { baseUrl }
+ * @returns {Promise<{valid: boolean, message: string}>}
+ */
+export async function validateApiKey(providerId, apiKey, options = {}) {
+  return getProvider(providerId).validateApiKey(apiKey, options);
+}
+
+/**
+ * List the vision-capable models of a provider.
+ * @param {string} providerId
+ * @param {string} apiKey
+ * @param {object} [options] - { baseUrl }
+ * @returns {Promise<Array<{id: string, label: string}>>}
+ */
+export async function listModels(providerId, apiKey, options = {}) {
+  return getProvider(providerId).listModels(apiKey, options);
+}
+
+/**
+ * Generate alt text for an image using the configured vision provider.
+ * Transient failures (429 without a quota message, 5xx, network, timeout)
+ * are retried with exponential backoff that honours Retry-After.
+ * With several `languages`, one structured request returns every language;
+ * `altText` is then the first language and `altTexts` maps code -> text.
+ * In the structured output mode the model returns FIELDS_SCHEMA: `details`
+ * holds the fields (of the first language) and, with several languages,
+ * `detailsByLanguage` maps code -> fields.
+ * With `detectDecorative` (or in structured mode) `decorative` carries the
+ * model's verdict: { isDecorative, reason }.
+ * With `onText`, a plain-text answer is streamed and `onText` receives the
+ * text so far after every chunk (a retry starts it over). JSON answers are
+ * not streamed: half an object is no use to show.
+ * @param {string} base64DataUrl - Full data URL (data:image/...;base64,...)
+ * @param {object} settings - { provider, apiKey, baseUrl, model, maxTokens, customPrompt,
+ *   imageDetail, context, languages, outputMode, detectDecorative, timeoutMs, maxRetries,
+ *   retryRateLimit, modelPricing }
+ *   context: page context items from selectContext(), added to the prompt
+ *   retryRateLimit: false leaves 429s to the caller, e.g. a batch queue that paces itself
+ *   imageDetail: 'low' | 'high' | 'auto', for providers that support it
+ *   modelPricing: pricing table for the cost estimate (lib/pricing.js)
+ * @param {object} [options] - { signal, onText }
+ *   signal: cancels the request
+ *   onText: called with the partial alt text while it streams in
+ * @returns {Promise<{altText: string, altTexts?: object, details?: object,
+ *   detailsByLanguage?: object, decorative?: object, languages: string[], model: string,
+ *   usage: object, cost: object}>}
+ * @throws {EveryAltError}
+ */
+export async function generateAltText(base64DataUrl, settings = {}, { signal, onText } = {}) {
+  const provider = getProvider(settings.provider);
+  const apiKey = settings.apiKey;
+  if (provider.requiresApiKey && !apiKey) {
+    throw new EveryAltError(
+      ERROR_CODES.AUTH,
+      `API key not configured. Open EveryAlt settings to add your ${provider.label} key.`
+    );
+  }
+
+  const model = settings.model || provider.DEFAULT_MODEL;
+  const languages = settings.languages || [];
+  const structured = settings.outputMode === OUTPUT_MODES.STRUCTURED;
+  const multiLanguage = languages.length > 1;
+  // Structured answers carry is_decorative already
+  const markDecorative = settings.detectDecorative && !structured;
+
+  let responseSchema = null;
+  if (structured) {
+    responseSchema = multiLanguage ? buildLanguageSchema(languages, FIELDS_SCHEMA) : FIELDS_SCHEMA;
+  } else if (multiLanguage) {
+    responseSchema = buildLanguageSchema(languages);
+  }
+
+  const prompt = [
+    settings.customPrompt || DEFAULT_PROMPT,
+    buildContextInstruction(settings.context),
+    buildLanguageInstruction(languages, { structured }),
+    structured ? buildFieldsInstruction(multiLanguage) : '',
+    markDecorative ? buildDecorativeInstruction(multiLanguage) : '',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  const stream = !!onText && !responseSchema;
+  // Hide the marker line as soon as it is complete
+  const showText = (text) => onText((markDecorative ? splitDecorativeMarker(text).text : text).trim());
+
+  const { url, init } = provider.buildRequest(base64DataUrl, {
+    apiKey,
+    baseUrl: settings.baseUrl,
+    model,
+    maxTokens: settings.maxTokens || DEFAULT_MAX_TOKENS,
+    prompt,
+    detail: settings.imageDetail,
+    responseSchema,
+    stream,
+  });
+
+  const data = await requestWithRetry(provider, url, init, {
+    signal,
+    timeoutMs: settings.timeoutMs || DEFAULT_TIMEOUT_MS,
+    maxRetries: settings.maxRetries ?? DEFAULT_MAX_RETRIES,
+    retryRateLimit: settings.retryRateLimit !== false,
+    onText: stream ? showText : null,
+  });
+
+  const { text, finishReason, usage } = provider.parseResponse(data);
+
+  if (finishReason === 'length') {
+    throw new EveryAltError(
+      ERROR_CODES.TRUNCATED,
+      'Response was cut off (max tokens reached). Increase max tokens in settings.'
+    );
+  }
+
+  if (finishReason === 'content_filter') {
+    throw new EveryAltError(
+      ERROR_CODES.CONTENT_POLICY,
+      `${provider.label} declined to describe this image under its content policy.`
+    );
+  }
+
+  if (!text) {
+    throw new EveryAltError(
+      ERROR_CODES.INVALID_RESPONSE,
+      `${provider.label} returned an empty response. Try again.`
+    );
+  }
+
+  const cost = calculateCost(usage, model, settings.modelPricing);
+
+  if (!responseSchema) {
+    if (!markDecorative) return { altText: text, languages, model, usage, cost };
+    const { text: altText, reason } = splitDecorativeMarker(text);
+    const decorative = { isDecorative: reason !== null, reason: reason || '' };
+    return { altText, decorative, languages, model, usage, cost };
+  }
+
+  const value = parseStructured(text, responseSchema, provider);
+  const result = { languages, model, usage, cost };
+
+  if (structured && multiLanguage) {
+    result.detailsByLanguage = value;
+    result.altTexts = Object.fromEntries(languages.map((code) => [code, value[code].alt]));
+    result.details = value[languages[0]];
+  } else if (structured) {
+    result.details = value;
+  } else {
+    result.altTexts = value;
+  }
+
+  if (result.details) {
+    result.decorative = {
+      isDecorative: result.details.is_decorative,
+      reason: result.details.decorative_reason,
+    };
+  } else if (markDecorative) {
+    let reason = null;
+    for (const code of languages) {
+      const split = splitDecorativeMarker(value[code]);
+      result.altTexts[code] = split.text;
+      if (reason === null) reason = split.reason;
+    }
+    result.decorative = { isDecorative: reason !== null, reason: reason || '' };
+  }
+
+  result.altText = result.details ? result.details.alt : result.altTexts[languages[0]];
+  return result;
+}
+
+/**
+ * Parse and validate a structured answer; strings are trimmed.
+ * @throws {EveryAltError} INVALID_RESPONSE when the JSON is missing or off-schema
+ */
+function parseStructured(text, schema, provider) {
+  const value = parseJsonObject(text);
+  const errors = value ? validateAgainstSchema(value, schema) : ['response is not a JSON object'];
+  if (errors.length > 0) {
+    throw new EveryAltError(
+      ERROR_CODES.INVALID_RESPONSE,
+      `${provider.label} returned an unexpected response (${errors[0]}). Try again.`
+    );
+  }
+  return trimStrings(value);
+}
+
+async function requestWithRetry(provider, url, init, options) {
+  const { signal, timeoutMs, maxRetries, retryRateLimit, onText } = options;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(provider, url, init, { signal, timeoutMs, onText });
+    } catch (err) {
+      if (!RETRYABLE_CODES.includes(err.code) || attempt >= maxRetries) throw err;
+      if (err.code === ERROR_CODES.RATE_LIMIT && !retryRateLimit) throw err;
+      await sleep(retryDelay(err, attempt), signal);
+    }
+  }
+}
+
+/**
+ * One HTTP round trip with a timeout. The body is read as text first so an
+ * HTML error page from a proxy or gateway doesn't surface as a JSON SyntaxError.
+ * A successful event stream is read as it arrives instead; there the timeout
+ * counts from the last chunk, so a long answer that keeps coming is not cut off.
+ */
+async function requestOnce(provider, url, init, { signal, timeoutMs, onText }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  restartTimer();
+  const forwardAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+
+  let response;
+  let bodyText;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+    // A server that ignores `stream` answers with plain JSON, read below
+    if (onText && response.ok && isEventStream(response)) {
+      return await readEventStream(response, provider, onText, restartTimer);
+    }
+    bodyText = await response.text();
+  } catch (err) {
+    if (err instanceof EveryAltError) throw err;
+    if (signal?.aborted) {
+      throw new EveryAltError(ERROR_CODES.CANCELLED, 'Request cancelled.');
+    }
+    if (timedOut) {
+      throw new EveryAltError(
+        ERROR_CODES.TIMEOUT,
+        `${provider.label} did not respond within ${Math.round(timeoutMs / 1000)} seconds.`
+      );
+    }
+    throw new EveryAltError(ERROR_CODES.NETWORK, `Could not reach ${provider.label}: ${err.message}`, {
+      cause: err,
+    });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+
+  const data = parseJson(bodyText);
+
+  if (!response.ok) {
+    const message =
+      (data && provider.parseError(data)) || `${provider.label} API returned ${response.status}`;
+    throw new EveryAltError(classifyHttpError(response.status, message), message, {
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+
+  if (!data) {
+    throw new EveryAltError(
+      ERROR_CODES.INVALID_RESPONSE,
+      `${provider.label} returned a response that is not JSON.`,
+      { status: response.status }
+    );
+  }
+
+  return data;
+}
+
+function isEventStream(response) {
+  return (response.headers.get('content-type') || '').includes('text/event-stream');
+}
+
+/**
+ * Read a server-sent event stream, folding every event into the response body
+ * that the provider's parseResponse() expects.
+ * @param {Response} response
+ * @param {object} provider
+ * @param {function(string): void} onText - Receives the text so far
+ * @param {function(): void} onChunk - Called whenever data arrives
+ * @returns {Promise<object>} The assembled response body
+ * @throws {EveryAltError} When the stream reports an error, or NETWORK when it
+ *   ends without a finish reason (the connection dropped mid-answer)
+ */
+async function readEventStream(response, provider, onText, onChunk) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const message = {};
+  let text = '';
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const event = parseJson(line.slice(5).trim());
+    // OpenAI ends with "data: [DONE]", which is not JSON
+    if (!event) return;
+
+    const error = provider.parseError(event);
+    if (error) {
+      // The server gave up after the headers went out; treat it like a 5xx
+      throw new EveryAltError(classifyHttpError(500, error), error, { status: response.status });
+    }
+
+    const added = provider.parseStreamEvent(event, message);
+    if (added) {
+      text += added;
+      onText(text);
+    }
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onChunk();
+      // Events are separated by blank lines; a chunk can end mid-line
+      const lines = (buffer + value).split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    // The last event may not end with a newline (usage, finish reason)
+    handleLine(buffer);
+  } finally {
+    // Closes the connection when an error event ends the read early
+    reader.cancel().catch(() => {});
+  }
+
+  // Partial text must not be cached or billed as a finished answer
+  if (!provider.parseResponse(message).finishReason) {
+    throw new EveryAltError(
+      ERROR_CODES.NETWORK,
+      `The connection to ${provider.label} closed before the answer was complete.`,
+      { status: response.status }
+    );
+  }
+
+  return message;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/** Retry-After when the server sent one, otherwise capped exponential backoff with jitter. */
+function retryDelay(err, attempt) {
+  if (err.retryAfterMs > 0) return Math.min(err.retryAfterMs, MAX_RETRY_DELAY_MS);
+  const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new EveryAltError(ERROR_CODES.CANCELLED, 'Request cancelled.'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new EveryAltError(ERROR_CODES.CANCELLED, 'Request cancelled.'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Convert a Retry-After header (seconds or HTTP date) to milliseconds.
+ * @returns {number} 0 when absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+export { DEFAULT_PROMPT, DEFAULT_MAX_TOKENS };
@@ -2,68 +2,362 @@
  * EveryAlt Chrome Extension - Options Page Logic
  */
 
-const DEFAULT_PROMPT =
-  'Describe this image in one short, clear sentence suitable for HTML alt text. ' +
-  'Do not start with "This image shows" or similar. Output only the alt text, nothing else.';
+import { DEFAULT_PROVIDER, PROVIDER_IDS, getProvider } from './lib/providers/index.js';
+import { DEFAULT_BASE_URL } from './lib/providers/openai-compatible.js';
+import { DEFAULT_PROMPT, DEFAULT_MAX_TOKENS } from './lib/vision-api.js';
+import { DEFAULT_IMAGE_OPTIONS } from './lib/image-pipeline.js';
+import { DEFAULT_CONTEXT_TOKENS } from './lib/page-context.js';
+import { DEFAULT_BUDGET_WARN_PERCENT, formatUsd } from './lib/budget.js';
+import { DEFAULT_AUTO_LOCK_MINUTES, MIN_PASSPHRASE_LENGTH } from './lib/key-vault.js';
+import { SETTINGS_VERSION } from './lib/utils.js';
+import { parseLanguageList } from './lib/languages.js';
+import { PROFILE_FIELDS } from './lib/profiles.js';
 
-const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const DEFAULT_REQUEST_TIMEOUT_SEC = 60;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_LINT_MAX_LENGTH = 125;
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_MAX_AGE_DAYS = 30;
+
+// Survives the reload that follows an import
+const IMPORT_NOTICE_KEY = 'everyalt-import-notice';
 
 // ── DOM Elements ──────────────────────────────────────────────
 
+const providerSelect = document.getElementById('provider');
+const modelSelect = document.getElementById('model');
+const modelCustomInput = document.getElementById('model-custom');
+const modelStatus = document.getElementById('model-status');
+const refreshModelsBtn = document.getElementById('refresh-models-btn');
+const baseUrlGroup = document.getElementById('base-url-group');
+const baseUrlInput = document.getElementById('base-url');
+
+const apiKeyTitle = document.getElementById('api-key-title');
+const apiKeyLink = document.getElementById('api-key-link');
 const apiKeyInput = document.getElementById('api-key');
 const validateBtn = document.getElementById('validate-btn');
 const keyStatus = document.getElementById('key-status');
+const vaultSummary = document.getElementById('vault-summary');
+const vaultPassphraseInput = document.getElementById('vault-passphrase');
+const vaultConfirmInput = document.getElementById('vault-passphrase-confirm');
+const vaultToggleBtn = document.getElementById('vault-toggle-btn');
+const vaultLockBtn = document.getElementById('vault-lock-btn');
+const vaultStatus = document.getElementById('vault-status');
+const autoLockMinutesInput = document.getElementById('auto-lock-minutes');
 
 const customPromptInput = document.getElementById('custom-prompt');
 const resetPromptBtn = document.getElementById('reset-prompt-btn');
+const outputModeSelect = document.getElementById('output-mode');
+const detectDecorativeInput = document.getElementById('detect-decorative');
+
+const lintRuleInputs = document.querySelectorAll('#lint-rules input[type="checkbox"]');
+const lintMaxLengthInput = document.getElementById('lint-max-length');
+
+const contextSourceInputs = document.querySelectorAll('#context-sources input[type="checkbox"]');
+const contextTokensInput = document.getElementById('context-tokens');
+
+const languagesInput = document.getElementById('languages');
+const siteLanguagesInput = document.getElementById('site-languages');
+
+const imageMaxDimensionInput = document.getElementById('image-max-dimension');
+const imageFormatSelect = document.getElementById('image-format');
+const imageQualityInput = document.getElementById('image-quality');
+const imageDetailSelect = document.getElementById('image-detail');
+const imageEstimate = document.getElementById('image-estimate');
+
+const profileList = document.getElementById('profile-list');
+const profileEmpty = document.getElementById('profile-empty');
+const addProfileBtn = document.getElementById('add-profile-btn');
+
+const pricingRows = document.getElementById('pricing-rows');
+const addPricingBtn = document.getElementById('add-pricing-btn');
+const resetPricingBtn = document.getElementById('reset-pricing-btn');
+
+const templateList = document.getElementById('template-list');
+const templateEmpty = document.getElementById('template-empty');
+const addTemplateBtn = document.getElementById('add-template-btn');
 
 const maxTokensInput = document.getElementById('max-tokens');
+const batchConcurrencyInput = document.getElementById('batch-concurrency');
+const requestTimeoutInput = document.getElementById('request-timeout');
+const maxRetriesInput = document.getElementById('max-retries');
+
+const cacheEnabledInput = document.getElementById('cache-enabled');
+const cacheMaxEntriesInput = document.getElementById('cache-max-entries');
+const cacheMaxAgeInput = document.getElementById('cache-max-age');
+const cacheStats = document.getElementById('cache-stats');
+
+const budgetDailyInput = document.getElementById('budget-daily');
+const budgetMonthlyInput = document.getElementById('budget-monthly');
+const budgetWarnPercentInput = document.getElementById('budget-warn-percent');
+const budgetSpend = document.getElementById('budget-spend');
+
+const transferIncludeKeysInput = document.getElementById('transfer-include-keys');
+const exportSettingsBtn = document.getElementById('export-settings-btn');
+const importSettingsBtn = document.getElementById('import-settings-btn');
+const importSettingsFile = document.getElementById('import-settings-file');
+const transferStatus = document.getElementById('transfer-status');
+const syncEnabledInput = document.getElementById('sync-enabled');
+const syncStatus = document.getElementById('sync-status');
+
+const historyMaxEntriesInput = document.getElementById('history-max-entries');
+const historyMaxAgeInput = document.getElementById('history-max-age');
+const clearCacheBtn = document.getElementById('clear-cache-btn');
 
 const saveBtn = document.getElementById('save-btn');
 const saveStatus = document.getElementById('save-status');
 
+// Saved keys per provider, so switching the dropdown shows the right status
+let storedKeys = {};
+let storedValidated = {};
+// Passphrase protection, from EVERYALT_VAULT_STATUS
+let vaultState = { enabled: false, unlocked: false, providers: [] };
+
 // ── Load Saved Settings ───────────────────────────────────────
 
-chrome.storage.local.get(['apiKey', 'apiKeyValidated', 'settings'], (result) => {
-  const settings = result.settings || {};
+chrome.storage.local.get(
+  ['apiKey', 'apiKeyValidated', 'apiKeys', 'apiKeysValidated', 'settings'],
+  (result) => {
+    const settings = result.settings || {};
+
+    // Keys saved before multi-provider support belong to OpenAI
+    storedValidated = { openai: !!result.apiKeyValidated, ...(result.apiKeysValidated || {}) };
+
+    // Provider (the key status and model list wait for the keys)
+    providerSelect.value = PROVIDER_IDS.includes(settings.provider) ? settings.provider : DEFAULT_PROVIDER;
+    baseUrlInput.value = settings.baseUrl || '';
+    renderModelOptions([], settings.model || '');
+    autoLockMinutesInput.value = settings.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+    loadKeys();
+
+    // Prompt
+    customPromptInput.value = settings.customPrompt || DEFAULT_PROMPT;
+    outputModeSelect.value = settings.outputMode === 'structured' ? 'structured' : 'text';
+    detectDecorativeInput.checked = settings.detectDecorative !== false;
+
+    // Alt text checks (every rule is on until the user changes it)
+    lintRuleInputs.forEach((input) => {
+      input.checked = !settings.lintRules || settings.lintRules.includes(input.value);
+    });
+    lintMaxLengthInput.value = settings.lintMaxLength || DEFAULT_LINT_MAX_LENGTH;
+
+    // Page context (every source is on until the user changes it)
+    contextSourceInputs.forEach((input) => {
+      input.checked = !settings.contextSources || settings.contextSources.includes(input.value);
+    });
+    contextTokensInput.value = settings.contextTokens ?? DEFAULT_CONTEXT_TOKENS;
+
+    // Languages
+    languagesInput.value = (settings.languages || []).join(', ');
+    siteLanguagesInput.value = formatSiteLanguages(settings.siteLanguages || {});
 
-  // API key: show masked placeholder if key exists
-  if (result.apiKey) {
+    // Image preprocessing
+    imageMaxDimensionInput.value = settings.imageMaxDimension || DEFAULT_IMAGE_OPTIONS.maxDimension;
+    imageFormatSelect.value = settings.imageFormat || DEFAULT_IMAGE_OPTIONS.format;
+    imageQualityInput.value = settings.imageQuality || DEFAULT_IMAGE_OPTIONS.quality;
+    imageDetailSelect.value = settings.imageDetail || DEFAULT_IMAGE_OPTIONS.detail;
+
+    // Model pricing (the built-in table until the user edits it)
+    if (settings.modelPricing) {
+      renderPricing(settings.modelPricing);
+    } else {
+      chrome.runtime.sendMessage({ type: 'EVERYALT_DEFAULT_PRICING' }, (pricing) => {
+        renderPricing(pricing || {});
+        updateImageEstimates();
+      });
+    }
+
+    // Profiles
+    (settings.profiles || []).forEach((profile) => addProfileEditor(profile));
+    renderProfileEmpty();
+    updateImageEstimates();
+
+    // Copy formats
+    (settings.copyTemplates || []).forEach((template) => addTemplateEditor(template));
+    renderTemplateEmpty();
+
+    // Max tokens
+    maxTokensInput.value = settings.maxTokens || DEFAULT_MAX_TOKENS;
+
+    // Batch parallelism
+    batchConcurrencyInput.value = settings.batchConcurrency || DEFAULT_BATCH_CONCURRENCY;
+
+    // Request handling
+    requestTimeoutInput.value = settings.requestTimeoutSec || DEFAULT_REQUEST_TIMEOUT_SEC;
+    maxRetriesInput.value = settings.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+    // Result cache
+    cacheEnabledInput.checked = settings.cacheEnabled !== false;
+    cacheMaxEntriesInput.value = settings.cacheMaxEntries || DEFAULT_CACHE_MAX_ENTRIES;
+    cacheMaxAgeInput.value = settings.cacheMaxAgeDays || DEFAULT_CACHE_MAX_AGE_DAYS;
+
+    // Spending budget (0 = no cap)
+    budgetDailyInput.value = settings.budgetDailyUsd || 0;
+    budgetMonthlyInput.value = settings.budgetMonthlyUsd || 0;
+    budgetWarnPercentInput.value = settings.budgetWarnPercent || DEFAULT_BUDGET_WARN_PERCENT;
+
+    // History retention (0 = keep everything)
+    historyMaxEntriesInput.value = settings.historyMaxEntries || 0;
+    historyMaxAgeInput.value = settings.historyMaxAgeDays || 0;
+  }
+);
+
+// ── Provider ──────────────────────────────────────────────────
+
+providerSelect.addEventListener('change', () => {
+  // Keys are stored per provider; an unsaved key typed for the old one must not be saved under the new one
+  apiKeyInput.value = '';
+  renderProvider();
+  // A model name from one provider is meaningless to another
+  renderModelOptions([], '');
+  loadModels('');
+  updateImageEstimates();
+});
+
+function renderProvider() {
+  const id = providerSelect.value;
+  const provider = getProvider(id);
+
+  baseUrlGroup.hidden = id !== 'compatible';
+
+  apiKeyTitle.textContent = provider.requiresApiKey
+    ? `${provider.label} API Key`
+    : `${provider.label} API Key (optional)`;
+  apiKeyLink.hidden = !provider.KEY_URL;
+  apiKeyLink.href = provider.KEY_URL || '#';
+
+  setStatus(keyStatus, '', '');
+  if (isKeyLocked(id)) {
+    apiKeyInput.placeholder = 'Key saved (encrypted, locked)';
+    setStatus(keyStatus, 'Unlock EveryAlt from the toolbar popup to use or replace this key.', 'validating');
+  } else if (storedKeys[id]) {
     apiKeyInput.placeholder = 'Key saved (enter new key to replace)';
-    if (result.apiKeyValidated) {
+    if (storedValidated[id]) {
       setStatus(keyStatus, 'API key is saved and validated.', 'success');
     } else {
       setStatus(keyStatus, 'API key is saved but not yet validated.', 'validating');
     }
+  } else {
+    apiKeyInput.placeholder = provider.KEY_PLACEHOLDER;
+  }
+}
+
+// ── Model Picker ──────────────────────────────────────────────
+
+const CUSTOM_MODEL = '__custom';
+
+/** The chosen model name; blank for the provider default. */
+function getSelectedModel() {
+  return modelSelect.value === CUSTOM_MODEL ? modelCustomInput.value.trim() : modelSelect.value;
+}
+
+/**
+ * Fill the model dropdown. A selected model the provider did not list
+ * (older, or typed by hand) is kept as its own option.
+ * @param {Array<{id: string, label: string}>} models
+ * @param {string} selected - Blank for the provider default
+ */
+function renderModelOptions(models, selected) {
+  const provider = getProvider(providerSelect.value);
+  modelSelect.innerHTML = '';
+
+  const addOption = (value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    modelSelect.appendChild(option);
+  };
+
+  addOption('', `Default (${provider.DEFAULT_MODEL})`);
+  models.forEach((model) => addOption(model.id, model.label || model.id));
+  if (selected && !models.some((model) => model.id === selected)) addOption(selected, selected);
+  addOption(CUSTOM_MODEL, 'Other\u2026');
+
+  modelSelect.value = selected;
+  modelCustomInput.hidden = true;
+}
+
+/**
+ * Ask the provider for its vision models, using the key being typed or the saved one.
+ * @param {string} selected - Model to keep selected
+ */
+function loadModels(selected) {
+  const provider = providerSelect.value;
+  const apiKey = apiKeyInput.value.trim() || storedKeys[provider] || '';
+  if (!apiKey && isKeyLocked(provider)) {
+    modelStatus.textContent = 'Unlock EveryAlt to list the available models.';
+    return;
+  }
+  if (!apiKey && getProvider(provider).requiresApiKey) {
+    modelStatus.textContent = 'Save an API key to list the available models.';
+    return;
   }
 
-  // Prompt
-  customPromptInput.value = settings.customPrompt || DEFAULT_PROMPT;
+  modelStatus.textContent = 'Loading models\u2026';
+  chrome.runtime.sendMessage(
+    {
+      type: 'EVERYALT_LIST_MODELS',
+      provider,
+      apiKey,
+      baseUrl: baseUrlInput.value.trim() || DEFAULT_BASE_URL,
+    },
+    (response) => {
+      // The provider changed while the list was loading
+      if (providerSelect.value !== provider) return;
+      if (!response || !response.success) {
+        modelStatus.textContent = `Could not list models: ${response?.error || 'no response'}`;
+        return;
+      }
+      const current =
+        modelSelect.value === CUSTOM_MODEL ? getSelectedModel() : selected || getSelectedModel();
+      const count = response.models.length;
+      renderModelOptions(response.models, current);
+      modelStatus.textContent = `${count} vision model${count !== 1 ? 's' : ''} available.`;
+    }
+  );
+}
 
-  // Max tokens
-  maxTokensInput.value = settings.maxTokens || DEFAULT_MAX_TOKENS;
+modelSelect.addEventListener('change', () => {
+  const custom = modelSelect.value === CUSTOM_MODEL;
+  modelCustomInput.hidden = !custom;
+  if (custom) modelCustomInput.focus();
+  updateImageEstimates();
 });
 
+modelCustomInput.addEventListener('input', updateImageEstimates);
+
+refreshModelsBtn.addEventListener('click', () => loadModels(getSelectedModel()));
+
 // ── Validate API Key ──────────────────────────────────────────
 
 validateBtn.addEventListener('click', async () => {
+  const provider = providerSelect.value;
   let keyToValidate = apiKeyInput.value.trim();
 
   // If input is empty, validate the stored key
   if (!keyToValidate) {
-    const stored = await getStoredKey();
-    if (!stored) {
+    keyToValidate = storedKeys[provider] || '';
+    if (!keyToValidate && isKeyLocked(provider)) {
+      setStatus(keyStatus, 'Unlock EveryAlt from the toolbar popup to validate the saved key.', 'error');
+      return;
+    }
+    if (!keyToValidate && getProvider(provider).requiresApiKey) {
       setStatus(keyStatus, 'Enter an API key above to validate.', 'error');
       return;
     }
-    keyToValidate = stored;
   }
 
   validateBtn.disabled = true;
   setStatus(keyStatus, 'Validating\u2026', 'validating');
 
   chrome.runtime.sendMessage(
-    { type: 'EVERYALT_VALIDATE_KEY', apiKey: keyToValidate },
+    {
+      type: 'EVERYALT_VALIDATE_KEY',
+      provider,
+      apiKey: keyToValidate,
+      baseUrl: baseUrlInput.value.trim() || DEFAULT_BASE_URL,
+    },
     (response) => {
       validateBtn.disabled = false;
       if (response && response.valid) {
@@ -75,12 +369,534 @@ validateBtn.addEventListener('click', async () => {
   );
 });
 
+// ── Key Protection ────────────────────────────────────────────
+
+/**
+ * Read the saved keys, which with a passphrase set are only readable while
+ * unlocked, then refresh the key status and model list.
+ */
+function loadKeys() {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_VAULT_STATUS' }, (vault) => {
+    vaultState = vault || vaultState;
+    renderVault();
+    // Extension pages can read the unlocked copy in session storage
+    const area = vaultState.enabled ? chrome.storage.session : chrome.storage.local;
+    area.get(['apiKeys', 'apiKeySession'], (result) => {
+      storedKeys = (vaultState.enabled ? result.apiKeySession?.keys : result.apiKeys) || {};
+      renderProvider();
+      loadModels(getSelectedModel());
+    });
+  });
+}
+
+/** True when the provider has a key that cannot be read until unlocked. */
+function isKeyLocked(provider) {
+  return vaultState.enabled && !vaultState.unlocked && vaultState.providers.includes(provider);
+}
+
+function renderVault() {
+  const { enabled, unlocked } = vaultState;
+  vaultSummary.textContent = !enabled
+    ? 'Off. API keys are stored unencrypted in this browser profile. Set a passphrase to encrypt them; ' +
+      'you will then unlock EveryAlt from the toolbar popup once per session.'
+    : unlocked
+      ? 'On. API keys are encrypted and unlocked for this browser session.'
+      : 'On and locked. Unlock EveryAlt from the toolbar popup to use or change the keys.';
+  vaultConfirmInput.hidden = enabled;
+  vaultPassphraseInput.autocomplete = enabled ? 'current-password' : 'new-password';
+  vaultToggleBtn.textContent = enabled ? 'Remove passphrase' : 'Protect keys';
+  vaultLockBtn.hidden = !enabled || !unlocked;
+}
+
+vaultToggleBtn.addEventListener('click', () => {
+  const passphrase = vaultPassphraseInput.value;
+  if (!vaultState.enabled) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setStatus(vaultStatus, `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`, 'error');
+      return;
+    }
+    if (passphrase !== vaultConfirmInput.value) {
+      setStatus(vaultStatus, 'The passphrases do not match.', 'error');
+      return;
+    }
+  } else if (!passphrase) {
+    setStatus(vaultStatus, 'Enter the current passphrase to remove it.', 'error');
+    return;
+  }
+
+  const enabling = !vaultState.enabled;
+  vaultToggleBtn.disabled = true;
+  setStatus(vaultStatus, enabling ? 'Encrypting\u2026' : 'Decrypting\u2026', 'validating');
+  chrome.runtime.sendMessage(
+    { type: enabling ? 'EVERYALT_VAULT_ENABLE' : 'EVERYALT_VAULT_DISABLE', passphrase },
+    (response) => {
+      vaultToggleBtn.disabled = false;
+      if (!response || !response.success) {
+        setStatus(vaultStatus, response?.error || 'No response from the extension.', 'error');
+        return;
+      }
+      vaultPassphraseInput.value = '';
+      vaultConfirmInput.value = '';
+      setStatus(
+        vaultStatus,
+        enabling
+          ? 'API keys are encrypted. Keep the passphrase safe; it cannot be recovered.'
+          : 'Passphrase removed. API keys are stored unencrypted again.',
+        'success'
+      );
+      loadKeys();
+    }
+  );
+});
+
+vaultLockBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_VAULT_LOCK' }, () => {
+    setStatus(vaultStatus, 'API keys locked.', 'success');
+    loadKeys();
+  });
+});
+
 // ── Reset Prompt ──────────────────────────────────────────────
 
 resetPromptBtn.addEventListener('click', () => {
   customPromptInput.value = DEFAULT_PROMPT;
 });
 
+// ── Languages ─────────────────────────────────────────────────
+
+/**
+ * Parse "hostname: codes" lines into { hostname: [codes] }.
+ * @returns {{sites: object, error?: string}}
+ */
+function parseSiteLanguages(text) {
+  const sites = {};
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const separator = line.indexOf(':');
+    const hostname = separator > 0 ? line.slice(0, separator).trim().toLowerCase() : '';
+    const codes = separator > 0 ? parseLanguageList(line.slice(separator + 1)) : [];
+    if (!hostname || /[\s/]/.test(hostname) || codes.length === 0) {
+      return { sites, error: `Per-site languages, line ${i + 1}: use "hostname: codes".` };
+    }
+    sites[hostname.replace(/^www\./, '')] = codes;
+  }
+  return { sites };
+}
+
+function formatSiteLanguages(sites) {
+  return Object.entries(sites)
+    .map(([hostname, codes]) => `${hostname}: ${codes.join(', ')}`)
+    .join('\n');
+}
+
+// ── Image Preprocessing ───────────────────────────────────────
+
+/** Current image settings on the form (clamped by the service worker). */
+function readImageSettings() {
+  return {
+    imageMaxDimension: parseInt(imageMaxDimensionInput.value, 10) || DEFAULT_IMAGE_OPTIONS.maxDimension,
+    imageFormat: imageFormatSelect.value,
+    imageQuality: parseInt(imageQualityInput.value, 10) || DEFAULT_IMAGE_OPTIONS.quality,
+    imageDetail: imageDetailSelect.value,
+  };
+}
+
+/**
+ * Show the estimated size, tokens and cost of sample images.
+ * @param {object} image - Image settings, as readImageSettings() returns
+ * @param {string} model - Blank for the provider default
+ * @param {HTMLElement} target
+ */
+function renderImageEstimate(image, model, target) {
+  chrome.runtime.sendMessage(
+    {
+      type: 'EVERYALT_ESTIMATE_IMAGE',
+      provider: providerSelect.value,
+      model,
+      image,
+      pricing: readPricing().pricing,
+    },
+    (response) => {
+      if (!response) return;
+      target.innerHTML = '';
+      response.samples.forEach((sample) => {
+        const line = document.createElement('p');
+        const cost = sample.priced ? (sample.costUsd * 100).toFixed(4) + '\u00A2' : 'no known price';
+        const detail = sample.tokensByDetail;
+        line.textContent =
+          `${sample.label} ${sample.original.width}\u00D7${sample.original.height}: sent as ` +
+          `${sample.width}\u00D7${sample.height} ${response.format.toUpperCase()}, ` +
+          `~${formatBytes(sample.bytes)}, ~${sample.tokens} image tokens (${cost} with ${response.model}). ` +
+          `Detail low ${detail.low} \u00B7 high ${detail.high} \u00B7 auto ${detail.auto} tokens.`;
+        target.appendChild(line);
+      });
+    }
+  );
+}
+
+function updateImageEstimates() {
+  renderImageEstimate(readImageSettings(), getSelectedModel(), imageEstimate);
+  profileList.querySelectorAll('.everyalt-profile').forEach(updateProfileEstimate);
+}
+
+const imageSettingInputs = [imageMaxDimensionInput, imageFormatSelect, imageQualityInput, imageDetailSelect];
+imageSettingInputs.forEach((input) => input.addEventListener('input', updateImageEstimates));
+
+// ── Model Pricing ─────────────────────────────────────────────
+
+/** @param {object} pricing - model -> { input, output } in USD per 1M tokens */
+function renderPricing(pricing) {
+  pricingRows.innerHTML = '';
+  Object.entries(pricing).forEach(([model, price]) => addPricingRow(model, price));
+}
+
+function addPricingRow(model = '', price = {}) {
+  const row = document.createElement('tr');
+
+  const cell = (control) => {
+    const td = document.createElement('td');
+    td.appendChild(control);
+    row.appendChild(td);
+  };
+
+  const nameInput = createTextInput('model', model);
+  nameInput.placeholder = 'model-name';
+  nameInput.setAttribute('aria-label', 'Model');
+  cell(nameInput);
+
+  ['input', 'output'].forEach((field) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = 'any';
+    input.dataset.field = field;
+    input.value = price[field] ?? '';
+    input.setAttribute('aria-label', `${field === 'input' ? 'Input' : 'Output'} price per 1M tokens`);
+    cell(input);
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'everyalt-link-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    updateImageEstimates();
+  });
+  cell(removeBtn);
+
+  row.addEventListener('input', updateImageEstimates);
+  pricingRows.appendChild(row);
+  return row;
+}
+
+/**
+ * Read the pricing table. Model names must be unique; prices are numbers >= 0.
+ * @returns {{pricing: object, error?: string}}
+ */
+function readPricing() {
+  const pricing = {};
+  for (const row of pricingRows.querySelectorAll('tr')) {
+    const field = (key) => row.querySelector(`[data-field="${key}"]`).value.trim();
+    const model = field('model');
+    if (!model && !field('input') && !field('output')) continue;
+    if (!model) return { pricing, error: 'Every priced model needs a name.' };
+    if (pricing[model]) return { pricing, error: `"${model}" is priced twice.` };
+
+    const input = parseFloat(field('input'));
+    const output = parseFloat(field('output'));
+    if (!(input >= 0) || !(output >= 0)) {
+      return { pricing, error: `Enter input and output prices (0 or more) for "${model}".` };
+    }
+    pricing[model] = { input, output };
+  }
+  return { pricing };
+}
+
+addPricingBtn.addEventListener('click', () => {
+  addPricingRow().querySelector('input').focus();
+});
+
+resetPricingBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_DEFAULT_PRICING' }, (pricing) => {
+    renderPricing(pricing || {});
+    updateImageEstimates();
+  });
+});
+
+// ── Profiles ──────────────────────────────────────────────────
+
+const IMAGE_DETAIL_OPTIONS = [
+  ['', 'Default'],
+  ['low', 'Low'],
+  ['high', 'High'],
+  ['auto', 'Auto'],
+];
+
+const IMAGE_FORMAT_OPTIONS = [
+  ['', 'Default'],
+  ['jpeg', 'JPEG'],
+  ['webp', 'WebP'],
+  ['png', 'PNG'],
+];
+
+addProfileBtn.addEventListener('click', () => {
+  const editor = addProfileEditor({ id: createId(), name: '' });
+  renderProfileEmpty();
+  updateProfileEstimate(editor);
+  editor.querySelector('.everyalt-profile-name').focus();
+});
+
+function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function renderProfileEmpty() {
+  profileEmpty.hidden = profileList.children.length > 0;
+}
+
+/**
+ * Append an editor for one profile, with a control for each of PROFILE_FIELDS.
+ * @param {object} profile - { id, name, model, customPrompt, maxTokens, languages,
+ *   imageMaxDimension, imageFormat, imageQuality, imageDetail }
+ * @returns {HTMLElement}
+ */
+function addProfileEditor(profile) {
+  const editor = document.createElement('div');
+  editor.className = 'everyalt-profile';
+  editor.dataset.id = profile.id;
+
+  const header = document.createElement('div');
+  header.className = 'everyalt-profile-header';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'everyalt-profile-name';
+  name.placeholder = 'Profile name';
+  name.value = profile.name || '';
+  name.setAttribute('aria-label', 'Profile name');
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'everyalt-link-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    editor.remove();
+    renderProfileEmpty();
+  });
+  header.appendChild(name);
+  header.appendChild(removeBtn);
+  editor.appendChild(header);
+
+  const grid = document.createElement('div');
+  grid.className = 'everyalt-form-grid everyalt-form-grid-spaced';
+
+  const model = createTextInput('model', profile.model);
+  grid.appendChild(buildProfileField('Model', model));
+  grid.appendChild(
+    buildProfileField('Max completion tokens', createNumberInput('maxTokens', 1, 4096, profile.maxTokens))
+  );
+  grid.appendChild(
+    buildProfileField('Languages', createTextInput('languages', (profile.languages || []).join(', ')))
+  );
+  grid.appendChild(
+    buildProfileField(
+      'Image detail (OpenAI)',
+      createSelect('imageDetail', IMAGE_DETAIL_OPTIONS, profile.imageDetail)
+    )
+  );
+  grid.appendChild(
+    buildProfileField(
+      'Max image size (px)',
+      createNumberInput('imageMaxDimension', 64, 2048, profile.imageMaxDimension)
+    )
+  );
+  grid.appendChild(
+    buildProfileField('Image format', createSelect('imageFormat', IMAGE_FORMAT_OPTIONS, profile.imageFormat))
+  );
+  grid.appendChild(
+    buildProfileField('Quality (%)', createNumberInput('imageQuality', 10, 100, profile.imageQuality))
+  );
+  editor.appendChild(grid);
+
+  const estimate = document.createElement('div');
+  estimate.className = 'everyalt-help-sm everyalt-estimate';
+  estimate.setAttribute('aria-live', 'polite');
+  editor.appendChild(estimate);
+  grid.addEventListener('input', () => updateProfileEstimate(editor));
+
+  const prompt = document.createElement('textarea');
+  prompt.dataset.field = 'customPrompt';
+  prompt.rows = 3;
+  prompt.placeholder = 'Default prompt';
+  prompt.value = profile.customPrompt || '';
+  const promptField = buildProfileField('Prompt', prompt);
+  promptField.classList.add('everyalt-form-group-spaced');
+  editor.appendChild(promptField);
+
+  profileList.appendChild(editor);
+  return editor;
+}
+
+function createTextInput(field, value) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.dataset.field = field;
+  input.placeholder = 'Default';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.value = value || '';
+  return input;
+}
+
+function createNumberInput(field, min, max, value) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.dataset.field = field;
+  input.min = String(min);
+  input.max = String(max);
+  input.placeholder = 'Default';
+  input.value = value || '';
+  return input;
+}
+
+function createSelect(field, options, value) {
+  const select = document.createElement('select');
+  select.dataset.field = field;
+  options.forEach(([optionValue, label]) => select.add(new Option(label, optionValue)));
+  select.value = value || '';
+  return select;
+}
+
+function buildProfileField(labelText, control) {
+  const group = document.createElement('div');
+  group.className = 'everyalt-form-group';
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  control.id = `profile-${control.dataset.field}-${createId()}`;
+  label.htmlFor = control.id;
+  group.appendChild(label);
+  group.appendChild(control);
+  return group;
+}
+
+/** Estimate for a profile: its image fields over the defaults on the form. */
+function updateProfileEstimate(editor) {
+  const field = (key) => editor.querySelector(`[data-field="${key}"]`).value.trim();
+  const image = { ...readImageSettings() };
+  ['imageMaxDimension', 'imageFormat', 'imageQuality', 'imageDetail'].forEach((key) => {
+    if (field(key)) image[key] = field(key);
+  });
+  const model = field('model') || getSelectedModel();
+  renderImageEstimate(image, model, editor.querySelector('.everyalt-estimate'));
+}
+
+/**
+ * Read the profile editors. Names are required and must be unique.
+ * @returns {{profiles: Array<object>, error?: string}}
+ */
+function readProfiles() {
+  const profiles = [];
+  const names = new Set();
+  for (const editor of profileList.querySelectorAll('.everyalt-profile')) {
+    const field = (key) => editor.querySelector(`[data-field="${key}"]`).value.trim();
+    const clamped = (key, min, max) => {
+      const value = parseInt(field(key), 10);
+      return value > 0 ? Math.max(min, Math.min(max, value)) : null;
+    };
+    const name = editor.querySelector('.everyalt-profile-name').value.trim();
+    if (!name) return { profiles, error: 'Every profile needs a name.' };
+    if (names.has(name.toLowerCase())) return { profiles, error: `Two profiles are named "${name}".` };
+    names.add(name.toLowerCase());
+
+    // Fields that need more than a trimmed string; the rest are read as typed
+    const readers = {
+      maxTokens: () => clamped('maxTokens', 1, 4096),
+      languages: () => parseLanguageList(field('languages')),
+      imageMaxDimension: () => clamped('imageMaxDimension', 64, 2048),
+      imageQuality: () => clamped('imageQuality', 10, 100),
+    };
+    const profile = { id: editor.dataset.id, name };
+    PROFILE_FIELDS.forEach((key) => {
+      profile[key] = readers[key] ? readers[key]() : field(key);
+    });
+    profiles.push(profile);
+  }
+  return { profiles };
+}
+
+// ── Copy Formats ──────────────────────────────────────────────
+
+addTemplateBtn.addEventListener('click', () => {
+  const editor = addTemplateEditor({ id: createId(), name: '', template: '' });
+  renderTemplateEmpty();
+  editor.querySelector('.everyalt-template-name').focus();
+});
+
+function renderTemplateEmpty() {
+  templateEmpty.hidden = templateList.children.length > 0;
+}
+
+/**
+ * Append an editor for one user "Copy as" format.
+ * @param {object} template - { id, name, template }
+ * @returns {HTMLElement}
+ */
+function addTemplateEditor(template) {
+  const editor = document.createElement('div');
+  editor.className = 'everyalt-template';
+  editor.dataset.id = template.id;
+
+  const header = document.createElement('div');
+  header.className = 'everyalt-profile-header';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'everyalt-template-name';
+  name.placeholder = 'Format name';
+  name.value = template.name || '';
+  name.setAttribute('aria-label', 'Format name');
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'everyalt-link-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    editor.remove();
+    renderTemplateEmpty();
+  });
+  header.appendChild(name);
+  header.appendChild(removeBtn);
+  editor.appendChild(header);
+
+  const body = document.createElement('textarea');
+  body.className = 'everyalt-template-body everyalt-form-group-spaced';
+  body.rows = 3;
+  body.spellcheck = false;
+  body.placeholder = '<img src="{{src|html}}" alt="{{alt|html}}" loading="lazy">';
+  body.value = template.template || '';
+  body.setAttribute('aria-label', 'Template');
+  editor.appendChild(body);
+
+  templateList.appendChild(editor);
+  return editor;
+}
+
+/**
+ * Read the copy format editors. Each needs a name and a template.
+ * @returns {{copyTemplates: Array<object>, error?: string}}
+ */
+function readCopyTemplates() {
+  const copyTemplates = [];
+  for (const editor of templateList.querySelectorAll('.everyalt-template')) {
+    const name = editor.querySelector('.everyalt-template-name').value.trim();
+    const template = editor.querySelector('.everyalt-template-body').value;
+    if (!name || !template.trim()) {
+      return { copyTemplates, error: 'Every copy format needs a name and a template.' };
+    }
+    copyTemplates.push({ id: editor.dataset.id, name, template });
+  }
+  return { copyTemplates };
+}
+
 // ── Save Settings ─────────────────────────────────────────────
 
 saveBtn.addEventListener('click', async () => {
@@ -88,9 +904,79 @@ saveBtn.addEventListener('click', async () => {
   saveStatus.textContent = '';
   saveStatus.className = 'everyalt-save-status';
 
+  const provider = providerSelect.value;
+  const model = getSelectedModel();
+  const baseUrl = baseUrlInput.value.trim();
   const newKey = apiKeyInput.value.trim();
   const customPrompt = customPromptInput.value.trim();
+  const lintRules = Array.from(lintRuleInputs)
+    .filter((input) => input.checked)
+    .map((input) => input.value);
+  const lintMaxLength = Math.max(
+    50,
+    Math.min(500, parseInt(lintMaxLengthInput.value, 10) || DEFAULT_LINT_MAX_LENGTH)
+  );
+  const contextSources = Array.from(contextSourceInputs)
+    .filter((input) => input.checked)
+    .map((input) => input.value);
+  const parsedContextTokens = parseInt(contextTokensInput.value, 10);
+  const contextTokens = Math.max(
+    0,
+    Math.min(2000, isNaN(parsedContextTokens) ? DEFAULT_CONTEXT_TOKENS : parsedContextTokens)
+  );
+  const languages = parseLanguageList(languagesInput.value);
+  const siteLanguages = parseSiteLanguages(siteLanguagesInput.value);
+  const profiles = readProfiles();
+  const copyTemplates = readCopyTemplates();
+  const modelPricing = readPricing();
+  const inputError = siteLanguages.error || profiles.error || copyTemplates.error || modelPricing.error;
+  if (inputError) {
+    saveBtn.disabled = false;
+    saveStatus.textContent = inputError;
+    saveStatus.className = 'everyalt-save-status error';
+    return;
+  }
   const maxTokens = Math.max(1, Math.min(4096, parseInt(maxTokensInput.value, 10) || DEFAULT_MAX_TOKENS));
+  const imageMaxDimension = Math.max(
+    64,
+    Math.min(2048, parseInt(imageMaxDimensionInput.value, 10) || DEFAULT_IMAGE_OPTIONS.maxDimension)
+  );
+  const imageQuality = Math.max(
+    10,
+    Math.min(100, parseInt(imageQualityInput.value, 10) || DEFAULT_IMAGE_OPTIONS.quality)
+  );
+  const batchConcurrency = Math.max(
+    1,
+    Math.min(6, parseInt(batchConcurrencyInput.value, 10) || DEFAULT_BATCH_CONCURRENCY)
+  );
+  const requestTimeoutSec = Math.max(
+    10,
+    Math.min(300, parseInt(requestTimeoutInput.value, 10) || DEFAULT_REQUEST_TIMEOUT_SEC)
+  );
+  const parsedRetries = parseInt(maxRetriesInput.value, 10);
+  const maxRetries = Math.max(0, Math.min(5, isNaN(parsedRetries) ? DEFAULT_MAX_RETRIES : parsedRetries));
+  const cacheMaxEntries = Math.max(
+    10,
+    Math.min(10000, parseInt(cacheMaxEntriesInput.value, 10) || DEFAULT_CACHE_MAX_ENTRIES)
+  );
+  const cacheMaxAgeDays = Math.max(
+    1,
+    Math.min(365, parseInt(cacheMaxAgeInput.value, 10) || DEFAULT_CACHE_MAX_AGE_DAYS)
+  );
+
+  const budgetDailyUsd = Math.max(0, parseFloat(budgetDailyInput.value) || 0);
+  const budgetMonthlyUsd = Math.max(0, parseFloat(budgetMonthlyInput.value) || 0);
+  const budgetWarnPercent = Math.max(
+    1,
+    Math.min(100, parseInt(budgetWarnPercentInput.value, 10) || DEFAULT_BUDGET_WARN_PERCENT)
+  );
+  const historyMaxEntries = Math.max(0, Math.min(1000000, parseInt(historyMaxEntriesInput.value, 10) || 0));
+  const historyMaxAgeDays = Math.max(0, Math.min(3650, parseInt(historyMaxAgeInput.value, 10) || 0));
+  const parsedAutoLock = parseInt(autoLockMinutesInput.value, 10);
+  const autoLockMinutes = Math.max(
+    0,
+    Math.min(1440, isNaN(parsedAutoLock) ? DEFAULT_AUTO_LOCK_MINUTES : parsedAutoLock)
+  );
 
   try {
     // If a new key was entered, validate it first
@@ -99,7 +985,12 @@ saveBtn.addEventListener('click', async () => {
 
       const validation = await new Promise((resolve) => {
         chrome.runtime.sendMessage(
-          { type: 'EVERYALT_VALIDATE_KEY', apiKey: newKey },
+          {
+            type: 'EVERYALT_VALIDATE_KEY',
+            provider,
+            apiKey: newKey,
+            baseUrl: baseUrl || DEFAULT_BASE_URL,
+          },
           resolve
         );
       });
@@ -112,17 +1003,29 @@ saveBtn.addEventListener('click', async () => {
         return;
       }
 
-      // Save the new key
+      // Save the new key under its provider (encrypted when a passphrase is set)
+      const saved = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'EVERYALT_SAVE_API_KEY', provider, apiKey: newKey }, resolve);
+      });
+      if (!saved || !saved.success) {
+        setStatus(keyStatus, saved?.error || 'Could not save the API key.', 'error');
+        saveBtn.disabled = false;
+        saveStatus.textContent = 'API key not saved. Settings not saved.';
+        saveStatus.className = 'everyalt-save-status error';
+        return;
+      }
+      storedKeys = { ...storedKeys, [provider]: newKey };
+      storedValidated = { ...storedValidated, [provider]: true };
       await new Promise((resolve) => {
-        chrome.storage.local.set(
-          { apiKey: newKey, apiKeyValidated: true },
-          resolve
+        chrome.storage.local.set({ apiKeysValidated: storedValidated }, () =>
+          chrome.storage.local.remove(['apiKeyValidated'], resolve)
         );
       });
 
       setStatus(keyStatus, 'API key is saved and validated.', 'success');
       apiKeyInput.value = '';
       apiKeyInput.placeholder = 'Key saved (enter new key to replace)';
+      loadModels(model);
     }
 
     // Save other settings
@@ -130,13 +1033,43 @@ saveBtn.addEventListener('click', async () => {
       chrome.storage.local.get(['settings', 'metadata'], (result) => {
         const settings = {
           ...(result.settings || {}),
+          provider,
+          model,
+          baseUrl,
           customPrompt: customPrompt || '',
+          outputMode: outputModeSelect.value,
+          detectDecorative: detectDecorativeInput.checked,
+          lintRules,
+          lintMaxLength,
+          contextSources,
+          contextTokens,
+          languages,
+          siteLanguages: siteLanguages.sites,
+          profiles: profiles.profiles,
+          copyTemplates: copyTemplates.copyTemplates,
+          modelPricing: modelPricing.pricing,
           maxTokens,
+          imageMaxDimension,
+          imageFormat: imageFormatSelect.value,
+          imageQuality,
+          imageDetail: imageDetailSelect.value,
+          batchConcurrency,
+          requestTimeoutSec,
+          maxRetries,
+          cacheEnabled: cacheEnabledInput.checked,
+          cacheMaxEntries,
+          cacheMaxAgeDays,
+          historyMaxEntries,
+          historyMaxAgeDays,
+          budgetDailyUsd,
+          budgetMonthlyUsd,
+          budgetWarnPercent,
+          autoLockMinutes,
         };
         const metadata = {
           ...(result.metadata || {}),
           lastUpdated: Date.now(),
-          version: '1.0.0',
+          version: SETTINGS_VERSION,
         };
         chrome.storage.local.set({ settings, metadata }, resolve);
       });
@@ -156,32 +1089,220 @@ saveBtn.addEventListener('click', async () => {
   saveBtn.disabled = false;
 });
 
-// ── Generation Log ────────────────────────────────────────────
+// ── Spending Budget ───────────────────────────────────────────
+
+function loadBudgetSpend() {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_BUDGET_STATUS' }, (status) => {
+    if (!status) return;
+    budgetSpend.textContent =
+      `Spent ${formatUsd(status.daily.spent)} today and ${formatUsd(status.monthly.spent)} this month.` +
+      (status.message ? ` ${status.message}` : '');
+  });
+}
+
+// Spend grows with every generation; saved caps change the message
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.spending || changes.settings)) loadBudgetSpend();
+});
+
+loadBudgetSpend();
+
+// ── Result Cache ──────────────────────────────────────────────
+
+function loadCacheStats() {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_CACHE_STATS' }, (response) => {
+    const entries = response?.entries || 0;
+    cacheStats.textContent = `${entries} image${entries !== 1 ? 's' : ''} cached.`;
+  });
+}
+
+clearCacheBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_CACHE_CLEAR' }, () => loadCacheStats());
+});
+
+loadCacheStats();
+
+// ── Backup & Sync ─────────────────────────────────────────────
+
+exportSettingsBtn.addEventListener('click', () => {
+  const includeApiKeys = transferIncludeKeysInput.checked;
+  if (includeApiKeys && !confirm('Include your API keys in the file? Anyone with the file can use them.')) {
+    return;
+  }
+  chrome.runtime.sendMessage({ type: 'EVERYALT_SETTINGS_EXPORT', includeApiKeys }, (response) => {
+    if (!response || !response.success) {
+      setStatus(transferStatus, `Export failed: ${response?.error || 'no response'}`, 'error');
+      return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    const json = JSON.stringify(response.data, null, 2);
+    downloadFile(`everyalt-settings-${date}.json`, json, 'application/json');
+    setStatus(
+      transferStatus,
+      includeApiKeys ? 'Settings exported with API keys. Keep the file private.' : 'Settings exported.',
+      'success'
+    );
+  });
+});
+
+importSettingsBtn.addEventListener('click', () => importSettingsFile.click());
+
+importSettingsFile.addEventListener('change', async () => {
+  const file = importSettingsFile.files[0];
+  importSettingsFile.value = '';
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    setStatus(transferStatus, `${file.name} is not valid JSON.`, 'error');
+    return;
+  }
+
+  chrome.runtime.sendMessage(
+    { type: 'EVERYALT_SETTINGS_IMPORT', data, includeApiKeys: transferIncludeKeysInput.checked },
+    (response) => {
+      if (!response || !response.success) {
+        setStatus(transferStatus, response?.error || 'Import failed: no response', 'error');
+        return;
+      }
+      const keys = response.apiKeyProviders.length
+        ? ` API keys imported for ${response.apiKeyProviders.map((id) => getProvider(id).label).join(', ')}.`
+        : '';
+      const notice = [`Settings imported from ${file.name}.${keys}`, ...response.warnings].join(' ');
+      // Reload so every field shows the imported values
+      sessionStorage.setItem(IMPORT_NOTICE_KEY, notice);
+      location.reload();
+    }
+  );
+});
+
+const importNotice = sessionStorage.getItem(IMPORT_NOTICE_KEY);
+if (importNotice) {
+  sessionStorage.removeItem(IMPORT_NOTICE_KEY);
+  setStatus(transferStatus, importNotice, 'success');
+}
+
+function renderSyncState(state) {
+  syncEnabledInput.checked = !!state?.enabled;
+  if (state?.error) {
+    setStatus(syncStatus, state.error, 'error');
+  } else if (state?.enabled && state.lastSyncedAt) {
+    setStatus(syncStatus, `Last synced ${formatTime(state.lastSyncedAt)}.`, 'success');
+  } else {
+    setStatus(syncStatus, '', '');
+  }
+}
+
+syncEnabledInput.addEventListener('change', () => {
+  syncEnabledInput.disabled = true;
+  setStatus(syncStatus, syncEnabledInput.checked ? 'Syncing\u2026' : '', 'validating');
+  chrome.runtime.sendMessage({ type: 'EVERYALT_SYNC_SET', enabled: syncEnabledInput.checked }, (state) => {
+    syncEnabledInput.disabled = false;
+    renderSyncState(state);
+    // Settings synced from another computer replace what the form shows
+    if (state?.adopted) location.reload();
+  });
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.settingsSync) renderSyncState(changes.settingsSync.newValue);
+});
+
+chrome.runtime.sendMessage({ type: 'EVERYALT_SYNC_STATE' }, renderSyncState);
+
+// ── History ───────────────────────────────────────────────────
+
+const HISTORY_PAGE_SIZE = 50;
 
 const logContainer = document.getElementById('log-container');
 const logTotals = document.getElementById('log-totals');
 const clearLogBtn = document.getElementById('clear-log-btn');
+const historySearchInput = document.getElementById('history-search');
+const historyDomainSelect = document.getElementById('history-domain');
+const historyStatusSelect = document.getElementById('history-status');
+const historyModelSelect = document.getElementById('history-model');
+const historyFromInput = document.getElementById('history-from');
+const historyToInput = document.getElementById('history-to');
+const historyMoreBtn = document.getElementById('history-more-btn');
+const historyMessage = document.getElementById('history-message');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
+
+let historyLimit = HISTORY_PAGE_SIZE;
+
+/** Filters on the form, as EVERYALT_HISTORY_QUERY expects them. */
+function readHistoryFilters() {
+  // Date inputs are local days; "To" includes the whole day
+  const dayStart = (value) => (value ? new Date(`${value}T00:00`).getTime() : 0);
+  const to = dayStart(historyToInput.value);
+  return {
+    text: historySearchInput.value.trim(),
+    domain: historyDomainSelect.value,
+    status: historyStatusSelect.value,
+    model: historyModelSelect.value,
+    from: dayStart(historyFromInput.value),
+    to: to ? to + 24 * 60 * 60 * 1000 : 0,
+  };
+}
+
+/**
+ * @param {number} limit - 0 for every match
+ * @param {object} options - { thumbnails, summary } passed to the service worker
+ */
+function queryHistory(limit, callback, options = {}) {
+  chrome.runtime.sendMessage(
+    { type: 'EVERYALT_HISTORY_QUERY', filters: readHistoryFilters(), offset: 0, limit, ...options },
+    callback
+  );
+}
 
 function loadLog() {
-  chrome.storage.local.get(['generationLog'], (result) => {
-    const log = result.generationLog || [];
-    if (log.length === 0) {
-      logContainer.innerHTML =
-        '<p class="everyalt-log-empty">No generations yet. Right-click an image to get started.</p>';
+  queryHistory(historyLimit, (response) => {
+    if (!response || !response.success) {
+      logContainer.innerHTML = '';
+      const errEl = document.createElement('p');
+      errEl.className = 'everyalt-log-error-msg';
+      errEl.textContent = `Could not load history: ${response?.error || 'no response'}`;
+      logContainer.appendChild(errEl);
+      return;
+    }
+
+    renderFacet(historyDomainSelect, response.facets.domains);
+    renderFacet(historyModelSelect, response.facets.models);
+    historyMoreBtn.hidden = response.entries.length >= response.total;
+
+    if (response.total === 0) {
+      const filtered = Object.values(readHistoryFilters()).some(Boolean);
+      logContainer.innerHTML = filtered
+        ? '<p class="everyalt-log-empty">No generations match these filters.</p>'
+        : '<p class="everyalt-log-empty">No generations yet. Right-click an image to get started.</p>';
       logTotals.style.display = 'none';
       return;
     }
 
-    renderLog(log);
+    renderLog(response.entries);
+    renderTotals(response.totals);
   });
 }
 
+/** The user changed the generated alt before copying or applying it. */
+function isEdited(entry) {
+  return typeof entry.finalAlt === 'string' && entry.finalAlt !== entry.altText;
+}
+
+/** Refill a filter dropdown, keeping its first "All" option and the selection. */
+function renderFacet(select, values) {
+  const selected = select.value;
+  while (select.options.length > 1) select.remove(1);
+  values.forEach((value) => select.add(new Option(value, value)));
+  if (selected && !values.includes(selected)) select.add(new Option(selected, selected));
+  select.value = selected;
+}
+
 function renderLog(log) {
   logContainer.innerHTML = '';
-  let totalTokens = 0;
-  let totalCostUsd = 0;
-  let successCount = 0;
-  let errorCount = 0;
 
   log.forEach((entry) => {
     const row = document.createElement('div');
@@ -193,27 +1314,56 @@ function renderLog(log) {
     time.textContent = formatTime(entry.timestamp);
     row.appendChild(time);
 
+    if (entry.thumbnail) {
+      const thumb = document.createElement('img');
+      thumb.className = 'everyalt-log-thumb';
+      thumb.src = entry.thumbnail;
+      thumb.alt = '';
+      row.appendChild(thumb);
+    }
+
     // Main content
     const body = document.createElement('div');
     body.className = 'everyalt-log-body';
 
     if (entry.status === 'success') {
-      successCount++;
-      const altEl = document.createElement('p');
-      altEl.className = 'everyalt-log-alt';
-      altEl.textContent = entry.altText || '(empty)';
-      body.appendChild(altEl);
+      const edited = isEdited(entry);
+      if (edited) {
+        const finalEl = document.createElement('p');
+        finalEl.className = 'everyalt-log-alt';
+        const badge = document.createElement('span');
+        badge.className = 'everyalt-log-edited';
+        badge.textContent = 'Final';
+        finalEl.appendChild(badge);
+        finalEl.appendChild(document.createTextNode(entry.finalAlt || '(empty)'));
+        body.appendChild(finalEl);
+      }
+
+      // Multi-language entries list every language
+      const altTexts = entry.altTexts ? Object.entries(entry.altTexts) : [[null, entry.altText]];
+      altTexts.forEach(([lang, text]) => {
+        const altEl = document.createElement('p');
+        altEl.className = edited ? 'everyalt-log-generated' : 'everyalt-log-alt';
+        if (lang) {
+          altEl.lang = lang;
+          const langEl = document.createElement('span');
+          langEl.className = 'everyalt-log-lang';
+          langEl.textContent = lang;
+          altEl.appendChild(langEl);
+        }
+        altEl.appendChild(document.createTextNode(text || '(empty)'));
+        body.appendChild(altEl);
+      });
 
       const meta = document.createElement('span');
       meta.className = 'everyalt-log-meta';
       const tokens = entry.cost?.tokens?.total || 0;
-      const cents = entry.cost?.costCents || '—';
-      meta.textContent = `${tokens} tokens \u00B7 ${cents}`;
-      totalTokens += tokens;
-      totalCostUsd += entry.cost?.totalUsd || 0;
+      const cents = entry.cost?.priced === false ? 'no price' : entry.cost?.costCents || '—';
+      meta.textContent = entry.cached ? 'From cache \u00B7 no cost' : `${tokens} tokens \u00B7 ${cents}`;
+      if (entry.model) meta.textContent = `${entry.model} \u00B7 ${meta.textContent}`;
+      if (entry.profile) meta.textContent = `${entry.profile} \u00B7 ${meta.textContent}`;
       body.appendChild(meta);
     } else {
-      errorCount++;
       const errEl = document.createElement('p');
       errEl.className = 'everyalt-log-error-msg';
       errEl.textContent = entry.error || 'Unknown error';
@@ -229,40 +1379,218 @@ function renderLog(log) {
       body.appendChild(urlEl);
     }
 
+    // Page the image was on
+    if (entry.pageUrl) {
+      const pageEl = document.createElement('span');
+      pageEl.className = 'everyalt-log-url';
+      const link = document.createElement('a');
+      link.href = entry.pageUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.title = entry.pageUrl;
+      link.textContent = `on ${truncateUrl(entry.pageUrl, 57)}`;
+      pageEl.appendChild(link);
+      body.appendChild(pageEl);
+    }
+
+    body.appendChild(buildHistoryActions(entry, body));
     row.appendChild(body);
     logContainer.appendChild(row);
   });
+}
+
+/** Copy (the final alt, else the generated one) and Regenerate for one entry. */
+function buildHistoryActions(entry, body) {
+  const actions = document.createElement('div');
+  actions.className = 'everyalt-log-actions';
+
+  if (entry.status === 'success') {
+    const copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.className = 'everyalt-link-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(entry.finalAlt ?? entry.altText ?? '').then(() => {
+        copyBtn.textContent = 'Copied!';
+        setTimeout(() => {
+          copyBtn.textContent = 'Copy';
+        }, 2000);
+      });
+    });
+    actions.appendChild(copyBtn);
+  }
+
+  // Images the service worker cannot fetch (data URLs are fine) need the page
+  const regenBtn = document.createElement('button');
+  regenBtn.type = 'button';
+  regenBtn.className = 'everyalt-link-btn';
+  regenBtn.textContent = 'Regenerate';
+  regenBtn.addEventListener('click', () => {
+    regenBtn.disabled = true;
+    regenBtn.textContent = 'Regenerating\u2026';
+    chrome.runtime.sendMessage({ type: 'EVERYALT_HISTORY_REGENERATE', id: entry.id }, (response) => {
+      // Success adds a new entry; the history reloads on EVERYALT_HISTORY_CHANGED
+      if (response?.success) return;
+      regenBtn.disabled = false;
+      regenBtn.textContent = 'Regenerate';
+      const errEl = document.createElement('p');
+      errEl.className = 'everyalt-log-error-msg';
+      errEl.textContent = response?.error || 'Regeneration failed.';
+      body.insertBefore(errEl, actions);
+    });
+  });
+  actions.appendChild(regenBtn);
 
-  // Totals bar
-  if (successCount > 0) {
-    const totalCents = (totalCostUsd * 100).toFixed(4) + '\u00A2';
+  return actions;
+}
+
+/** Totals bar for every entry matching the filters, not just the ones shown. */
+function renderTotals({ success, errors, tokens, costUsd, costByModel }) {
+  if (success > 0) {
+    const totalCents = (costUsd * 100).toFixed(4) + '\u00A2';
     logTotals.textContent =
-      `${successCount} generation${successCount !== 1 ? 's' : ''}` +
-      (errorCount > 0 ? `, ${errorCount} error${errorCount !== 1 ? 's' : ''}` : '') +
-      ` \u00B7 ${totalTokens.toLocaleString()} total tokens \u00B7 ${totalCents} total cost`;
-    logTotals.style.display = '';
+      `${success} generation${success !== 1 ? 's' : ''}` +
+      (errors > 0 ? `, ${errors} error${errors !== 1 ? 's' : ''}` : '') +
+      ` \u00B7 ${tokens.toLocaleString()} total tokens \u00B7 ${totalCents} total cost`;
+    const models = Object.entries(costByModel);
+    if (models.length > 1) {
+      logTotals.textContent +=
+        ' (' + models.map(([model, usd]) => `${model}: ${(usd * 100).toFixed(4)}\u00A2`).join(', ') + ')';
+    }
   } else {
-    logTotals.textContent = `${errorCount} error${errorCount !== 1 ? 's' : ''}`;
-    logTotals.style.display = '';
+    logTotals.textContent = `${errors} error${errors !== 1 ? 's' : ''}`;
   }
+  logTotals.style.display = '';
 }
 
-clearLogBtn.addEventListener('click', () => {
-  chrome.storage.local.set({ generationLog: [] }, () => {
+// Filters restart from the first page
+let searchTimer = null;
+historySearchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    historyLimit = HISTORY_PAGE_SIZE;
     loadLog();
-  });
+  }, 250);
+});
+[historyDomainSelect, historyStatusSelect, historyModelSelect, historyFromInput, historyToInput].forEach(
+  (input) =>
+    input.addEventListener('change', () => {
+      historyLimit = HISTORY_PAGE_SIZE;
+      loadLog();
+    })
+);
+
+historyMoreBtn.addEventListener('click', () => {
+  historyLimit += HISTORY_PAGE_SIZE;
+  loadLog();
+});
+
+clearLogBtn.addEventListener('click', () => {
+  if (!confirm('Delete the whole generation history? This cannot be undone.')) return;
+  chrome.runtime.sendMessage({ type: 'EVERYALT_HISTORY_CLEAR' }, () => loadLog());
 });
 
-// Load log on page open
+// Load history on page open
 loadLog();
 
-// Refresh log when storage changes (e.g., new generation while page is open)
-chrome.storage.onChanged.addListener((changes) => {
-  if (changes.generationLog) {
-    loadLog();
-  }
+// Refresh when a generation finishes or an alt is edited while the page is open
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'EVERYALT_HISTORY_CHANGED') loadLog();
 });
 
+// ── History Export ────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  ['date', (entry) => new Date(entry.timestamp).toISOString()],
+  ['status', (entry) => entry.status],
+  ['domain', (entry) => entry.domain],
+  ['page_url', (entry) => entry.pageUrl],
+  ['image_url', (entry) => entry.imageUrl],
+  ['alt', (entry) => entry.finalAlt ?? entry.altText],
+  ['generated_alt', (entry) => entry.altText],
+  ['edited', (entry) => (isEdited(entry) ? 'yes' : '')],
+  // A multi-language entry keeps its details per language code; see buildHistoryCsv()
+  ['caption', (entry) => entry.details?.caption],
+  ['title', (entry) => entry.details?.title],
+  ['long_description', (entry) => entry.details?.long_description],
+  ['profile', (entry) => entry.profile],
+  ['provider', (entry) => entry.provider],
+  ['model', (entry) => entry.model],
+  ['tokens', (entry) => entry.cost?.tokens?.total],
+  ['cost_usd', (entry) => (entry.cost?.priced === false ? '' : entry.cost?.totalUsd)],
+  ['cached', (entry) => (entry.cached ? 'yes' : '')],
+  ['error', (entry) => entry.error],
+];
+
+const CSV_DETAIL_FIELDS = ['caption', 'title', 'long_description'];
+
+/**
+ * One row per entry; each language of a multi-language entry gets an alt_<code>
+ * column, plus caption_<code>, title_<code> and long_description_<code> when it
+ * has structured details.
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+function buildHistoryCsv(entries) {
+  const languages = [...new Set(entries.flatMap((entry) => Object.keys(entry.altTexts || {})))].sort();
+  const detailed = languages.filter((code) =>
+    entries.some((entry) => entry.altTexts && entry.details?.[code])
+  );
+  const columns = CSV_COLUMNS.concat(
+    languages.map((code) => [`alt_${code}`, (entry) => entry.altTexts?.[code]]),
+    detailed.flatMap((code) =>
+      CSV_DETAIL_FIELDS.map((field) => [
+        `${field}_${code}`,
+        (entry) => (entry.altTexts ? entry.details?.[code]?.[field] : undefined),
+      ])
+    )
+  );
+  const lines = [columns.map(([name]) => name).join(',')];
+  entries.forEach((entry) => {
+    lines.push(columns.map(([, read]) => csvCell(read(entry))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportHistory(format) {
+  setStatus(historyMessage, '', '');
+  // Thumbnails only make sense inside the extension
+  const options = { thumbnails: false, summary: false };
+  queryHistory(0, (response) => {
+    if (!response || !response.success) {
+      setStatus(historyMessage, `Export failed: ${response?.error || 'no response'}`, 'error');
+      return;
+    }
+    const entries = response.entries;
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadFile(`everyalt-history-${date}.csv`, buildHistoryCsv(entries), 'text/csv');
+    } else {
+      const json = { exportedAt: new Date().toISOString(), count: entries.length, entries };
+      downloadFile(`everyalt-history-${date}.json`, JSON.stringify(json, null, 2), 'application/json');
+    }
+  }, options);
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+exportJsonBtn.addEventListener('click', () => exportHistory('json'));
+
 // ── Helpers ─────────────────────────────────────────────────
 
 function setStatus(el, text, className) {
@@ -270,14 +1598,6 @@ function setStatus(el, text, className) {
   el.className = 'everyalt-status ' + (className || '');
 }
 
-function getStoredKey() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['apiKey'], (result) => {
-      resolve(result.apiKey || '');
-    });
-  });
-}
-
 function formatTime(ts) {
   if (!ts) return '';
   const d = new Date(ts);
@@ -290,6 +1610,12 @@ function formatTime(ts) {
   return timeStr;
 }
 
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function truncateUrl(url, max) {
   if (!url) return '';
   if (url.startsWith('data:')) return '(data URL)';
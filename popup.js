@@ -2,22 +2,170 @@
  * EveryAlt Chrome Extension - Popup Logic
  */
 
+import { formatUsd } from './lib/budget.js';
+
 const statusDot = document.getElementById('status-dot');
 const statusText = document.getElementById('status-text');
 const settingsBtn = document.getElementById('settings-btn');
+const auditBtn = document.getElementById('audit-btn');
+const regionBtn = document.getElementById('region-btn');
+const budgetBox = document.getElementById('budget');
+const budgetDaily = document.getElementById('budget-daily');
+const budgetMonthly = document.getElementById('budget-monthly');
+const budgetMessage = document.getElementById('budget-message');
+const unlockForm = document.getElementById('unlock-form');
+const passphraseInput = document.getElementById('unlock-passphrase');
+const unlockBtn = document.getElementById('unlock-btn');
+const unlockError = document.getElementById('unlock-error');
+const lockBtn = document.getElementById('lock-btn');
+const shortcutsText = document.getElementById('shortcuts');
+
+// Opened as a window by the page's "Unlock" button rather than from the toolbar
+const isUnlockWindow = new URLSearchParams(location.search).has('window');
+
+// Check if the selected provider has an API key configured
+chrome.storage.local.get(
+  ['apiKey', 'apiKeyValidated', 'apiKeys', 'apiKeysValidated', 'apiKeyVault', 'settings'],
+  (result) => {
+    const provider = result.settings?.provider || 'openai';
+    // Keys saved before multi-provider support belong to OpenAI
+    const legacy = provider === 'openai';
+    const apiKey = result.apiKeys?.[provider] || (legacy && result.apiKey);
+    const validated = result.apiKeysValidated?.[provider] || (legacy && result.apiKeyValidated);
+
+    // Passphrase-protected keys can only be read once unlocked
+    if (result.apiKeyVault) {
+      chrome.runtime.sendMessage({ type: 'EVERYALT_VAULT_STATUS' }, (vault) =>
+        renderVault(vault, provider, validated)
+      );
+      return;
+    }
 
-// Check if API key is configured
-chrome.storage.local.get(['apiKey', 'apiKeyValidated'], (result) => {
-  if (result.apiKey && result.apiKeyValidated) {
-    statusDot.className = 'everyalt-status-dot ready';
-    statusText.textContent = 'Ready to use';
-  } else if (result.apiKey) {
-    statusDot.className = 'everyalt-status-dot warning';
-    statusText.textContent = 'API key saved (not yet validated)';
-  } else {
-    statusDot.className = 'everyalt-status-dot warning';
-    statusText.textContent = 'API key needed';
+    if (provider === 'compatible') {
+      statusDot.className = 'everyalt-status-dot ready';
+      statusText.textContent = 'Using custom endpoint';
+    } else if (apiKey && validated) {
+      statusDot.className = 'everyalt-status-dot ready';
+      statusText.textContent = 'Ready to use';
+    } else if (apiKey) {
+      statusDot.className = 'everyalt-status-dot warning';
+      statusText.textContent = 'API key saved (not yet validated)';
+    } else {
+      statusDot.className = 'everyalt-status-dot warning';
+      statusText.textContent = 'API key needed';
+    }
   }
+);
+
+/**
+ * @param {object} vault - EVERYALT_VAULT_STATUS response
+ * @param {string} provider
+ * @param {boolean} validated
+ */
+function renderVault(vault, provider, validated) {
+  if (!vault?.unlocked) {
+    statusDot.className = 'everyalt-status-dot locked';
+    statusText.textContent = 'API keys locked';
+    unlockForm.hidden = false;
+    passphraseInput.focus();
+    return;
+  }
+  const hasKey = vault.providers.includes(provider);
+  statusDot.className = 'everyalt-status-dot ' + (hasKey && validated ? 'ready' : 'warning');
+  statusText.textContent = !hasKey
+    ? 'API key needed'
+    : validated
+      ? 'Unlocked and ready'
+      : 'Unlocked (key not yet validated)';
+  lockBtn.hidden = false;
+}
+
+unlockForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  unlockBtn.disabled = true;
+  unlockError.hidden = true;
+  chrome.runtime.sendMessage(
+    { type: 'EVERYALT_VAULT_UNLOCK', passphrase: passphraseInput.value },
+    (response) => {
+      unlockBtn.disabled = false;
+      if (!response?.success) {
+        unlockError.textContent = response?.error || 'Could not unlock.';
+        unlockError.hidden = false;
+        passphraseInput.select();
+        return;
+      }
+      if (isUnlockWindow) {
+        window.close();
+      } else {
+        location.reload();
+      }
+    }
+  );
+});
+
+lockBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_VAULT_LOCK' }, () => location.reload());
+});
+
+// Spend today and this month, against the caps when they are set
+chrome.runtime.sendMessage({ type: 'EVERYALT_BUDGET_STATUS' }, (status) => {
+  if (!status) return;
+  renderBudgetRow(budgetDaily, 'Today', status.daily, status);
+  renderBudgetRow(budgetMonthly, 'This month', status.monthly, status);
+  if (status.message) {
+    budgetMessage.textContent = status.message;
+    budgetMessage.className = 'everyalt-budget-message' + (status.blocked ? ' blocked' : '');
+    budgetMessage.hidden = false;
+  }
+  budgetBox.hidden = false;
+});
+
+/**
+ * @param {HTMLElement} row
+ * @param {string} label
+ * @param {{limit: number, spent: number}} period - limit 0 = no cap
+ * @param {object} status - EVERYALT_BUDGET_STATUS response
+ */
+function renderBudgetRow(row, label, { limit, spent }, status) {
+  const text = document.createElement('div');
+  text.className = 'everyalt-budget-label';
+  const name = document.createElement('span');
+  name.textContent = label;
+  const amount = document.createElement('span');
+  amount.textContent =
+    limit > 0 ? `${formatUsd(spent)} of ${formatUsd(limit)}` : `${formatUsd(spent)} (no cap)`;
+  text.appendChild(name);
+  text.appendChild(amount);
+  row.appendChild(text);
+
+  if (limit > 0) {
+    const ratio = Math.min(1, spent / limit);
+    const warnRatio = status.warnPercent / 100;
+    const bar = document.createElement('div');
+    bar.className = 'everyalt-budget-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', `${label} budget`);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', String(Math.round(ratio * 100)));
+    const fill = document.createElement('div');
+    fill.className =
+      'everyalt-budget-fill' + (ratio >= 1 ? ' blocked' : ratio >= warnRatio ? ' warning' : '');
+    fill.style.width = `${ratio * 100}%`;
+    bar.appendChild(fill);
+    row.appendChild(bar);
+  }
+}
+
+// Keyboard shortcuts, as assigned at chrome://extensions/shortcuts (unset ones are left out)
+chrome.commands.getAll((commands) => {
+  const keys = Object.fromEntries(commands.map(({ name, shortcut }) => [name, shortcut]));
+  const parts = [];
+  if (keys['generate-alt']) parts.push(`${keys['generate-alt']} describes the focused or hovered image`);
+  if (keys['pick-image']) parts.push(`${keys['pick-image']} picks one with the arrow keys`);
+  if (!parts.length) return;
+  shortcutsText.textContent = `Keyboard: ${parts.join('; ')}.`;
+  shortcutsText.hidden = false;
 });
 
 // Open settings page
@@ -25,3 +173,19 @@ settingsBtn.addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
   window.close();
 });
+
+// Audit the images on the active tab
+auditBtn.addEventListener('click', () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    if (!tab?.id) return;
+    chrome.runtime.sendMessage({ type: 'EVERYALT_AUDIT_TAB', tabId: tab.id }, () => window.close());
+  });
+});
+
+// Drag over part of the active tab to describe it from a screenshot
+regionBtn.addEventListener('click', () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    if (!tab?.id) return;
+    chrome.runtime.sendMessage({ type: 'EVERYALT_REGION_TAB', tabId: tab.id }, () => window.close());
+  });
+});
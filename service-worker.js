@@ -2,100 +2,207 @@
  * EveryAlt Chrome Extension - Background Service Worker
  *
  * Responsibilities:
- *  - Register context menu on install
- *  - Handle context menu clicks (image right-click)
- *  - Fetch image, convert to base64, call OpenAI
- *  - Send results to content script for modal display
+ *  - Register context menus on install (and the profile submenu when profiles change)
+ *  - Handle context menu clicks (image right-click, other visuals, screen region, page audit)
+ *  - Handle keyboard shortcuts (focused/hovered image, keyboard image picker)
+ *  - Run batch jobs for every image an audit found without alt text
+ *  - Fetch image, convert to base64, call the configured vision provider
+ *  - Send results to content script for modal display, streaming the text as it arrives
+ *  - Record every generation in the searchable history
+ *  - Enforce the daily and monthly spending caps
+ *  - Export, import and (when enabled) sync settings
+ *  - Unlock and auto-lock passphrase-protected API keys
  */
 
-import { generateAltText, validateApiKey } from './lib/openai-api.js';
-import { imageUrlToBase64, getSettings, addLogEntry } from './lib/utils.js';
+import { generateAltText, validateApiKey, listModels, DEFAULT_PROMPT } from './lib/vision-api.js';
+import { calculateCost, DEFAULT_MODEL_PRICING } from './lib/pricing.js';
+import { getProvider } from './lib/providers/index.js';
+import { resolveLanguages } from './lib/languages.js';
+import { selectContext, buildContextInstruction } from './lib/page-context.js';
+import { mergeDecorativeVerdict } from './lib/decorative.js';
+import { applyProfile, buildGenerateMenuItems, findProfile, parseGenerateMenuId } from './lib/profiles.js';
+import { getSettings, migrateStorage } from './lib/utils.js';
+import { getSpending, recordSpend, getBudgetStatus, getUnpricedModelMessage } from './lib/budget.js';
+import {
+  AUTO_LOCK_ALARM,
+  getVaultStatus,
+  enableVault,
+  disableVault,
+  unlockVault,
+  lockVault,
+  noteKeyUse,
+  checkAutoLock,
+  saveApiKey,
+  lockedError,
+} from './lib/key-vault.js';
+import {
+  addHistoryEntry,
+  setFinalAlt,
+  getHistoryEntry,
+  queryHistory,
+  clearHistory,
+  pruneHistory,
+  migrateLegacyLog,
+} from './lib/history.js';
+import {
+  getImageOptions,
+  imageUrlToBase64,
+  createThumbnail,
+  scaleToFit,
+  cropImage,
+  estimateImageTokens,
+  estimateImageBytes,
+} from './lib/image-pipeline.js';
+import { exportSettings, importSettings } from './lib/settings-transfer.js';
+import {
+  getSyncState,
+  setSyncEnabled,
+  pushSettings,
+  pullSettings,
+  isSettingsSyncChange,
+} from './lib/settings-sync.js';
+import { createBatchQueue } from './lib/batch-queue.js';
+import { EveryAltError, ERROR_CODES, toEveryAltError } from './lib/errors.js';
+import {
+  buildCacheKey,
+  getCachedResult,
+  putCachedResult,
+  getCacheStats,
+  clearCache,
+} from './lib/result-cache.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Visuals that exist only as pixels captured in the page or from a screenshot
+// (see content-script.js captureVisual and captureRegion)
+const CAPTURED_VISUALS = ['svg', 'canvas', 'video', 'region'];
+
+// Port the dialog listens on for partial alt text (content-script.js mirrors it)
+const STREAM_PORT_NAME = 'everyalt-stream';
 
 // ── Context Menu Registration ───────────────────────────────────────
 
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.contextMenus.create({
-    id: 'generate-alt-text',
-    title: 'Generate Alt Text with EveryAlt',
-    contexts: ['image'],
-  });
+  migrateStorage();
+  migrateLegacyLog().catch(() => {});
+  buildContextMenus();
+});
+
+// Profiles appear as a submenu of the generate item; rebuild it when they change.
+// Tighter history limits apply right away rather than at the next generation.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.settings) return;
+  const { oldValue = {}, newValue = {} } = changes.settings;
+  const before = JSON.stringify(oldValue.profiles || []);
+  const after = JSON.stringify(newValue.profiles || []);
+  if (before !== after) buildContextMenus();
+  if (
+    oldValue.historyMaxEntries !== newValue.historyMaxEntries ||
+    oldValue.historyMaxAgeDays !== newValue.historyMaxAgeDays
+  ) {
+    pruneHistory({ maxEntries: newValue.historyMaxEntries, maxAgeDays: newValue.historyMaxAgeDays })
+      .then(notifyHistoryChanged)
+      .catch(() => {});
+  }
+});
+
+// Opt-in settings sync: upload local edits, apply edits made on other computers
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.settings) pushSettings().catch(() => {});
+  if (area === 'sync' && isSettingsSyncChange(changes)) pullSettings().catch(() => {});
+});
+
+// Passphrase-protected keys lock again after the configured idle time
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTO_LOCK_ALARM) checkAutoLock().catch(() => {});
 });
 
+// Rebuilds are chained so two quick saves can't create duplicate ids
+let menuBuildChain = Promise.resolve();
+
+function buildContextMenus() {
+  menuBuildChain = menuBuildChain.then(async () => {
+    const { profiles } = await getSettings();
+    await chrome.contextMenus.removeAll();
+    buildGenerateMenuItems(profiles).forEach((item) => chrome.contextMenus.create(item));
+    // Backgrounds, inline SVG, canvas and video are not 'image' contexts
+    chrome.contextMenus.create({
+      id: 'describe-visual',
+      title: 'Describe this visual with EveryAlt',
+      contexts: ['page', 'link', 'video'],
+    });
+    chrome.contextMenus.create({
+      id: 'describe-region',
+      title: 'Describe a region of the page with EveryAlt',
+      contexts: ['all'],
+    });
+    chrome.contextMenus.create({
+      id: 'audit-page',
+      title: 'Audit this page with EveryAlt',
+      contexts: ['page'],
+    });
+  });
+  return menuBuildChain;
+}
+
 // ── Context Menu Click Handler ──────────────────────────────────────
 
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId !== 'generate-alt-text' || !info.srcUrl) return;
   if (!tab?.id) return;
 
-  // Ensure content script is injected (handles pages opened before install)
-  await ensureContentScript(tab.id);
+  if (info.menuItemId === 'audit-page') {
+    await startAudit(tab.id);
+    return;
+  }
 
-  // Show loading state in the page
-  sendToTab(tab.id, { type: 'EVERYALT_SHOW_LOADING' });
+  // The page finds and captures the visual, then answers with EVERYALT_GENERATE_IMAGE
+  if (info.menuItemId === 'describe-visual') {
+    await ensureContentScript(tab.id);
+    sendToTab(tab.id, { type: 'EVERYALT_CAPTURE_VISUAL' });
+    return;
+  }
 
-  try {
-    // 1. Check for API key
-    const settings = await getSettings();
-    if (!settings.apiKey) {
-      sendToTab(tab.id, {
-        type: 'EVERYALT_SHOW_ERROR',
-        message: 'API key not configured. Click to open EveryAlt settings.',
-        actionUrl: chrome.runtime.getURL('options.html'),
-      });
-      return;
-    }
+  // The user drags a rectangle; the page asks for the screenshot with EVERYALT_CAPTURE_REGION
+  if (info.menuItemId === 'describe-region') {
+    await startRegionSelect(tab.id);
+    return;
+  }
 
-    // 2. Convert image to base64
-    let base64DataUrl;
-    try {
-      base64DataUrl = await imageUrlToBase64(info.srcUrl);
-    } catch (fetchErr) {
-      // If service worker can't fetch (e.g., CORS), ask content script to try
-      try {
-        base64DataUrl = await requestBase64FromContentScript(tab.id, info.srcUrl);
-      } catch (csErr) {
-        throw new Error('Could not load image: ' + (csErr.message || fetchErr.message));
-      }
-    }
+  const generate = parseGenerateMenuId(info.menuItemId);
+  if (!generate || !info.srcUrl) return;
 
-    // 3. Call OpenAI API
-    const result = await generateAltText(base64DataUrl, {
-      apiKey: settings.apiKey,
-      model: settings.model,
-      maxTokens: settings.maxTokens,
-      customPrompt: settings.customPrompt,
-    });
+  // Ensure content script is injected (handles pages opened before install)
+  await ensureContentScript(tab.id);
+  await startGeneration(tab, info.srcUrl, generate.profileId);
+});
 
-    // 4. Log success
-    await addLogEntry({
-      status: 'success',
-      imageUrl: info.srcUrl,
-      altText: result.altText,
-      usage: result.usage,
-      cost: result.cost,
-    });
+/**
+ * Show the loading state in the page, then generate. The URL lets the page
+ * locate the chosen element; the profile comes back with Regenerate.
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} imageUrl
+ * @param {string} [profileId]
+ * @param {object} [capture] - { imageData, visual } for visuals captured in the page
+ */
+async function startGeneration(tab, imageUrl, profileId, capture = {}) {
+  sendToTab(tab.id, { type: 'EVERYALT_SHOW_LOADING', imageUrl, profileId });
+  await generateForTab(tab.id, imageUrl, { pageUrl: tab.url, profileId, ...capture });
+}
 
-    // 5. Send result to content script
-    sendToTab(tab.id, {
-      type: 'EVERYALT_SHOW_RESULT',
-      altText: result.altText,
-      imageUrl: info.srcUrl,
-      usage: result.usage,
-      cost: result.cost,
-    });
-  } catch (err) {
-    // Log error
-    await addLogEntry({
-      status: 'error',
-      imageUrl: info.srcUrl,
-      error: err.message || 'Unknown error',
-    });
+// ── Keyboard Shortcuts ──────────────────────────────────────────────
 
-    sendToTab(tab.id, {
-      type: 'EVERYALT_SHOW_ERROR',
-      message: err.message || 'An unexpected error occurred.',
-    });
-  }
+// Command names from manifest.json, and what the page does for each
+const COMMAND_MESSAGES = {
+  'generate-alt': 'EVERYALT_GENERATE_FOCUSED',
+  'pick-image': 'EVERYALT_START_PICKER',
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const type = COMMAND_MESSAGES[command];
+  if (!type || !tab?.id) return;
+  // Only the page knows what is focused or hovered; it answers with EVERYALT_GENERATE_IMAGE
+  await ensureContentScript(tab.id);
+  sendToTab(tab.id, { type });
 });
 
 // ── Message Handler (from content script, popup, options) ───────────
@@ -106,24 +213,229 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false; // async handled separately
   }
 
+  if (request.type === 'EVERYALT_GENERATE_IMAGE') {
+    if (sender.tab?.id) {
+      startGeneration(sender.tab, request.imageUrl, undefined, {
+        imageData: request.imageData,
+        visual: request.visual,
+      });
+    }
+    return false;
+  }
+
+  if (request.type === 'EVERYALT_CAPTURE_REGION') {
+    captureTabRegion(sender.tab, request.rect, request.devicePixelRatio)
+      .then((imageData) => sendResponse({ success: true, imageData }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_REGION_TAB') {
+    startRegionSelect(request.tabId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_CANCEL') {
+    activeRequests.get(sender.tab?.id)?.abort();
+    return false;
+  }
+
   if (request.type === 'EVERYALT_VALIDATE_KEY') {
-    validateApiKey(request.apiKey).then(sendResponse);
+    validateApiKey(request.provider, request.apiKey, { baseUrl: request.baseUrl }).then(sendResponse);
     return true; // keep channel open for async response
   }
 
-  if (request.type === 'EVERYALT_GET_SETTINGS') {
-    getSettings().then(sendResponse);
+  if (request.type === 'EVERYALT_LIST_MODELS') {
+    listModels(request.provider, request.apiKey, { baseUrl: request.baseUrl })
+      .then((models) => sendResponse({ success: true, models }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_DEFAULT_PRICING') {
+    sendResponse(DEFAULT_MODEL_PRICING);
+    return false;
+  }
+
+  if (request.type === 'EVERYALT_AUDIT_TAB') {
+    startAudit(request.tabId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_BATCH_START') {
+    startBatch(request, sender);
+    return false;
+  }
+
+  if (request.type === 'EVERYALT_BATCH_CONTROL') {
+    const job = batchJobs.get(sender.tab?.id);
+    if (job && job.id === request.jobId && BATCH_CONTROL_ACTIONS.includes(request.action)) {
+      job.queue[request.action]();
+    }
+    return false;
+  }
+
+  if (request.type === 'EVERYALT_APPLY_IN_EDITOR') {
+    applyInEditor(sender.tab?.id, request)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_CACHE_STATS') {
+    getCacheStats()
+      .then(sendResponse)
+      .catch(() => sendResponse({ entries: 0 }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_CACHE_CLEAR') {
+    clearCache()
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_HISTORY_QUERY') {
+    queryHistory(request.filters, {
+      offset: request.offset,
+      limit: request.limit,
+      thumbnails: request.thumbnails !== false,
+      summary: request.summary !== false,
+    })
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_HISTORY_CLEAR') {
+    clearHistory()
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_HISTORY_FINAL_ALT') {
+    setFinalAlt(request.historyId, request.finalAlt)
+      .then(notifyHistoryChanged)
+      .catch(() => {});
+    return false;
+  }
+
+  if (request.type === 'EVERYALT_HISTORY_REGENERATE') {
+    regenerateFromHistory(request.id).then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_BUDGET_STATUS') {
+    Promise.all([getSettings(), getSpending()])
+      .then(([settings, spending]) => sendResponse(getBudgetStatus(settings, spending)))
+      .catch(() => sendResponse(null));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_SETTINGS_EXPORT') {
+    exportSettings({ includeApiKeys: request.includeApiKeys === true })
+      .then((data) => sendResponse({ success: true, data }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_SETTINGS_IMPORT') {
+    importSettings(request.data, { includeApiKeys: request.includeApiKeys === true })
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
     return true;
   }
 
+  if (request.type === 'EVERYALT_SYNC_STATE') {
+    getSyncState().then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_SYNC_SET') {
+    setSyncEnabled(request.enabled === true)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ enabled: false, lastSyncedAt: null, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_VAULT_STATUS') {
+    getVaultStatus().then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_VAULT_ENABLE') {
+    respondWith(enableVault(request.passphrase), sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_VAULT_DISABLE') {
+    respondWith(disableVault(request.passphrase), sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_VAULT_UNLOCK') {
+    respondWith(unlockVault(request.passphrase), sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_VAULT_LOCK') {
+    respondWith(lockVault(), sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_SAVE_API_KEY') {
+    respondWith(saveApiKey(request.provider, request.apiKey), sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EVERYALT_OPEN_UNLOCK') {
+    openUnlockPrompt();
+    return false;
+  }
+
+  if (request.type === 'EVERYALT_ESTIMATE_IMAGE') {
+    sendResponse(estimateImageCost(request));
+    return false;
+  }
+
   if (request.type === 'EVERYALT_FETCH_BASE64') {
-    imageUrlToBase64(request.imageUrl)
+    getSettings()
+      .then((settings) => imageUrlToBase64(request.imageUrl, getImageOptions(settings)))
       .then((data) => sendResponse({ success: true, data }))
       .catch((err) => sendResponse({ success: false, error: err.message }));
     return true;
   }
 });
 
+/** Answer { success: true } or { success: false, error } once `promise` settles. */
+function respondWith(promise, sendResponse) {
+  promise
+    .then(() => sendResponse({ success: true }))
+    .catch((err) => sendResponse({ success: false, error: err.message }));
+}
+
+/**
+ * Show the toolbar popup, where the passphrase is entered. Pages can't
+ * always open it (no focused window, older Chrome); a small window with the
+ * same page stands in.
+ */
+function openUnlockPrompt() {
+  const fallback = () =>
+    chrome.windows.create({
+      url: chrome.runtime.getURL('popup.html?window=1'),
+      type: 'popup',
+      width: 340,
+      height: 420,
+    });
+  if (!chrome.action.openPopup) {
+    fallback();
+    return;
+  }
+  chrome.action.openPopup().catch(fallback);
+}
+
 // ── Regenerate Handler ──────────────────────────────────────────────
 
 async function handleRegenerate(request, sender) {
@@ -132,59 +444,600 @@ async function handleRegenerate(request, sender) {
 
   sendToTab(tabId, { type: 'EVERYALT_SHOW_LOADING' });
 
+  await generateForTab(tabId, request.imageUrl, {
+    customPrompt: request.customPrompt,
+    bypassCache: request.bypassCache,
+    pageUrl: sender.tab.url,
+    profileId: request.profileId,
+    imageData: request.imageData,
+    visual: request.visual,
+  });
+}
+
+// ── Single-Image Generation ─────────────────────────────────────────
+
+/** AbortController of the single-image request running in each tab (for Cancel). */
+const activeRequests = new Map();
+
+/**
+ * Generate alt text for one image and show the result (or error) in the tab.
+ * @param {number} tabId
+ * @param {string} imageUrl
+ * @param {object} [overrides] - { customPrompt, bypassCache, pageUrl, profileId, imageData, visual }
+ *   profileId: settings profile chosen from the context menu (none = defaults)
+ *   imageData: PNG data URL of an SVG, canvas or video frame captured in the page
+ *   visual: what kind of non-<img> visual it is, kept in the history
+ */
+async function generateForTab(tabId, imageUrl, overrides = {}) {
+  activeRequests.get(tabId)?.abort();
+  const controller = new AbortController();
+  activeRequests.set(tabId, controller);
+
+  const defaults = await getSettings();
+  const settings = applyProfile(defaults, findProfile(defaults.profiles, overrides.profileId));
+  let stream = null;
+
   try {
-    const settings = await getSettings();
-    if (!settings.apiKey) {
-      sendToTab(tabId, {
-        type: 'EVERYALT_SHOW_ERROR',
-        message: 'API key not configured.',
-      });
+    // 1. Check for API key
+    const keyError = apiKeyError(settings);
+    if (keyError) {
+      sendToTab(tabId, buildErrorMessage(keyError, settings));
       return;
     }
 
-    let base64DataUrl;
-    try {
-      base64DataUrl = await imageUrlToBase64(request.imageUrl);
-    } catch {
-      base64DataUrl = await requestBase64FromContentScript(tabId, request.imageUrl);
-    }
-
-    const result = await generateAltText(base64DataUrl, {
-      apiKey: settings.apiKey,
-      model: settings.model,
-      maxTokens: settings.maxTokens,
-      customPrompt: request.customPrompt || settings.customPrompt,
+    // 2-3. Load the image and call the vision provider, filling the dialog as text arrives
+    stream = openTextStream(tabId);
+    const result = await describeImage(tabId, imageUrl, settings, {
+      ...overrides,
+      signal: controller.signal,
+      onText: stream.send,
     });
 
-    await addLogEntry({
-      status: 'success',
-      imageUrl: request.imageUrl,
-      altText: result.altText,
-      usage: result.usage,
-      cost: result.cost,
+    // 4. Record in history
+    const historyId = await logSuccess(imageUrl, settings, result, {
+      pageUrl: overrides.pageUrl,
+      visual: overrides.visual,
     });
+    const budget = getBudgetStatus(settings, await getSpending());
 
+    // 5. Send result to content script
     sendToTab(tabId, {
       type: 'EVERYALT_SHOW_RESULT',
       altText: result.altText,
-      imageUrl: request.imageUrl,
+      altTexts: result.altTexts,
+      details: result.details,
+      detailsByLanguage: result.detailsByLanguage,
+      languages: result.languages,
+      context: result.context,
+      decorativeVerdict: result.decorativeVerdict,
+      lint: { rules: settings.lintRules, maxLength: settings.lintMaxLength },
+      copyTemplates: settings.copyTemplates,
+      imageUrl,
+      historyId,
+      profileName: settings.profileName,
+      model: result.model,
       usage: result.usage,
       cost: result.cost,
+      cached: !!result.cached,
+      cachedAt: result.cachedAt,
+      cacheEnabled: settings.cacheEnabled,
+      budgetWarning: budget.warning ? budget.message : null,
     });
   } catch (err) {
-    await addLogEntry({
+    const error = toEveryAltError(err);
+    // The user closed the dialog; nothing to report
+    if (error.code === ERROR_CODES.CANCELLED) return;
+
+    await logError(imageUrl, settings, error, { pageUrl: overrides.pageUrl, visual: overrides.visual });
+
+    sendToTab(tabId, buildErrorMessage(error, settings));
+  } finally {
+    stream?.close();
+    if (activeRequests.get(tabId) === controller) activeRequests.delete(tabId);
+  }
+}
+
+/**
+ * Why the provider can't be called with these settings, if it can't.
+ * @returns {EveryAltError|null}
+ */
+function apiKeyError(settings) {
+  if (settings.apiKeyLocked) return lockedError();
+  if (!settings.apiKey && getProvider(settings.provider).requiresApiKey) {
+    return new EveryAltError(ERROR_CODES.AUTH, 'API key not configured. Click to open EveryAlt settings.');
+  }
+  return null;
+}
+
+/**
+ * Build the EVERYALT_SHOW_ERROR message, with an action that fits the error:
+ * a settings link for auth problems, the billing page for quota, a retry
+ * for transient failures.
+ */
+function buildErrorMessage(error, settings) {
+  let action = null;
+  switch (error.code) {
+    case ERROR_CODES.AUTH:
+      action = { label: 'Open Settings', url: chrome.runtime.getURL('options.html') };
+      break;
+    case ERROR_CODES.QUOTA: {
+      const billingUrl = getProvider(settings?.provider).BILLING_URL;
+      if (billingUrl) action = { label: 'Check billing', url: billingUrl };
+      break;
+    }
+    case ERROR_CODES.TRUNCATED:
+    case ERROR_CODES.BUDGET:
+      action = { label: 'Open Settings', url: chrome.runtime.getURL('options.html') };
+      break;
+    case ERROR_CODES.LOCKED:
+      action = { label: 'Unlock', unlock: true };
+      break;
+    case ERROR_CODES.BAD_IMAGE:
+      // Neither the worker nor the page could load it; a screenshot still can
+      if (error.capturable) action = { label: 'Capture from screen', capture: true };
+      break;
+    case ERROR_CODES.RATE_LIMIT:
+    case ERROR_CODES.NETWORK:
+    case ERROR_CODES.TIMEOUT:
+    case ERROR_CODES.SERVER:
+    case ERROR_CODES.INVALID_RESPONSE:
+      action = { label: 'Try again', retry: true };
+      break;
+    default:
+      break;
+  }
+
+  return {
+    type: 'EVERYALT_SHOW_ERROR',
+    message: error.message || 'An unexpected error occurred.',
+    code: error.code,
+    action,
+  };
+}
+
+// ── Batch Generation ────────────────────────────────────────────────
+
+/** One batch job per tab: tabId -> { id, queue } */
+const batchJobs = new Map();
+const BATCH_CONTROL_ACTIONS = ['pause', 'resume', 'cancel'];
+
+async function startBatch(request, sender) {
+  const tabId = sender.tab?.id;
+  if (!tabId || !Array.isArray(request.items) || request.items.length === 0) return;
+
+  const settings = await getSettings();
+  const keyError = apiKeyError(settings);
+  if (keyError) {
+    sendToTab(tabId, buildErrorMessage(keyError, settings));
+    return;
+  }
+
+  // Starting a new batch replaces whatever was running in this tab
+  batchJobs.get(tabId)?.queue.cancel();
+
+  const jobId = request.jobId;
+  const queue = createBatchQueue(request.items, {
+    concurrency: settings.batchConcurrency,
+    run: (item, signal) =>
+      describeImage(tabId, item.imageUrl, settings, {
+        signal,
+        pageUrl: sender.tab.url,
+        itemId: item.id,
+        // The queue re-queues rate-limited items and cools down every worker
+        retryRateLimit: false,
+      }),
+    onUpdate: (event) => handleBatchUpdate(tabId, jobId, event, settings, sender.tab.url),
+  });
+
+  batchJobs.set(tabId, { id: jobId, queue });
+  queue.start();
+}
+
+function handleBatchUpdate(tabId, jobId, { item, status, result, error, snapshot }, settings, pageUrl) {
+  if (item && status === 'done') {
+    logSuccess(item.imageUrl, settings, result, { batchId: jobId, pageUrl });
+  } else if (item && status === 'error') {
+    logError(item.imageUrl, settings, toEveryAltError(error), { batchId: jobId, pageUrl });
+    // Every remaining item would be refused too
+    if (error?.code === ERROR_CODES.BUDGET) batchJobs.get(tabId)?.queue.cancel();
+  }
+
+  sendToTab(tabId, {
+    type: 'EVERYALT_BATCH_PROGRESS',
+    jobId,
+    itemId: item?.id,
+    status,
+    altText: result?.altText,
+    cost: result?.cost,
+    cached: !!result?.cached,
+    error: error?.message,
+    errorCode: error?.code,
+    snapshot,
+  });
+
+  if (snapshot.state === 'finished' || (snapshot.state === 'cancelled' && snapshot.active === 0)) {
+    if (batchJobs.get(tabId)?.id === jobId) batchJobs.delete(tabId);
+  }
+}
+
+// ── Apply to Editor ─────────────────────────────────────────────────
+
+/**
+ * Editors such as TinyMCE and Gutenberg hold their document model in the
+ * page's own JS world, which the isolated content script cannot reach.
+ * Run the update there; the content script tags the image with
+ * data-everyalt-apply="<token>" so it can be found.
+ */
+async function applyInEditor(tabId, { editor, token, alt }) {
+  if (!tabId) return { success: false, error: 'No tab.' };
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'MAIN',
+    func: applyAltInPageWorld,
+    args: [editor, token, alt],
+  });
+  return injection?.result || { success: false, error: 'Editor update did not run.' };
+}
+
+/**
+ * Executed in the page's main world; must be self-contained.
+ */
+function applyAltInPageWorld(editor, token, alt) {
+  try {
+    if (editor.type === 'tinymce') {
+      const ed = window.tinymce?.get(editor.editorId);
+      if (!ed) return { success: false, error: 'TinyMCE editor not found.' };
+      const img = ed.dom.select(`[data-everyalt-apply="${token}"]`)[0];
+      if (!img) return { success: false, error: 'Image not found in editor.' };
+      ed.undoManager.transact(() => {
+        ed.dom.setAttrib(img, 'alt', alt);
+      });
+      ed.setDirty(true);
+      ed.fire('change');
+      return { success: true };
+    }
+
+    if (editor.type === 'gutenberg') {
+      const blockEditor = window.wp?.data?.dispatch('core/block-editor');
+      if (!blockEditor) return { success: false, error: 'Block editor not found.' };
+      blockEditor.updateBlockAttributes(editor.clientId, {
+        [editor.attribute || 'alt']: alt ?? '',
+      });
+      return { success: true };
+    }
+
+    return { success: false, error: `Unsupported editor: ${editor.type}` };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ── Region Capture ──────────────────────────────────────────────────
+
+async function startRegionSelect(tabId) {
+  await ensureContentScript(tabId);
+  sendToTab(tabId, { type: 'EVERYALT_SELECT_REGION' });
+}
+
+/**
+ * Screenshot the visible part of the tab and crop it to the user's rectangle.
+ * @param {chrome.tabs.Tab} tab
+ * @param {{x: number, y: number, width: number, height: number}} rect - CSS pixels in the viewport
+ * @param {number} devicePixelRatio - Of the page
+ * @returns {Promise<string>} PNG data URL
+ */
+async function captureTabRegion(tab, rect, devicePixelRatio) {
+  if (!tab) throw new Error('Only a web page can be captured.');
+  const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  return cropImage(screenshot, rect, devicePixelRatio || 1);
+}
+
+// ── Page Audit ──────────────────────────────────────────────────────
+
+async function startAudit(tabId) {
+  await ensureContentScript(tabId);
+  sendToTab(tabId, { type: 'EVERYALT_AUDIT_PAGE' });
+}
+
+// ── Generation ──────────────────────────────────────────────────────
+
+/**
+ * Record a successful generation. Cache hits are logged without usage or
+ * cost so they don't inflate the totals.
+ * @param {object} [extra] - { pageUrl, batchId }
+ * @returns {Promise<number|null>} History id; null if it could not be written
+ */
+function logSuccess(imageUrl, settings, result, extra = {}) {
+  return recordHistory(
+    {
+      status: 'success',
+      imageUrl,
+      thumbnail: result.thumbnail || undefined,
+      altText: result.altText,
+      altTexts: result.altTexts,
+      details: result.detailsByLanguage || result.details,
+      provider: settings.provider,
+      model: result.model,
+      profile: settings.profileName || undefined,
+      profileId: settings.profileId || undefined,
+      usage: result.cached ? undefined : result.usage,
+      cost: result.cached ? undefined : result.cost,
+      cached: !!result.cached,
+      durationMs: result.durationMs,
+      ...extra,
+    },
+    settings
+  );
+}
+
+/**
+ * Record a failed generation.
+ * @param {EveryAltError} error
+ * @param {object} [extra] - { pageUrl, batchId }
+ */
+function logError(imageUrl, settings, error, extra = {}) {
+  return recordHistory(
+    {
       status: 'error',
-      imageUrl: request.imageUrl,
-      error: err.message || 'Regeneration failed',
+      imageUrl,
+      error: error.message || 'Unknown error',
+      errorCode: error.code || ERROR_CODES.UNKNOWN,
+      provider: settings.provider,
+      model: settings.model || getProvider(settings.provider).DEFAULT_MODEL,
+      profile: settings.profileName || undefined,
+      profileId: settings.profileId || undefined,
+      durationMs: error.durationMs,
+      ...extra,
+    },
+    settings
+  );
+}
+
+/** A history write failure must never cost the user their result. */
+async function recordHistory(entry, settings) {
+  try {
+    const id = await addHistoryEntry(entry, {
+      maxEntries: settings.historyMaxEntries,
+      maxAgeDays: settings.historyMaxAgeDays,
     });
+    notifyHistoryChanged();
+    return id;
+  } catch {
+    return null;
+  }
+}
 
-    sendToTab(tabId, {
-      type: 'EVERYALT_SHOW_ERROR',
-      message: err.message || 'Regeneration failed.',
+/** Let an open options page refresh its history view. */
+function notifyHistoryChanged() {
+  chrome.runtime.sendMessage({ type: 'EVERYALT_HISTORY_CHANGED' }).catch(() => {
+    // No extension page is open
+  });
+}
+
+/**
+ * Generate again for a history entry, from the options page: same image,
+ * page and profile, fresh from the provider. There is no tab, so images the
+ * service worker cannot fetch itself fail.
+ * @param {number} id
+ * @returns {Promise<{success: boolean, entry?: object, error?: string}>}
+ */
+async function regenerateFromHistory(id) {
+  const entry = await getHistoryEntry(id).catch(() => null);
+  if (!entry) return { success: false, error: 'History entry not found.' };
+
+  const defaults = await getSettings();
+  const settings = applyProfile(defaults, findProfile(defaults.profiles, entry.profileId));
+  const keyError = apiKeyError(settings);
+  if (keyError) return { success: false, error: keyError.message };
+  if (CAPTURED_VISUALS.includes(entry.visual)) {
+    const error = 'This visual was captured from its page; open the page to describe it again.';
+    return { success: false, error };
+  }
+
+  try {
+    const result = await describeImage(null, entry.imageUrl, settings, {
+      bypassCache: true,
+      pageUrl: entry.pageUrl,
     });
+    const historyId = await logSuccess(entry.imageUrl, settings, result, { pageUrl: entry.pageUrl });
+    return { success: true, entry: historyId ? await getHistoryEntry(historyId) : null };
+  } catch (err) {
+    const error = toEveryAltError(err);
+    await logError(entry.imageUrl, settings, error, { pageUrl: entry.pageUrl });
+    return { success: false, error: error.message };
   }
 }
 
+/**
+ * Load an image (service worker first, content script as CORS fallback)
+ * and run it through the configured vision provider, using the result
+ * cache unless it is disabled or bypassed. The page URL selects any
+ * per-site language override; text around the image is added as context.
+ * @param {number|null} tabId - null when there is no page (history regenerate)
+ * @param {string} imageUrl
+ * @param {object} settings - From getSettings(), with any profile applied
+ * @param {object} [overrides] - { customPrompt, bypassCache, signal, onText, pageUrl, itemId, imageData,
+ *   retryRateLimit }
+ *   onText: receives the partial alt text while the provider streams it
+ *   itemId: audit element id of a batch item, to find it for context
+ *   imageData: pixels captured in the page, used instead of fetching imageUrl
+ *   retryRateLimit: false returns a 429 at once instead of retrying it
+ * @returns {Promise<object>} generateAltText() result plus the `context` items used,
+ *   a history `thumbnail` and the request's `durationMs`, and { cached, cachedAt } on a hit
+ * @throws {EveryAltError}
+ */
+async function describeImage(tabId, imageUrl, settings, overrides = {}) {
+  const imageOptions = getImageOptions(settings);
+  let base64DataUrl;
+  try {
+    // SVG, canvas and video frames arrive already captured by the page
+    base64DataUrl = await imageUrlToBase64(overrides.imageData || imageUrl, imageOptions);
+  } catch (fetchErr) {
+    if (tabId === null || overrides.imageData) {
+      throw new EveryAltError(ERROR_CODES.BAD_IMAGE, 'Could not load image: ' + fetchErr.message);
+    }
+    // If service worker can't fetch (e.g., CORS), ask content script to try;
+    // it returns the original bytes, which go through the same pipeline
+    try {
+      const original = await requestImageFromContentScript(tabId, imageUrl);
+      base64DataUrl = await imageUrlToBase64(original, imageOptions);
+    } catch (csErr) {
+      // Auth-gated, blob: and CORP-protected images are still on screen
+      const error = new EveryAltError(
+        ERROR_CODES.BAD_IMAGE,
+        'Could not load image: ' + (csErr.message || fetchErr.message)
+      );
+      throw Object.assign(error, { capturable: true });
+    }
+  }
+
+  const customPrompt = overrides.customPrompt || settings.customPrompt;
+  const languages = resolveLanguages(settings, overrides.pageUrl);
+  const inspection = tabId === null ? {} : await inspectImage(tabId, imageUrl, overrides.itemId);
+  const thumbnail = await createThumbnail(base64DataUrl).catch(() => null);
+  const context = selectContext(inspection.context, settings.contextSources, settings.contextTokens);
+  const decorativeHints = settings.detectDecorative ? inspection.decorativeHints || [] : [];
+  // Page-side findings are recomputed every time, cache hit or not
+  const withPageInfo = (result) => ({
+    ...result,
+    thumbnail,
+    context,
+    decorativeVerdict: mergeDecorativeVerdict(result.decorative, decorativeHints),
+  });
+
+  const model = settings.model || getProvider(settings.provider).DEFAULT_MODEL;
+  let cacheKey = null;
+  if (settings.cacheEnabled) {
+    cacheKey = await buildCacheKey(base64DataUrl, {
+      provider: settings.provider,
+      // Two local servers can both run "llava" and still answer differently
+      baseUrl: settings.provider === 'compatible' ? settings.baseUrl : '',
+      model,
+      prompt: customPrompt || DEFAULT_PROMPT,
+      context: buildContextInstruction(context),
+      languages,
+      outputMode: settings.outputMode,
+      detectDecorative: settings.detectDecorative,
+      detail: imageOptions.detail,
+    });
+    if (!overrides.bypassCache) {
+      const hit = await getCachedResult(cacheKey, settings.cacheMaxAgeDays * DAY_MS).catch(() => null);
+      if (hit) return { ...withPageInfo(hit.result), cached: true, cachedAt: hit.createdAt };
+    }
+  }
+
+  // Checked after the cache: hits are free, so they are allowed over budget
+  const budget = getBudgetStatus(settings, await getSpending());
+  if (budget.blocked) throw new EveryAltError(ERROR_CODES.BUDGET, budget.message);
+  const unpriced = getUnpricedModelMessage(settings, model);
+  if (unpriced) throw new EveryAltError(ERROR_CODES.BUDGET, unpriced);
+
+  // A request counts as activity for the auto-lock
+  await noteKeyUse();
+
+  // Latency of the provider request, retries included; failures record it too
+  const started = Date.now();
+  const result = await generateAltText(
+    base64DataUrl,
+    {
+      provider: settings.provider,
+      apiKey: settings.apiKey,
+      baseUrl: settings.baseUrl,
+      model: settings.model,
+      maxTokens: settings.maxTokens,
+      customPrompt,
+      imageDetail: imageOptions.detail,
+      context,
+      languages,
+      outputMode: settings.outputMode,
+      detectDecorative: settings.detectDecorative,
+      timeoutMs: settings.requestTimeoutSec * 1000,
+      maxRetries: settings.maxRetries,
+      retryRateLimit: overrides.retryRateLimit,
+      modelPricing: settings.modelPricing,
+    },
+    { signal: overrides.signal, onText: overrides.onText }
+  ).catch((err) => {
+    throw Object.assign(toEveryAltError(err), { durationMs: Date.now() - started });
+  });
+  const durationMs = Date.now() - started;
+
+  await recordSpend(result.cost?.totalUsd || 0);
+
+  if (cacheKey) {
+    // A cache write failure must never cost the user their result
+    await putCachedResult(cacheKey, result, settings.cacheMaxEntries).catch(() => {});
+  }
+
+  return { ...withPageInfo(result), durationMs };
+}
+
+/**
+ * Ask the content script about the image in the page: the text around it
+ * (prompt context) and hints that it is decorative.
+ * @returns {Promise<{context?: object, decorativeHints?: string[]}>}
+ */
+async function inspectImage(tabId, imageUrl, itemId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'EVERYALT_INSPECT_IMAGE',
+      imageUrl,
+      itemId,
+    });
+    return response || {};
+  } catch {
+    // No content script (or it could not answer): describe the image alone
+    return {};
+  }
+}
+
+// ── Preprocessing Estimates ─────────────────────────────────────────
+
+const ESTIMATE_SAMPLES = [
+  { label: 'Photo', width: 1600, height: 1200 },
+  { label: 'Screenshot', width: 1280, height: 2400 },
+];
+
+/**
+ * Size, tokens and input cost of sample images under the given
+ * preprocessing settings, for the options page.
+ * @param {object} request - { provider, model, image: { imageMaxDimension, imageFormat,
+ *   imageQuality, imageDetail }, pricing }
+ *   pricing: the pricing table being edited (the built-in one when absent)
+ * @returns {{model: string, format: string, samples: Array<object>}}
+ *   Each sample: { label, original: {width, height}, width, height, bytes, tokens,
+ *   costUsd, priced, tokensByDetail: { low, high, auto } }
+ */
+function estimateImageCost({ provider, model, image, pricing }) {
+  const options = getImageOptions(image || {});
+  const modelName = model || getProvider(provider).DEFAULT_MODEL;
+
+  const samples = ESTIMATE_SAMPLES.map(({ label, width, height }) => {
+    const sent = scaleToFit(width, height, options.maxDimension);
+    const tokensFor = (detail) =>
+      estimateImageTokens(sent.width, sent.height, { provider, model: modelName, detail });
+    const tokens = tokensFor(options.detail);
+    const cost = calculateCost(
+      { prompt_tokens: tokens, completion_tokens: 0 },
+      modelName,
+      pricing || DEFAULT_MODEL_PRICING
+    );
+    return {
+      label,
+      original: { width, height },
+      width: sent.width,
+      height: sent.height,
+      bytes: estimateImageBytes(sent.width, sent.height, options),
+      tokens,
+      costUsd: cost.totalUsd,
+      priced: cost.priced,
+      tokensByDetail: { low: tokensFor('low'), high: tokensFor('high'), auto: tokensFor('auto') },
+    };
+  });
+
+  return { model: modelName, format: options.format, samples };
+}
+
 // ── Helpers ─────────────────────────────────────────────────────────
 
 function sendToTab(tabId, message) {
@@ -193,6 +1046,32 @@ function sendToTab(tabId, message) {
   });
 }
 
+/**
+ * Open a port to the tab for partial results. A long-lived port also keeps
+ * the service worker alive while a slow answer streams in. Text sent after
+ * the page closed its end (dialog gone, navigation) is dropped.
+ * @param {number} tabId
+ * @returns {{send: function(string): void, close: function(): void}}
+ */
+function openTextStream(tabId) {
+  const port = chrome.tabs.connect(tabId, { name: STREAM_PORT_NAME });
+  let open = true;
+  port.onDisconnect.addListener(() => {
+    open = false;
+    // Reading lastError keeps a missing listener from being reported as unchecked
+    void chrome.runtime.lastError;
+  });
+  return {
+    send: (text) => {
+      if (open) port.postMessage({ type: 'EVERYALT_STREAM_TEXT', text });
+    },
+    close: () => {
+      if (open) port.disconnect();
+      open = false;
+    },
+  };
+}
+
 async function ensureContentScript(tabId) {
   try {
     await chrome.scripting.executeScript({
@@ -209,10 +1088,10 @@ async function ensureContentScript(tabId) {
 }
 
 /**
- * Ask the content script to fetch + base64-encode an image
+ * Ask the content script to fetch an image as a data URL, unprocessed
  * (fallback when the service worker itself is blocked by CORS).
  */
-function requestBase64FromContentScript(tabId, imageUrl) {
+function requestImageFromContentScript(tabId, imageUrl) {
   return new Promise((resolve, reject) => {
     chrome.tabs.sendMessage(
       tabId,